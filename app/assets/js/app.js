@@ -12,8 +12,15 @@
 // ============================================
 
 import {initMap, renderData, resetView, setBasemap, toggleBasemap} from './modules/map.js';
-import {exportData, initDuckDB, resetFilter, runSQL} from './modules/duckdb.js';
-import {handleFile, handleURL} from './modules/parsers.js';
+import {refreshSimplification} from './modules/simplify.js';
+import {refreshVectorTiles} from './modules/vector-tiles.js';
+import {cancelQuery, exportData, initDuckDB, resetFilter, runSQL, showParquetQuery} from './modules/duckdb.js';
+import {appendFeatures, handleFiles, handleURL, reprojectDataset} from './modules/parsers.js';
+import {searchEPSG} from './modules/crs.js';
+import {handleJoinFile, openJoinTable} from './modules/table-join.js';
+import {initSQLEditor} from './modules/sql-editor.js';
+import {clearQueryHistory, saveNamedQuery} from './modules/query-history.js';
+import {loadMoreOnPan} from './modules/flatgeobuf.js';
 import {analyzeColumns, cycleColormap, cycleColumn, setColormap, setColumn} from './modules/visualization.js';
 import {
   dataTableNextPage,
@@ -26,13 +33,17 @@ import {
 } from './modules/data-viewer.js';
 import {
   bindToWindow,
+  closeModal,
   handleModalClick,
   hideError,
+  hideLoading,
   initDragAndDrop,
   initFileInput,
   initKeyboardShortcuts,
   initResizeHandler,
   restoreTheme,
+  showError,
+  showLoading,
   showWarning,
   toggleHelp,
   toggleTheme
@@ -49,22 +60,34 @@ export const App = {
   // Current GeoJSON layer
   geoJsonLayer: null,
 
+  // Loaded datasets; the per-dataset keys below (data, columns, colors,
+  // bounds, CRS and sources) hold the active layer's state (see layers.js)
+  layers: [],              // Layers in draw order, top first
+  activeLayer: null,       // Layer edited by the panels and queried as `data`
+  tableName: null,         // DuckDB table of the active layer
+  lookupTables: [],        // DuckDB tables of CSVs loaded for attribute joins
+
   // Basemap tile layer
   basemapLayer: null,
 
   // DuckDB instance
   db: null,
   conn: null,
+  spatialEnabled: false,   // Whether the spatial extension (ST_* functions) is loaded
 
   // Loaded data
   originalData: null,      // Original GeoJSON data
+  datasetName: null,       // Filename or URL of the loaded dataset
+  datasetFingerprint: null, // Identifies the dataset across reloads, for query history
   currentData: null,       // Filtered/transformed data
+  rowFilterSQL: null,      // SQL row filter currentData was selected with, re-run when objects are appended
 
   // Column info
   columns: [],             // All column names
   numericColumns: [],      // Numeric column names
   categoricalColumns: [],  // Categorical column names
   currentColumn: null,     // Currently selected column
+  heatmapWeight: null,     // Numeric column weighting the heatmap (null = every point counts once)
   columnIndex: 0,          // Index for cycling columns
 
   // Color settings
@@ -77,9 +100,15 @@ export const App = {
   dataBounds: null,
 
   // Rendering settings
-  featureLimit: 100000,     // Max features to load (0 = no limit)
-  simplifyTolerance: 0.001, // Geometry simplification tolerance (0 = off)
+  featureLimit: 100000,     // Max rows read from Parquet files and remote FlatGeobuf (0 = no limit)
+  simplifyTolerance: 0.001, // Geometry simplification tolerance in degrees at zoom 10 (0 = off)
+  simplifyMethod: 'douglas-peucker', // Line/polygon simplification: 'douglas-peucker' or 'visvalingam'
   pointRadius: 6,           // Point marker radius in pixels
+  renderer: 'auto',         // 'leaflet' (one layer per feature), 'canvas' (all features in one canvas),
+                            // 'tiles' (vector tiles) or 'auto' (vector tiles for large datasets)
+  pointDisplay: 'circles',  // Points drawn as 'circles', 'clusters', 'heatmap' or 'hexbin' (hexagon grid)
+  pointAggregate: 'mean',   // Cluster and hexagon color: 'count', or the column's 'mean', 'sum' or 'mode'
+  loadOnPan: true,          // Fetch more remote (FlatGeobuf) features when the view changes
 
   // State flags
   basemapVisible: true,
@@ -88,6 +117,16 @@ export const App = {
 
   // Stats
   fileSize: null,
+  sourceCRS: null,          // CRS code the loaded data was transformed from
+  crsOverridden: false,     // Whether the source CRS was chosen by the user
+  crsConfidence: 1,         // Confidence of the detected source CRS (0-1)
+  crsCandidates: [],        // Scored candidate CRSs from detection, best first
+
+  // Remote source for bbox-filtered loading (FlatGeobuf URLs)
+  remoteSource: null,
+
+  // Parquet file queried through the `data` view instead of loaded in full
+  parquetSource: null,
 };
 
 // ============================================
@@ -105,6 +144,7 @@ App.setBasemap = setBasemap;
 App.toggleBasemap = toggleBasemap;
 App.resetView = resetView;
 App.runSQL = runSQL;
+App.cancelQuery = cancelQuery;
 App.resetFilter = resetFilter;
 App.exportData = exportData;
 App.showDataViewer = showDataViewer;
@@ -114,6 +154,10 @@ App.sortDataTable = sortDataTable;
 App.dataTablePrevPage = dataTablePrevPage;
 App.dataTableNextPage = dataTableNextPage;
 App.setDataTablePageSize = setDataTablePageSize;
+App.openJoinTable = openJoinTable;
+App.handleJoinFile = handleJoinFile;
+App.saveNamedQuery = saveNamedQuery;
+App.clearQueryHistory = clearQueryHistory;
 
 // URL loading
 App.loadFromURL = () => {
@@ -130,6 +174,41 @@ App.loadFromURL = () => {
   }
 };
 
+// CRS override methods
+App.searchCRS = async (query) => {
+  const results = document.getElementById('crsSearchResults');
+  if (!results) return;
+
+  // Pasted proj4/WKT definitions are not searched
+  const text = query.trim();
+  if (text.length < 2 || text.startsWith('+') || text.includes('[')) {
+    results.innerHTML = '';
+    return;
+  }
+
+  try {
+    const matches = await searchEPSG(text, 30);
+    results.innerHTML = '';
+    for (const entry of matches) {
+      const option = document.createElement('option');
+      option.value = entry.code;
+      option.textContent = entry.name;
+      results.appendChild(option);
+    }
+  } catch (error) {
+    console.warn('[CRS] Search failed:', error);
+  }
+};
+
+App.applyCRSOverride = () => {
+  const crsInput = document.getElementById('crsInput');
+  if (crsInput && crsInput.value.trim()) {
+    reprojectDataset(crsInput.value.trim());
+  } else if (crsInput) {
+    crsInput.focus();
+  }
+};
+
 // Rendering settings methods
 App.setFeatureLimit = (value) => {
   const oldLimit = App.featureLimit;
@@ -143,41 +222,19 @@ App.setFeatureLimit = (value) => {
 
   console.log(`[Settings] Feature limit: ${App.featureLimit || 'no limit'}`);
 
-  // If data is loaded and limit changed, re-apply the limit
-  if (App.originalData?.features && oldLimit !== App.featureLimit) {
-    const originalCount = App.originalData.features.length;
-
-    // Apply the new limit
-    let limitedData;
-    if (App.featureLimit > 0 && originalCount > App.featureLimit) {
-      limitedData = {
-        type: 'FeatureCollection',
-        features: App.originalData.features.slice(0, App.featureLimit)
-      };
-      console.log(`[Settings] Re-limited from ${originalCount} to ${App.featureLimit} objects`);
-      showWarning(`Showing ${App.featureLimit.toLocaleString()} of ${originalCount.toLocaleString()} objects. Adjust limit in Performance Settings.`);
-
-      if (featureLimitStatus) {
-        featureLimitStatus.textContent = `Showing ${App.featureLimit.toLocaleString()} of ${originalCount.toLocaleString()}`;
-        featureLimitStatus.style.color = 'var(--accent-warning, orange)';
-      }
-    } else {
-      limitedData = App.originalData;
-      if (originalCount > 0) {
-        console.log(`[Settings] Showing all ${originalCount} objects`);
-        if (featureLimitStatus) {
-          featureLimitStatus.textContent = `Showing all ${originalCount.toLocaleString()} objects`;
-          featureLimitStatus.style.color = 'var(--text-muted)';
-        }
-      }
-    }
+  // Parquet sessions decode the rows of the current query again under the new limit
+  if (App.parquetSource && oldLimit !== App.featureLimit) {
+    showLoading('Loading objects...');
+    showParquetQuery(App.parquetSource.query).catch(error => {
+      console.error('[Settings] Failed to apply feature limit:', error);
+      hideLoading();
+      showError(`Error applying feature limit: ${error.message}`);
+    });
+    return;
+  }
 
-    // Update current data and re-render
-    App.currentData = limitedData;
-    analyzeColumns(App.currentData);
-    renderData(App.currentData);
-  } else if (!App.originalData && featureLimitStatus) {
-    // No data loaded yet, show default message
+  // Other datasets are loaded whole (large ones are drawn as vector tiles), so nothing is reloaded
+  if (!App.originalData && featureLimitStatus) {
     featureLimitStatus.textContent = '0 = no limit';
     featureLimitStatus.style.color = 'var(--text-muted)';
   }
@@ -189,13 +246,22 @@ App.setSimplifyTolerance = (value) => {
   if (simplifyValue) {
     simplifyValue.textContent = App.simplifyTolerance.toFixed(3);
   }
-  // Re-render if we have data
-  if (App.currentData) {
-    renderData(App.currentData, true);
-  }
+  // Only the drawn geometries change; the loaded data keeps full detail
+  refreshSimplification();
+  refreshVectorTiles();
   console.log(`[Settings] Simplify tolerance: ${App.simplifyTolerance}`);
 };
 
+App.setSimplifyMethod = (method) => {
+  App.simplifyMethod = method === 'visvalingam' ? 'visvalingam' : 'douglas-peucker';
+  const simplifyMethodSelect = document.getElementById('simplifyMethodSelect');
+  if (simplifyMethodSelect) {
+    simplifyMethodSelect.value = App.simplifyMethod;
+  }
+  refreshSimplification();
+  console.log(`[Settings] Simplify method: ${App.simplifyMethod}`);
+};
+
 App.setPointRadius = (value) => {
   App.pointRadius = parseInt(value, 10) || 6;
   const pointSizeValue = document.getElementById('pointSizeValue');
@@ -209,6 +275,77 @@ App.setPointRadius = (value) => {
   console.log(`[Settings] Point radius: ${App.pointRadius}px`);
 };
 
+App.setRenderer = (renderer) => {
+  App.renderer = ['leaflet', 'canvas', 'tiles'].includes(renderer) ? renderer : 'auto';
+  const rendererSelect = document.getElementById('rendererSelect');
+  if (rendererSelect) {
+    rendererSelect.value = App.renderer;
+  }
+  // Re-render if we have data
+  if (App.currentData) {
+    renderData(App.currentData, true);
+  }
+  console.log(`[Settings] Renderer: ${App.renderer}`);
+};
+
+App.setPointDisplay = (display) => {
+  App.pointDisplay = ['clusters', 'heatmap', 'hexbin'].includes(display) ? display : 'circles';
+  const pointDisplaySelect = document.getElementById('pointDisplaySelect');
+  if (pointDisplaySelect) {
+    pointDisplaySelect.value = App.pointDisplay;
+  }
+  // Only show the settings of the chosen display
+  const pointAggregateGroup = document.getElementById('pointAggregateGroup');
+  if (pointAggregateGroup) {
+    pointAggregateGroup.style.display = ['clusters', 'hexbin'].includes(App.pointDisplay) ? '' : 'none';
+  }
+  const heatmapWeightGroup = document.getElementById('heatmapWeightGroup');
+  if (heatmapWeightGroup) {
+    heatmapWeightGroup.style.display = App.pointDisplay === 'heatmap' ? '' : 'none';
+  }
+  // Re-render if we have data
+  if (App.currentData) {
+    renderData(App.currentData, true);
+  }
+  console.log(`[Settings] Point display: ${App.pointDisplay}`);
+};
+
+App.setPointAggregate = (aggregate) => {
+  App.pointAggregate = ['count', 'mean', 'sum', 'mode'].includes(aggregate) ? aggregate : 'mean';
+  const pointAggregateSelect = document.getElementById('pointAggregateSelect');
+  if (pointAggregateSelect) {
+    pointAggregateSelect.value = App.pointAggregate;
+  }
+  if (App.currentData && ['clusters', 'hexbin'].includes(App.pointDisplay)) {
+    renderData(App.currentData, true);
+  }
+  console.log(`[Settings] Point aggregate: ${App.pointAggregate}`);
+};
+
+App.setHeatmapWeight = (column) => {
+  App.heatmapWeight = App.numericColumns.includes(column) ? column : null;
+  const heatmapWeightSelect = document.getElementById('heatmapWeightSelect');
+  if (heatmapWeightSelect) {
+    heatmapWeightSelect.value = App.heatmapWeight || '';
+  }
+  if (App.currentData && App.pointDisplay === 'heatmap') {
+    renderData(App.currentData, true);
+  }
+  console.log(`[Settings] Heatmap weight: ${App.heatmapWeight || 'none'}`);
+};
+
+App.setLoadOnPan = (enabled) => {
+  App.loadOnPan = Boolean(enabled);
+  const loadOnPanToggle = document.getElementById('loadOnPanToggle');
+  if (loadOnPanToggle) {
+    loadOnPanToggle.checked = App.loadOnPan;
+  }
+  if (App.loadOnPan) {
+    loadMoreOnPan(appendFeatures);
+  }
+  console.log(`[Settings] Load on pan: ${App.loadOnPan}`);
+};
+
 // ============================================
 // Initialization
 // ============================================
@@ -217,10 +354,14 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Initialize map
   initMap();
 
+  // Fetch more remote features as the view changes
+  App.map.on('moveend', () => loadMoreOnPan(appendFeatures));
+
   // Initialize UI event handlers
-  initDragAndDrop(handleFile);
-  initFileInput(handleFile);
+  initDragAndDrop(handleFiles);
+  initFileInput(handleFiles);
   initKeyboardShortcuts();
+  initSQLEditor();
   initResizeHandler(); // Initialize resize handler
   restoreTheme();
 
@@ -246,3 +387,4 @@ window.App = App;
 window.toggleHelp = toggleHelp;
 window.handleModalClick = handleModalClick;
 window.toggleTheme = toggleTheme;
+window.closeModal = closeModal;
@@ -0,0 +1,767 @@
+/**
+ * VecGeo Viewer - Point Aggregation Module
+ *
+ * Draws points as a kernel-density heatmap or as a grid of hexagons, binned
+ * per zoom level over the area in view. When the layer's DuckDB table holds
+ * exactly the drawn data, DuckDB bins the whole table, including rows beyond
+ * the read limit; otherwise the drawn points are binned here.
+ */
+
+import {App} from '../app.js';
+import {GEOMETRY_COLUMN, PARQUET_BASE_QUERY, quoteIdentifier} from './duckdb.js';
+import {AGGREGATE_LABELS, VIEW_PADDING, formatValue, preparePoints} from './clustering.js';
+import {MAX_LATITUDE} from './geometry-utils.js';
+import {escapeHtml} from './ui.js';
+
+// ============================================
+// Settings
+// ============================================
+
+// Hexagon size (center to corner) in pixels
+const HEXAGON_RADIUS = 24;
+
+// Heatmap density is computed on a grid of cells this many pixels wide
+const HEATMAP_CELL_SIZE = 4;
+
+// Radius in pixels over which a point adds to the heatmap density
+const HEATMAP_RADIUS = 24;
+
+// Opacity of the densest heatmap areas
+const HEATMAP_OPACITY = 0.8;
+
+// Densities below this fraction of the highest are not drawn
+const HEATMAP_MIN_DENSITY = 0.01;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Convert a DuckDB result value to a plain JavaScript value
+ * @param {*} value - Value (BigInts for integer aggregates)
+ * @returns {*} Number, string or null
+ */
+function toPlainValue(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'bigint' ? Number(value) : value;
+}
+
+/**
+ * Get the range of the values of a list of bins
+ * @param {Array<Object>} bins - Bins with a value
+ * @param {string} key - Value key
+ * @returns {Array<number>} [min, max], widened when all values are equal
+ */
+function valueRange(bins, key) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const bin of bins) {
+    const value = bin[key];
+    if (value === null || typeof value !== 'number') continue;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  if (min > max) return [0, 1];
+  return min < max ? [min, max] : [min, min + 1];
+}
+
+// ============================================
+// Hexagon Grid
+// ============================================
+
+/**
+ * Find the hexagon of a pixel position (pointy-top hexagons, axial coordinates)
+ * @param {number} x - x in pixels at the binned zoom
+ * @param {number} y - y in pixels at the binned zoom
+ * @returns {Array<number>} [q, r]
+ */
+function hexagonAt(x, y) {
+  const q = (Math.sqrt(3) / 3 * x - y / 3) / HEXAGON_RADIUS;
+  const r = (2 / 3 * y) / HEXAGON_RADIUS;
+  const s = -q - r;
+
+  // Round the cube coordinates, fixing the one that moved most
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  }
+  return [rq, rr];
+}
+
+/**
+ * Get the corners of a hexagon in pixels at the binned zoom
+ * @param {number} q - Axial q
+ * @param {number} r - Axial r
+ * @returns {Array<L.Point>} Six corners
+ */
+function hexagonCorners(q, r) {
+  const cx = HEXAGON_RADIUS * Math.sqrt(3) * (q + r / 2);
+  const cy = HEXAGON_RADIUS * 1.5 * r;
+  const corners = [];
+  for (let i = 0; i < 6; i++) {
+    const angle = Math.PI / 180 * (60 * i - 30);
+    corners.push(L.point(cx + HEXAGON_RADIUS * Math.cos(angle), cy + HEXAGON_RADIUS * Math.sin(angle)));
+  }
+  return corners;
+}
+
+/**
+ * Create the kernel a point adds to the heatmap density grid
+ * @returns {Object} {radius, weights}: radius in cells and a (2·radius+1)² grid peaking at 1
+ */
+function createKernel() {
+  const radius = Math.ceil(HEATMAP_RADIUS / HEATMAP_CELL_SIZE);
+  const sigma = radius / 2;
+  const size = radius * 2 + 1;
+  const weights = new Float32Array(size * size);
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared <= radius * radius) {
+        weights[(dy + radius) * size + dx + radius] = Math.exp(-distanceSquared / (2 * sigma * sigma));
+      }
+    }
+  }
+  return {radius, weights};
+}
+
+// ============================================
+// Binning in DuckDB
+// ============================================
+
+/**
+ * Get the DuckDB table to bin for the active layer, if it holds exactly the drawn data
+ * @returns {Object|null} {table} or null to bin the drawn points
+ */
+export function activeLayerSource() {
+  if (!App.conn || !App.spatialEnabled || !App.tableName) return null;
+
+  if (App.parquetSource) {
+    const {query, wgs84Geometry} = App.parquetSource;
+    return query === PARQUET_BASE_QUERY && wgs84Geometry ? {table: App.tableName} : null;
+  }
+  return App.currentData === App.originalData ? {table: App.tableName} : null;
+}
+
+/**
+ * Build the query projecting a table's points to pixels within an area
+ * @param {Object} source - {table}
+ * @param {string|null} column - Column selected as `value`
+ * @param {Object} area - {scale, minX, minY, maxX, maxY} in pixels at the binned zoom
+ * @returns {string} SELECT returning x, y and value
+ */
+function pointsSQL(source, column, area) {
+  const value = column ? quoteIdentifier(column) : 'NULL';
+  const {scale} = area;
+
+  return `SELECT x, y, value
+          FROM (SELECT ${scale} * (ST_X(g) / 360 + 0.5) AS x,
+                       ${scale} * (0.5 - ln(tan(pi() / 4 + radians(greatest(least(ST_Y(g), ${MAX_LATITUDE}), -${MAX_LATITUDE})) / 2)) / (2 * pi())) AS y,
+                       value
+                FROM (SELECT ${GEOMETRY_COLUMN} AS g, ${value} AS value
+                      FROM ${quoteIdentifier(source.table)})
+                WHERE ST_GeometryType(g) = 'POINT')
+          WHERE x BETWEEN ${area.minX} AND ${area.maxX}
+            AND y BETWEEN ${area.minY} AND ${area.maxY}`;
+}
+
+/**
+ * Count a table's points per hexagon in DuckDB
+ * The hexagon rounding matches hexagonAt.
+ * @param {Object} source - {table}
+ * @param {Object} options - Layer options (column, aggregate)
+ * @param {Object} area - Binned area
+ * @returns {Promise<Array<Object>>} Hexagons: {q, r, count, value}
+ */
+async function queryHexagons(source, {column, aggregate}, area) {
+  const value = {
+    count: 'NULL',
+    mean: 'AVG(TRY_CAST(value AS DOUBLE))',
+    sum: 'SUM(TRY_CAST(value AS DOUBLE))',
+    mode: 'mode(value)'
+  }[aggregate];
+
+  const result = await App.conn.query(`
+    SELECT q, r, COUNT(*) AS count, ${value} AS value
+    FROM (SELECT CASE WHEN dq > dr AND dq > ds THEN -rr - rs ELSE rq END AS q,
+                 CASE WHEN dq > dr AND dq > ds THEN rr WHEN dr > ds THEN -rq - rs ELSE rr END AS r,
+                 value
+          FROM (SELECT rq, rr, rs, abs(rq - fq) AS dq, abs(rr - fr) AS dr, abs(rs + fq + fr) AS ds, value
+                FROM (SELECT fq, fr, round(fq) AS rq, round(fr) AS rr, round(-fq - fr) AS rs, value
+                      FROM (SELECT (sqrt(3) / 3 * x - y / 3) / ${HEXAGON_RADIUS} AS fq,
+                                   (2.0 / 3 * y) / ${HEXAGON_RADIUS} AS fr,
+                                   value
+                            FROM (${pointsSQL(source, column, area)})))))
+    GROUP BY q, r`);
+
+  return result.toArray().map(row => ({
+    q: Number(row.q),
+    r: Number(row.r),
+    count: Number(row.count),
+    value: aggregate === 'count' ? Number(row.count) : toPlainValue(row.value)
+  }));
+}
+
+/**
+ * Add up a table's point weights per heatmap cell in DuckDB
+ * @param {Object} source - {table}
+ * @param {Object} options - Layer options (weight)
+ * @param {Object} area - Binned area
+ * @returns {Promise<Array<Object>>} Cells: {cx, cy, weight}
+ */
+async function queryHeatmapCells(source, {weight}, area) {
+  const pointWeight = weight ? 'TRY_CAST(value AS DOUBLE)' : '1';
+  const result = await App.conn.query(`
+    SELECT floor(x / ${HEATMAP_CELL_SIZE}) AS cx, floor(y / ${HEATMAP_CELL_SIZE}) AS cy, SUM(w) AS weight
+    FROM (SELECT x, y, ${pointWeight} AS w
+          FROM (${pointsSQL(source, weight, area)}))
+    WHERE w > 0
+    GROUP BY cx, cy`);
+
+  return result.toArray().map(row => ({
+    cx: Number(row.cx),
+    cy: Number(row.cy),
+    weight: Number(row.weight)
+  }));
+}
+
+// ============================================
+// Binning Drawn Points
+// ============================================
+
+/**
+ * Call a function for each point within an area
+ * @param {Object} points - Prepared points
+ * @param {Object} area - Binned area
+ * @param {Function} callback - Called with the pixel x, y and point index
+ */
+function eachPointIn(points, area, callback) {
+  const factor = area.scale / 256;
+  for (let i = 0; i < points.count; i++) {
+    const x = points.x[i] * factor;
+    const y = points.y[i] * factor;
+    if (x >= area.minX && x <= area.maxX && y >= area.minY && y <= area.maxY) {
+      callback(x, y, i);
+    }
+  }
+}
+
+/**
+ * Count points per hexagon
+ * @param {Object} points - Prepared points
+ * @param {Object} options - Layer options (aggregate)
+ * @param {Object} area - Binned area
+ * @returns {Array<Object>} Hexagons: {q, r, count, value}
+ */
+function binHexagons(points, {aggregate}, area) {
+  const hexagons = new Map();
+  eachPointIn(points, area, (x, y, i) => {
+    const [q, r] = hexagonAt(x, y);
+    const key = `${q},${r}`;
+    let hexagon = hexagons.get(key);
+    if (!hexagon) {
+      hexagon = {q, r, count: 0, sum: 0, valueCount: 0, modes: new Map()};
+      hexagons.set(key, hexagon);
+    }
+    hexagon.count++;
+
+    const value = points.values?.[i];
+    if (value === null || value === undefined) return;
+    if (aggregate === 'mode') {
+      hexagon.modes.set(value, (hexagon.modes.get(value) || 0) + 1);
+    } else {
+      hexagon.sum += value;
+    }
+    hexagon.valueCount++;
+  });
+
+  return Array.from(hexagons.values(), hexagon => {
+    let value = null;
+    if (aggregate === 'count') {
+      value = hexagon.count;
+    } else if (hexagon.valueCount > 0 && aggregate === 'mode') {
+      let modeCount = 0;
+      for (const [candidate, count] of hexagon.modes) {
+        if (count > modeCount) {
+          value = candidate;
+          modeCount = count;
+        }
+      }
+    } else if (hexagon.valueCount > 0) {
+      value = aggregate === 'sum' ? hexagon.sum : hexagon.sum / hexagon.valueCount;
+    }
+    return {q: hexagon.q, r: hexagon.r, count: hexagon.count, value};
+  });
+}
+
+/**
+ * Add up point weights per heatmap cell
+ * @param {Object} points - Prepared points (values are the weights, if any)
+ * @param {Object} options - Layer options
+ * @param {Object} area - Binned area
+ * @returns {Array<Object>} Cells: {cx, cy, weight}
+ */
+function binHeatmapCells(points, options, area) {
+  const cells = new Map();
+  eachPointIn(points, area, (x, y, i) => {
+    const weight = points.values ? points.values[i] : 1;
+    if (!(weight > 0)) return;
+    const cx = Math.floor(x / HEATMAP_CELL_SIZE);
+    const cy = Math.floor(y / HEATMAP_CELL_SIZE);
+    const key = `${cx},${cy}`;
+    const cell = cells.get(key);
+    if (cell) {
+      cell.weight += weight;
+    } else {
+      cells.set(key, {cx, cy, weight});
+    }
+  });
+  return Array.from(cells.values());
+}
+
+// ============================================
+// Leaflet Layers
+// ============================================
+
+/**
+ * Shared methods of the heatmap and hexagon layers
+ * Each move bins the area in view again; results of earlier moves that
+ * arrive late are dropped.
+ */
+const AggregationLayerMixin = {
+  /**
+   * Get the bounds of the drawn points
+   * @returns {L.LatLngBounds} Bounds (invalid if there are no points)
+   */
+  getBounds() {
+    const bounds = L.latLngBounds([]);
+    for (const feature of this._features) {
+      const [lng, lat] = feature.geometry.coordinates;
+      bounds.extend([lat, lng]);
+    }
+    return bounds;
+  },
+
+  /**
+   * Get the area to bin for the current view
+   * @param {number} margin - Extra pixels on each side
+   * @returns {Object} {zoom, scale, minX, minY, maxX, maxY, topLeft, size}
+   */
+  _viewArea(margin) {
+    const map = this._map;
+    const zoom = map.getZoom();
+    const size = map.getSize();
+    const topLeft = map.containerPointToLayerPoint(size.multiplyBy(-VIEW_PADDING)).round();
+    const areaSize = size.multiplyBy(1 + VIEW_PADDING * 2).round();
+    const origin = map.getPixelOrigin().add(topLeft);
+    return {
+      zoom,
+      scale: 256 * 2 ** zoom,
+      minX: origin.x - margin,
+      minY: origin.y - margin,
+      maxX: origin.x + areaSize.x + margin,
+      maxY: origin.y + areaSize.y + margin,
+      origin,
+      topLeft,
+      size: areaSize
+    };
+  },
+
+  /**
+   * Bin an area, in DuckDB if the layer has a table, and call back unless a newer request started
+   * @param {Object} area - Binned area
+   * @param {Function} query - Bins in DuckDB: (source, options, area) → Promise of bins
+   * @param {Function} bin - Bins the drawn points: (points, options, area) → bins
+   * @param {Function} callback - Called with the bins
+   */
+  _bin(area, query, bin, callback) {
+    const requestId = ++this._requestId;
+    const binHere = () => bin(this._points, this.options, area);
+
+    const pending = this._source
+      ? query(this._source, this.options, area).catch((error) => {
+        // The table may be gone or still loading; the drawn points are at hand
+        console.warn('[Aggregation] DuckDB binning failed, binning the drawn points:', error);
+        this._source = null;
+        return binHere();
+      })
+      : Promise.resolve().then(binHere);
+
+    pending.then((bins) => {
+      if (requestId !== this._requestId || !this._map) return;
+      callback(bins);
+      this.options.onDraw?.(this);
+    });
+  }
+};
+
+let HexbinLayer = null;
+let HeatmapLayer = null;
+
+/**
+ * Get the hexagon grid layer class, defining it on first use
+ * @returns {Function} Layer class
+ */
+function getHexbinLayerClass() {
+  if (HexbinLayer) return HexbinLayer;
+
+  HexbinLayer = L.Layer.extend({
+    includes: AggregationLayerMixin,
+
+    initialize(features, options) {
+      L.setOptions(this, options);
+      this._features = features;
+      this._points = preparePoints(features, options.column, options.isNumeric);
+      this._source = options.source;
+      this._requestId = 0;
+      this._legend = null;
+      this._group = L.layerGroup();
+      this._polygons = new Map(); // Hexagon key → polygon, for the zoom drawn
+      this._drawnZoom = null;
+    },
+
+    getEvents() {
+      return {moveend: this._update};
+    },
+
+    onAdd(map) {
+      this._group.addTo(map);
+      this._update();
+    },
+
+    onRemove(map) {
+      map.removeLayer(this._group);
+      this._group.clearLayers();
+      this._polygons.clear();
+      this._drawnZoom = null;
+      this._requestId++;
+    },
+
+    /**
+     * Get the legend of the hexagon colors, unless they use the column's color scale
+     * @returns {Object|null} {title, min, max, colormap}
+     */
+    getLegend() {
+      return this._legend;
+    },
+
+    /**
+     * Bin the points in view and draw their hexagons
+     */
+    _update() {
+      if (!this._map) return;
+      const area = this._viewArea(HEXAGON_RADIUS);
+      this._bin(area, queryHexagons, binHexagons, hexagons => this._draw(hexagons, area));
+    },
+
+    /**
+     * Draw hexagons, keeping those still in view so their popups stay open
+     * @param {Array<Object>} hexagons - Hexagons: {q, r, count, value}
+     * @param {Object} area - Binned area
+     */
+    _draw(hexagons, area) {
+      const {pane, column, aggregate, colorScale, isNumeric, colormap} = this.options;
+      const map = this._map;
+
+      // Counts and sums get a scale over the hexagons; means and modes use the column's
+      let colorOf;
+      this._legend = null;
+      if (aggregate === 'count' || aggregate === 'sum' || !colorScale) {
+        const [min, max] = valueRange(hexagons, 'value');
+        const scale = chroma.scale(colormap).domain([min, max]);
+        const label = AGGREGATE_LABELS[aggregate];
+        colorOf = value => scale(value).hex();
+        this._legend = {
+          title: aggregate === 'count'
+            ? 'Objects per hexagon'
+            : `${label[0].toUpperCase()}${label.slice(1)} of ${column} per hexagon`,
+          min,
+          max,
+          colormap
+        };
+      } else if (isNumeric) {
+        colorOf = value => colorScale(value).hex();
+      } else {
+        colorOf = value => colorScale(value);
+      }
+
+      if (area.zoom !== this._drawnZoom) {
+        this._group.clearLayers();
+        this._polygons.clear();
+        this._drawnZoom = area.zoom;
+      }
+
+      const drawn = new Set();
+      for (const hexagon of hexagons) {
+        const key = `${hexagon.q},${hexagon.r}`;
+        const style = {
+          fillColor: hexagon.value === null ? '#888' : colorOf(hexagon.value),
+          fillOpacity: hexagon.value === null ? 0.3 : 0.7
+        };
+        let content = `<strong>${hexagon.count.toLocaleString()} objects</strong>`;
+        if (column && aggregate !== 'count') {
+          const value = hexagon.value === null ? '—' : escapeHtml(formatValue(hexagon.value));
+          content += `<br>${AGGREGATE_LABELS[aggregate]} ${escapeHtml(column)}: ${value}`;
+        }
+
+        let polygon = this._polygons.get(key);
+        if (polygon) {
+          polygon.setStyle(style);
+          polygon.setPopupContent(content);
+        } else {
+          const latlngs = hexagonCorners(hexagon.q, hexagon.r).map(point => map.unproject(point, area.zoom));
+          polygon = L.polygon(latlngs, {pane, ...style, weight: 1, color: '#333', opacity: 0.4});
+          polygon.bindPopup(content);
+          this._polygons.set(key, polygon);
+          this._group.addLayer(polygon);
+        }
+        drawn.add(key);
+      }
+
+      for (const [key, polygon] of this._polygons) {
+        if (!drawn.has(key)) {
+          this._group.removeLayer(polygon);
+          this._polygons.delete(key);
+        }
+      }
+    }
+  });
+  return HexbinLayer;
+}
+
+/**
+ * Get the heatmap layer class, defining it on first use
+ * Like the canvas renderer's layer, the canvas covers the view plus padding
+ * and is scaled by CSS during zoom animations until it is drawn again.
+ * @returns {Function} Layer class
+ */
+function getHeatmapLayerClass() {
+  if (HeatmapLayer) return HeatmapLayer;
+
+  HeatmapLayer = L.Layer.extend({
+    includes: AggregationLayerMixin,
+
+    initialize(features, options) {
+      L.setOptions(this, options);
+      this._features = features;
+      this._points = preparePoints(features, options.weight, true);
+      this._source = options.source;
+      this._requestId = 0;
+      this._legend = null;
+      this._kernel = createKernel();
+    },
+
+    getEvents() {
+      const events = {
+        moveend: this._update,
+        resize: this._update,
+        zoom: this._onZoom
+      };
+      if (this._zoomAnimated) {
+        events.zoomanim = this._onAnimZoom;
+      }
+      return events;
+    },
+
+    onAdd() {
+      const zoomClass = this._zoomAnimated ? 'leaflet-zoom-animated' : 'leaflet-zoom-hide';
+      this._canvas = L.DomUtil.create('canvas', `feature-canvas ${zoomClass}`);
+      this.getPane().appendChild(this._canvas);
+      this._update();
+    },
+
+    onRemove() {
+      L.DomUtil.remove(this._canvas);
+      this._canvas = null;
+      this._center = null;
+      this._requestId++;
+    },
+
+    /**
+     * Get the legend of the density colors
+     * @returns {Object|null} {title, min, max, colormap}
+     */
+    getLegend() {
+      return this._legend;
+    },
+
+    /**
+     * Bin the points in view and draw their density
+     */
+    _update() {
+      if (!this._map) return;
+      const area = this._viewArea(HEATMAP_RADIUS);
+      const center = this._map.getCenter();
+      this._bin(area, queryHeatmapCells, binHeatmapCells, (cells) => {
+        this._center = center;
+        this._zoom = area.zoom;
+        this._draw(cells, area);
+      });
+    },
+
+    /**
+     * Spread cell weights with the kernel and draw the density in the colormap
+     * @param {Array<Object>} cells - Cells: {cx, cy, weight}
+     * @param {Object} area - Binned area
+     */
+    _draw(cells, area) {
+      const canvas = this._canvas;
+      const {radius, weights} = this._kernel;
+      const kernelSize = radius * 2 + 1;
+
+      // Density grid over the canvas, aligned with the cells
+      const firstX = Math.floor(area.origin.x / HEATMAP_CELL_SIZE);
+      const firstY = Math.floor(area.origin.y / HEATMAP_CELL_SIZE);
+      const width = Math.ceil(area.size.x / HEATMAP_CELL_SIZE) + 1;
+      const height = Math.ceil(area.size.y / HEATMAP_CELL_SIZE) + 1;
+      const density = new Float32Array(width * height);
+
+      for (const {cx, cy, weight} of cells) {
+        const gx = cx - firstX;
+        const gy = cy - firstY;
+        for (let dy = -radius; dy <= radius; dy++) {
+          const y = gy + dy;
+          if (y < 0 || y >= height) continue;
+          for (let dx = -radius; dx <= radius; dx++) {
+            const x = gx + dx;
+            if (x < 0 || x >= width) continue;
+            density[y * width + x] += weight * weights[(dy + radius) * kernelSize + dx + radius];
+          }
+        }
+      }
+
+      let max = 0;
+      for (let i = 0; i < density.length; i++) {
+        if (density[i] > max) max = density[i];
+      }
+
+      const {colormap, weight} = this.options;
+      this._legend = {title: weight ? `Density of ${weight}` : 'Point density', min: 0, max: max || 1, colormap};
+
+      // Color the grid in a small canvas and scale it up smoothly
+      const grid = document.createElement('canvas');
+      grid.width = width;
+      grid.height = height;
+      const gridCtx = grid.getContext('2d');
+      if (gridCtx && max > 0) {
+        const palette = chroma.scale(colormap).colors(256).map(color => chroma(color).rgb());
+        const image = gridCtx.createImageData(width, height);
+        for (let i = 0; i < density.length; i++) {
+          const t = density[i] / max;
+          if (t < HEATMAP_MIN_DENSITY) continue;
+          const [r, g, b] = palette[Math.round(t * 255)];
+          image.data[i * 4] = r;
+          image.data[i * 4 + 1] = g;
+          image.data[i * 4 + 2] = b;
+          image.data[i * 4 + 3] = Math.round(255 * HEATMAP_OPACITY * Math.sqrt(t));
+        }
+        gridCtx.putImageData(image, 0, 0);
+      }
+
+      const pixelRatio = window.devicePixelRatio || 1;
+      L.DomUtil.setPosition(canvas, area.topLeft);
+      canvas.width = Math.round(area.size.x * pixelRatio);
+      canvas.height = Math.round(area.size.y * pixelRatio);
+      canvas.style.width = `${area.size.x}px`;
+      canvas.style.height = `${area.size.y}px`;
+
+      const ctx = canvas.getContext('2d');
+      if (!ctx) return;
+      ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+      ctx.clearRect(0, 0, area.size.x, area.size.y);
+      if (gridCtx && max > 0) {
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(
+          grid,
+          firstX * HEATMAP_CELL_SIZE - area.origin.x,
+          firstY * HEATMAP_CELL_SIZE - area.origin.y,
+          width * HEATMAP_CELL_SIZE,
+          height * HEATMAP_CELL_SIZE
+        );
+      }
+    },
+
+    _onZoom() {
+      this._updateTransform(this._map.getCenter(), this._map.getZoom());
+    },
+
+    _onAnimZoom(event) {
+      this._updateTransform(event.center, event.zoom);
+    },
+
+    /**
+     * Scale the drawn canvas to a new center and zoom until it is drawn again
+     * @param {L.LatLng} center - New center
+     * @param {number} zoom - New zoom
+     */
+    _updateTransform(center, zoom) {
+      const map = this._map;
+      if (!this._center) return;
+      const scale = map.getZoomScale(zoom, this._zoom);
+      const viewHalf = map.getSize().multiplyBy(0.5 + VIEW_PADDING);
+      const centerPoint = map.project(this._center, zoom);
+      const topLeft = viewHalf.multiplyBy(-scale).add(centerPoint).subtract(map._getNewPixelOrigin(center, zoom));
+      L.DomUtil.setTransform(this._canvas, topLeft, scale);
+    }
+  });
+  return HeatmapLayer;
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Create a layer drawing points as a grid of hexagons
+ * @param {Array<Object>} features - GeoJSON Point features in WGS84
+ * @param {Object} options - Layer options
+ * @param {string} options.pane - Map pane to draw in
+ * @param {Object|null} options.source - DuckDB table to bin (see activeLayerSource), or null
+ * @param {string|null} options.column - Column whose values are aggregated
+ * @param {boolean} options.isNumeric - Whether the column is numeric
+ * @param {Function|null} options.colorScale - Color scale of the column, for means and modes
+ * @param {string} options.colormap - Colormap of counts and sums
+ * @param {string} options.aggregate - 'count', 'mean', 'sum' or 'mode' (categorical columns use the mode for all but counts)
+ * @param {Function} [options.onDraw] - Called with the layer after each redraw
+ * @returns {L.Layer} Hexagon layer
+ */
+export function createHexbinLayer(features, options) {
+  let aggregate = options.column ? options.aggregate : 'count';
+  if (!options.isNumeric && aggregate !== 'count') {
+    aggregate = 'mode';
+  }
+  const Layer = getHexbinLayerClass();
+  return new Layer(features, {...options, aggregate});
+}
+
+/**
+ * Create a layer drawing the kernel density of points as a heatmap
+ * @param {Array<Object>} features - GeoJSON Point features in WGS84
+ * @param {Object} options - Layer options
+ * @param {string} options.pane - Map pane to draw in
+ * @param {Object|null} options.source - DuckDB table to bin (see activeLayerSource), or null
+ * @param {string|null} options.weight - Numeric column weighting the points, or null to count them
+ * @param {string} options.colormap - Colormap of the density
+ * @param {Function} [options.onDraw] - Called with the layer after each redraw
+ * @returns {L.Layer} Heatmap layer
+ */
+export function createHeatmapLayer(features, options) {
+  const Layer = getHeatmapLayerClass();
+  return new Layer(features, options);
+}
+
+/**
+ * Check whether a rendered layer is a heatmap or hexagon layer
+ * @param {L.Layer|null} layer - Rendered layer
+ * @returns {boolean} Whether the layer draws aggregated points
+ */
+export function isAggregationLayer(layer) {
+  return Boolean((HexbinLayer && layer instanceof HexbinLayer) || (HeatmapLayer && layer instanceof HeatmapLayer));
+}
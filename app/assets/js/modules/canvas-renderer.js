@@ -0,0 +1,882 @@
+/**
+ * VecGeo Viewer - Canvas Renderer Module
+ *
+ * Draws all objects of a layer into a single canvas instead of one Leaflet
+ * layer per object, for datasets too large for the Leaflet renderer. Layers
+ * of points and lines are drawn with WebGL when the browser has it; layers
+ * with polygons, and browsers without WebGL (e.g. headless without a GPU),
+ * use batched 2D canvas drawing. Clicks are hit-tested against a grid index
+ * to open the same popups as the Leaflet renderer.
+ *
+ * The 2D drawing, hit-testing and popups are shared with vector tiles
+ * (vector-tiles.js), which draw each tile the same way.
+ */
+
+import {buildGridIndex, projectX, projectY, sqSegmentDistance} from './geometry-utils.js';
+
+// ============================================
+// Settings
+// ============================================
+
+// Extra area drawn around the view, as a fraction of its size, so panning shows no empty edges
+const CANVAS_PADDING = 0.1;
+
+// Distance in screen pixels within which a click hits a line
+const LINE_HIT_TOLERANCE = 4;
+
+// Canvas and vector tile layers on the map, asked in turn which object was clicked
+const hitTestLayers = new Set();
+let mapEventsBound = false;
+let hoverFrame = null;
+
+// ============================================
+// Preparing Features
+// ============================================
+
+/**
+ * Create a lookup of feature styles, shared by all objects drawn for a layer
+ * Features with equal styles get the same style id, so they are drawn together.
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {Function} style - Returns the Leaflet path style of a feature
+ * @returns {{styles: Array<Object>, styleOf: Function}} Distinct styles, and the
+ *   style id of a feature index
+ */
+export function createStyler(features, style) {
+  const styles = [];
+  const styleIndex = new Map();
+  const featureStyles = new Int32Array(features.length).fill(-1);
+
+  const styleOf = (index) => {
+    if (featureStyles[index] === -1) {
+      const featureStyle = style(features[index]);
+      const key = JSON.stringify(featureStyle);
+      if (!styleIndex.has(key)) {
+        styleIndex.set(key, styles.length);
+        styles.push(featureStyle);
+      }
+      featureStyles[index] = styleIndex.get(key);
+    }
+    return featureStyles[index];
+  };
+  return {styles, styleOf};
+}
+
+/**
+ * Combine projected points and shapes into data for drawing and hit-testing
+ * @param {Object} styler - Style lookup from createStyler
+ * @param {Object} points - Points as {x, y, feature, count}, in typed arrays
+ * @param {Array<Object>} shapes - Lines and polygons as {kind, feature, coords, parts, bbox}
+ * @returns {Object} Drawing data
+ */
+export function createDrawData(styler, points, shapes) {
+  const pointStyles = new Uint32Array(points.count);
+  const extent = [Infinity, Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < points.count; i++) {
+    pointStyles[i] = styler.styleOf(points.feature[i]);
+    if (points.x[i] < extent[0]) extent[0] = points.x[i];
+    if (points.y[i] < extent[1]) extent[1] = points.y[i];
+    if (points.x[i] > extent[2]) extent[2] = points.x[i];
+    if (points.y[i] > extent[3]) extent[3] = points.y[i];
+  }
+
+  // Shapes are drawn in batches of the same kind and style
+  const {styles} = styler;
+  const groups = {polygon: [], line: []};
+  shapes.forEach((shape, index) => {
+    shape.style = styler.styleOf(shape.feature);
+    const group = groups[shape.kind];
+    (group[shape.style] || (group[shape.style] = [])).push(index);
+    extent[0] = Math.min(extent[0], shape.bbox[0]);
+    extent[1] = Math.min(extent[1], shape.bbox[1]);
+    extent[2] = Math.max(extent[2], shape.bbox[2]);
+    extent[3] = Math.max(extent[3], shape.bbox[3]);
+  });
+
+  return {
+    styles,
+    points: {...points, style: pointStyles},
+    shapes,
+    polygonGroups: Array.from(styles, (style, id) => groups.polygon[id] || []),
+    lineGroups: Array.from(styles, (style, id) => groups.line[id] || []),
+    hasPolygons: groups.polygon.length > 0,
+    extent,
+    index: null
+  };
+}
+
+/**
+ * Project the features of a layer and sort them by kind and style
+ * Points are kept in typed arrays, since layers may hold millions of them;
+ * every line and polygon is a shape with its own bounding box.
+ * @param {Object} geojson - FeatureCollection in WGS84
+ * @param {Function} style - Returns the Leaflet path style of a feature
+ * @returns {Object} Drawing data, with the features and their WGS84 bounds
+ */
+function prepareData(geojson, style) {
+  const pointX = [];
+  const pointY = [];
+  const pointFeature = [];
+  const shapes = [];
+  const bounds = {minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity};
+
+  const extend = (lng, lat) => {
+    if (lng < bounds.minLng) bounds.minLng = lng;
+    if (lng > bounds.maxLng) bounds.maxLng = lng;
+    if (lat < bounds.minLat) bounds.minLat = lat;
+    if (lat > bounds.maxLat) bounds.maxLat = lat;
+  };
+
+  const addShape = (kind, feature, lines) => {
+    const count = lines.reduce((sum, line) => sum + line.length, 0);
+    if (count === 0) return;
+
+    const coords = new Float64Array(count * 2);
+    const parts = new Int32Array(lines.length + 1);
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    let offset = 0;
+    lines.forEach((line, index) => {
+      parts[index] = offset / 2;
+      for (const [lng, lat] of line) {
+        const x = projectX(lng);
+        const y = projectY(lat);
+        coords[offset++] = x;
+        coords[offset++] = y;
+        if (x < bbox[0]) bbox[0] = x;
+        if (y < bbox[1]) bbox[1] = y;
+        if (x > bbox[2]) bbox[2] = x;
+        if (y > bbox[3]) bbox[3] = y;
+        extend(lng, lat);
+      }
+    });
+    parts[lines.length] = count;
+    shapes.push({kind, feature, coords, parts, bbox});
+  };
+
+  const addGeometry = (geometry, feature) => {
+    if (!geometry) return;
+    const coords = geometry.coordinates;
+    switch (geometry.type) {
+      case 'Point':
+        pointX.push(projectX(coords[0]));
+        pointY.push(projectY(coords[1]));
+        pointFeature.push(feature);
+        extend(coords[0], coords[1]);
+        break;
+      case 'MultiPoint':
+        coords.forEach(point => addGeometry({type: 'Point', coordinates: point}, feature));
+        break;
+      case 'LineString':
+        addShape('line', feature, [coords]);
+        break;
+      case 'MultiLineString':
+        addShape('line', feature, coords);
+        break;
+      case 'Polygon':
+        addShape('polygon', feature, coords);
+        break;
+      case 'MultiPolygon':
+        coords.forEach(polygon => addShape('polygon', feature, polygon));
+        break;
+      case 'GeometryCollection':
+        geometry.geometries.forEach(part => addGeometry(part, feature));
+        break;
+    }
+  };
+
+  geojson.features.forEach((feature, index) => addGeometry(feature?.geometry, index));
+
+  const points = {
+    x: Float64Array.from(pointX),
+    y: Float64Array.from(pointY),
+    feature: Int32Array.from(pointFeature),
+    count: pointX.length
+  };
+  return {
+    ...createDrawData(createStyler(geojson.features, style), points, shapes),
+    features: geojson.features,
+    bounds
+  };
+}
+
+/**
+ * Convert a CSS color and opacity to RGBA bytes
+ * @param {string} color - CSS color
+ * @param {number} opacity - Opacity from 0 to 1
+ * @returns {Array<number>} [r, g, b, a], each 0-255
+ */
+function colorBytes(color, opacity) {
+  let rgba = [136, 136, 136, 1];
+  try {
+    rgba = chroma(color).rgba();
+  } catch (e) {
+    // Unknown colors are drawn grey
+  }
+  return [rgba[0], rgba[1], rgba[2], Math.round(255 * rgba[3] * (opacity ?? 1))];
+}
+
+// ============================================
+// 2D Canvas Drawing
+// ============================================
+
+/**
+ * Draw data with the 2D canvas API
+ * Objects of the same style are drawn together; polygons first, then lines,
+ * then points. Objects outside the canvas are skipped.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} data - Drawing data
+ * @param {Object} view - Scale and origin of the data's coordinates on the
+ *   canvas, the canvas size in CSS pixels, its pixel ratio and the point radius
+ */
+export function draw2D(ctx, data, view) {
+  const {scale, originX, originY, width, height, pixelRatio, pointRadius} = view;
+  ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+
+  // Visible area in zoom-0 pixels, widened by the largest point
+  const margin = (pointRadius + 2) / scale;
+  const minX = originX / scale - margin;
+  const minY = originY / scale - margin;
+  const maxX = (originX + width) / scale + margin;
+  const maxY = (originY + height) / scale + margin;
+  const visible = bbox => bbox[2] >= minX && bbox[0] <= maxX && bbox[3] >= minY && bbox[1] <= maxY;
+
+  // Add the parts of a shape to a path (the context's own or a Path2D)
+  const traceShape = (path, shape, close) => {
+    const {coords, parts} = shape;
+    for (let part = 0; part < parts.length - 1; part++) {
+      for (let i = parts[part]; i < parts[part + 1]; i++) {
+        const x = coords[i * 2] * scale - originX;
+        const y = coords[i * 2 + 1] * scale - originY;
+        if (i === parts[part]) {
+          path.moveTo(x, y);
+        } else {
+          path.lineTo(x, y);
+        }
+      }
+      if (close) path.closePath();
+    }
+  };
+
+  data.polygonGroups.forEach((group, styleId) => {
+    if (group.length === 0) return;
+    const style = data.styles[styleId];
+    const outlines = new Path2D();
+
+    ctx.fillStyle = style.fillColor;
+    ctx.globalAlpha = style.fillOpacity ?? 0.2;
+    for (const index of group) {
+      const shape = data.shapes[index];
+      if (!visible(shape.bbox)) continue;
+
+      // Polygons smaller than a pixel are drawn as one
+      if ((shape.bbox[2] - shape.bbox[0]) * scale < 1 && (shape.bbox[3] - shape.bbox[1]) * scale < 1) {
+        ctx.fillRect(Math.floor(shape.bbox[0] * scale - originX), Math.floor(shape.bbox[1] * scale - originY), 1, 1);
+        continue;
+      }
+
+      // Filled one at a time, so overlapping polygons do not cancel out
+      ctx.beginPath();
+      traceShape(ctx, shape, true);
+      ctx.fill('evenodd');
+      traceShape(outlines, shape, true);
+    }
+
+    if (style.weight > 0) {
+      ctx.strokeStyle = style.color;
+      ctx.globalAlpha = style.opacity ?? 1;
+      ctx.lineWidth = style.weight;
+      ctx.stroke(outlines);
+    }
+  });
+
+  data.lineGroups.forEach((group, styleId) => {
+    if (group.length === 0) return;
+    const style = data.styles[styleId];
+    ctx.beginPath();
+    for (const index of group) {
+      const shape = data.shapes[index];
+      if (visible(shape.bbox)) traceShape(ctx, shape, false);
+    }
+    ctx.strokeStyle = style.color;
+    ctx.globalAlpha = style.opacity ?? 1;
+    ctx.lineWidth = style.weight ?? 1;
+    ctx.stroke();
+  });
+
+  // Points of each style are collected into one path
+  const {points} = data;
+  const paths = data.styles.map(() => null);
+  for (let i = 0; i < points.count; i++) {
+    const x = points.x[i];
+    const y = points.y[i];
+    if (x < minX || x > maxX || y < minY || y > maxY) continue;
+
+    const styleId = points.style[i];
+    const path = paths[styleId] || (paths[styleId] = new Path2D());
+    const px = x * scale - originX;
+    const py = y * scale - originY;
+    path.moveTo(px + pointRadius, py);
+    path.arc(px, py, pointRadius, 0, Math.PI * 2);
+  }
+  paths.forEach((path, styleId) => {
+    if (!path) return;
+    const style = data.styles[styleId];
+    ctx.fillStyle = style.fillColor;
+    ctx.globalAlpha = style.fillOpacity ?? 0.2;
+    ctx.fill(path);
+    if (style.weight > 0) {
+      ctx.strokeStyle = style.color;
+      ctx.globalAlpha = style.opacity ?? 1;
+      ctx.lineWidth = style.weight;
+      ctx.stroke(path);
+    }
+  });
+
+  ctx.globalAlpha = 1;
+}
+
+// ============================================
+// WebGL Drawing
+// ============================================
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+attribute vec4 a_fill;
+attribute vec4 a_stroke;
+uniform vec2 u_resolution;
+uniform float u_pointSize;
+varying vec4 v_fill;
+varying vec4 v_stroke;
+
+void main() {
+  vec2 clip = a_position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  gl_PointSize = u_pointSize;
+  v_fill = a_fill;
+  v_stroke = a_stroke;
+}
+`;
+
+// Points are drawn as circles with a stroke of u_strokeWidth centred on their
+// radius, like Leaflet circle markers; colors are premultiplied
+const FRAGMENT_SHADER = `
+precision mediump float;
+uniform bool u_points;
+uniform float u_pointSize;
+uniform float u_strokeWidth;
+varying vec4 v_fill;
+varying vec4 v_stroke;
+
+void main() {
+  vec4 stroke = vec4(v_stroke.rgb * v_stroke.a, v_stroke.a);
+  if (!u_points) {
+    gl_FragColor = stroke;
+    return;
+  }
+
+  float outer = u_pointSize * 0.5;
+  float radius = outer - u_strokeWidth * 0.5;
+  float distance = length(gl_PointCoord - 0.5) * u_pointSize;
+  if (distance > outer) discard;
+
+  vec4 fill = distance <= radius ? vec4(v_fill.rgb * v_fill.a, v_fill.a) : vec4(0.0);
+  gl_FragColor = distance >= radius - u_strokeWidth * 0.5 ? stroke + fill * (1.0 - stroke.a) : fill;
+}
+`;
+
+/**
+ * Compile and link a shader program
+ * @param {WebGLRenderingContext} gl - WebGL context
+ * @returns {WebGLProgram|null} Program, or null if the GPU rejected it
+ */
+function buildProgram(gl) {
+  const program = gl.createProgram();
+  for (const [type, source] of [[gl.VERTEX_SHADER, VERTEX_SHADER], [gl.FRAGMENT_SHADER, FRAGMENT_SHADER]]) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      console.warn('[Canvas] Shader failed to compile:', gl.getShaderInfoLog(shader));
+      return null;
+    }
+    gl.attachShader(program, shader);
+  }
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    console.warn('[Canvas] Shader program failed to link:', gl.getProgramInfoLog(program));
+    return null;
+  }
+  return program;
+}
+
+/**
+ * Set up WebGL drawing of points and lines
+ * Vertex colors are uploaded once; positions are projected to the canvas on
+ * every redraw. Lines are drawn 1px wide, as most GPUs support no other width.
+ * @param {HTMLCanvasElement} canvas - Canvas without a context yet
+ * @param {Object} data - Prepared data without polygons
+ * @returns {Function|null} Draw function taking the view, or null without WebGL
+ */
+function createGLDrawer(canvas, data) {
+  let gl = null;
+  try {
+    gl = canvas.getContext('webgl', {premultipliedAlpha: true, antialias: true});
+  } catch (e) {
+    gl = null;
+  }
+  if (!gl) return null;
+
+  const program = buildProgram(gl);
+  if (!program) return null;
+
+  // Lines become pairs of segment ends, followed by the points
+  let lineVertexCount = 0;
+  for (const shape of data.shapes) {
+    for (let part = 0; part < shape.parts.length - 1; part++) {
+      lineVertexCount += Math.max(0, shape.parts[part + 1] - shape.parts[part] - 1) * 2;
+    }
+  }
+  const {points} = data;
+  const vertexCount = lineVertexCount + points.count;
+  const world = new Float64Array(vertexCount * 2);
+  const fills = new Uint8Array(vertexCount * 4);
+  const strokes = new Uint8Array(vertexCount * 4);
+  const styleColors = data.styles.map(style => ({
+    fill: colorBytes(style.fillColor, style.fillOpacity ?? 0.2),
+    stroke: colorBytes(style.color, style.weight > 0 ? style.opacity ?? 1 : 0)
+  }));
+
+  let vertex = 0;
+  const addVertex = (x, y, styleId) => {
+    world[vertex * 2] = x;
+    world[vertex * 2 + 1] = y;
+    fills.set(styleColors[styleId].fill, vertex * 4);
+    strokes.set(styleColors[styleId].stroke, vertex * 4);
+    vertex++;
+  };
+  for (const shape of data.shapes) {
+    const {coords, parts} = shape;
+    for (let part = 0; part < parts.length - 1; part++) {
+      for (let i = parts[part]; i < parts[part + 1] - 1; i++) {
+        addVertex(coords[i * 2], coords[i * 2 + 1], shape.style);
+        addVertex(coords[i * 2 + 2], coords[i * 2 + 3], shape.style);
+      }
+    }
+  }
+  for (let i = 0; i < points.count; i++) {
+    addVertex(points.x[i], points.y[i], points.style[i]);
+  }
+
+  const strokeWidth = Math.max(0, ...data.styles.map(style => style.weight || 0));
+  const positions = new Float32Array(vertexCount * 2);
+  const positionBuffer = gl.createBuffer();
+
+  const bindAttribute = (name, buffer, size, type, normalized) => {
+    const location = gl.getAttribLocation(program, name);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribPointer(location, size, type, normalized, 0, 0);
+  };
+  const uploadColors = (name, colors) => {
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, colors, gl.STATIC_DRAW);
+    bindAttribute(name, buffer, 4, gl.UNSIGNED_BYTE, true);
+  };
+
+  gl.useProgram(program);
+  uploadColors('a_fill', fills);
+  uploadColors('a_stroke', strokes);
+  bindAttribute('a_position', positionBuffer, 2, gl.FLOAT, false);
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+  const uniforms = Object.fromEntries(['u_resolution', 'u_pointSize', 'u_strokeWidth', 'u_points']
+    .map(name => [name, gl.getUniformLocation(program, name)]));
+
+  return ({scale, originX, originY, width, height, pixelRatio, pointRadius}) => {
+    for (let i = 0; i < vertexCount; i++) {
+      positions[i * 2] = world[i * 2] * scale - originX;
+      positions[i * 2 + 1] = world[i * 2 + 1] * scale - originY;
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.DYNAMIC_DRAW);
+
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.uniform2f(uniforms.u_resolution, width, height);
+    gl.uniform1f(uniforms.u_pointSize, (pointRadius * 2 + strokeWidth) * pixelRatio);
+    gl.uniform1f(uniforms.u_strokeWidth, strokeWidth * pixelRatio);
+
+    if (lineVertexCount > 0) {
+      gl.uniform1i(uniforms.u_points, 0);
+      gl.drawArrays(gl.LINES, 0, lineVertexCount);
+    }
+    if (points.count > 0) {
+      gl.uniform1i(uniforms.u_points, 1);
+      gl.drawArrays(gl.POINTS, lineVertexCount, points.count);
+    }
+  };
+}
+
+// ============================================
+// Hit Testing
+// ============================================
+
+/**
+ * Test whether a line shape passes within a distance of a point
+ * @returns {boolean} Whether the line is hit
+ */
+function hitsLine(shape, x, y, tolerance) {
+  const {coords, parts} = shape;
+  const toleranceSq = tolerance * tolerance;
+  for (let part = 0; part < parts.length - 1; part++) {
+    for (let i = parts[part]; i < parts[part + 1] - 1; i++) {
+      if (sqSegmentDistance(x, y, coords[i * 2], coords[i * 2 + 1], coords[i * 2 + 2], coords[i * 2 + 3]) <= toleranceSq) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Test whether a point is inside a polygon shape (even-odd over all its rings)
+ * @returns {boolean} Whether the polygon is hit
+ */
+function hitsPolygon(shape, x, y) {
+  const {coords, parts} = shape;
+  let inside = false;
+  for (let part = 0; part < parts.length - 1; part++) {
+    for (let i = parts[part], j = parts[part + 1] - 1; i < parts[part + 1]; j = i++) {
+      const yi = coords[i * 2 + 1];
+      const yj = coords[j * 2 + 1];
+      if ((yi > y) !== (yj > y) &&
+          x < (coords[j * 2] - coords[i * 2]) * (y - yi) / (yj - yi) + coords[i * 2]) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+}
+
+/**
+ * Find the topmost feature drawn at a position
+ * Points are on top of lines and lines on top of polygons; within a kind,
+ * later features are drawn over earlier ones.
+ * @param {Object} data - Drawing data
+ * @param {number} x - Position in the data's coordinates
+ * @param {number} y - Position in the data's coordinates
+ * @param {number} scale - Screen pixels per unit of the data's coordinates
+ * @param {number} pointRadius - Point radius in screen pixels
+ * @returns {number|null} Feature index, or null if nothing is there
+ */
+export function hitTest(data, x, y, scale, pointRadius) {
+  if (!data.index) {
+    data.index = buildGridIndex(data, data.extent);
+  }
+  const index = data.index;
+  const {points, shapes, styles} = data;
+
+  const maxWeight = Math.max(0, ...styles.map(style => style.weight || 0));
+  const pointTolerance = (pointRadius + maxWeight / 2) / scale;
+  const lineTolerance = (LINE_HIT_TOLERANCE + maxWeight / 2) / scale;
+  const reach = Math.max(pointTolerance, lineTolerance);
+
+  let best = null;
+  let bestRank = -1;
+  const consider = (rank, feature) => {
+    if (rank > bestRank || (rank === bestRank && feature > best)) {
+      best = feature;
+      bestRank = rank;
+    }
+  };
+  const test = (id) => {
+    if (id < points.count) {
+      const dx = points.x[id] - x;
+      const dy = points.y[id] - y;
+      if (dx * dx + dy * dy <= pointTolerance * pointTolerance) consider(2, points.feature[id]);
+      return;
+    }
+    const shape = shapes[id - points.count];
+    if (shape.bbox[0] - reach > x || shape.bbox[2] + reach < x || shape.bbox[1] - reach > y || shape.bbox[3] + reach < y) return;
+    if (shape.kind === 'line') {
+      if (hitsLine(shape, x, y, lineTolerance)) consider(1, shape.feature);
+    } else if (hitsPolygon(shape, x, y)) {
+      consider(0, shape.feature);
+    }
+  };
+
+  const x0 = index.column(x - reach);
+  const x1 = index.column(x + reach);
+  const y0 = index.row(y - reach);
+  const y1 = index.row(y + reach);
+  for (let row = y0; row <= y1; row++) {
+    for (let column = x0; column <= x1; column++) {
+      const cell = row * index.size + column;
+      for (let i = index.offsets[cell]; i < index.offsets[cell + 1]; i++) {
+        test(index.entries[i]);
+      }
+    }
+  }
+  index.large.forEach(test);
+
+  return best;
+}
+
+// ============================================
+// Leaflet Layer
+// ============================================
+
+let CanvasLayer = null;
+
+/**
+ * Get the Leaflet layer class, defining it on first use
+ * It follows L.Renderer: the canvas covers the view plus padding, is
+ * redrawn after every move and is scaled by CSS during zoom animations.
+ * @returns {Function} Layer class
+ */
+function getCanvasLayerClass() {
+  if (CanvasLayer) return CanvasLayer;
+
+  CanvasLayer = L.Layer.extend({
+    initialize(data, options) {
+      this._data = data;
+      L.setOptions(this, options);
+    },
+
+    getEvents() {
+      const events = {
+        moveend: this._reset,
+        resize: this._reset,
+        zoom: this._onZoom
+      };
+      if (this._zoomAnimated) {
+        events.zoomanim = this._onAnimZoom;
+      }
+      return events;
+    },
+
+    onAdd() {
+      this._createCanvas();
+      addHitTestLayer(this);
+      this._reset();
+    },
+
+    onRemove() {
+      L.DomUtil.remove(this._canvas);
+      removeHitTestLayer(this);
+      this._canvas = null;
+      this._draw = null;
+    },
+
+    /**
+     * Get the bounds of all drawn features
+     * @returns {L.LatLngBounds} Bounds (invalid if nothing is drawn)
+     */
+    getBounds() {
+      const {minLat, minLng, maxLat, maxLng} = this._data.bounds;
+      return minLat <= maxLat ? L.latLngBounds([minLat, minLng], [maxLat, maxLng]) : L.latLngBounds([]);
+    },
+
+    /**
+     * Find the feature drawn at a point of the map container
+     * @param {L.Point} containerPoint - Position in the map container
+     * @returns {Object|null} GeoJSON feature
+     */
+    featureAt(containerPoint) {
+      const map = this._map;
+      const zoom = map.getZoom();
+      const pixel = map.getPixelOrigin().add(map.containerPointToLayerPoint(containerPoint));
+      const scale = 2 ** zoom;
+      const index = hitTest(this._data, pixel.x / scale, pixel.y / scale, scale, this.options.pointRadius);
+      return index === null ? null : this._data.features[index];
+    },
+
+    /**
+     * Create the canvas, with a WebGL context when the layer has no polygons
+     */
+    _createCanvas() {
+      const zoomClass = this._zoomAnimated ? 'leaflet-zoom-animated' : 'leaflet-zoom-hide';
+      this._canvas = L.DomUtil.create('canvas', `feature-canvas ${zoomClass}`);
+      this._draw = this._data.hasPolygons ? null : createGLDrawer(this._canvas, this._data);
+
+      if (!this._draw) {
+        // A canvas keeps the first context asked for, so 2D drawing needs a fresh one
+        this._canvas = L.DomUtil.create('canvas', `feature-canvas ${zoomClass}`);
+        const ctx = this._canvas.getContext('2d');
+        this._draw = ctx ? view => draw2D(ctx, this._data, view) : () => {};
+      }
+      this.getPane().appendChild(this._canvas);
+    },
+
+    /**
+     * Cover the view with the canvas and redraw it
+     */
+    _reset() {
+      const map = this._map;
+      if (!map || !this._canvas) return;
+
+      const size = map.getSize();
+      const topLeft = map.containerPointToLayerPoint(size.multiplyBy(-CANVAS_PADDING)).round();
+      const canvasSize = size.multiplyBy(1 + CANVAS_PADDING * 2).round();
+      const pixelRatio = window.devicePixelRatio || 1;
+
+      this._center = map.getCenter();
+      this._zoom = map.getZoom();
+      L.DomUtil.setPosition(this._canvas, topLeft);
+      this._canvas.width = Math.round(canvasSize.x * pixelRatio);
+      this._canvas.height = Math.round(canvasSize.y * pixelRatio);
+      this._canvas.style.width = `${canvasSize.x}px`;
+      this._canvas.style.height = `${canvasSize.y}px`;
+
+      const origin = map.getPixelOrigin().add(topLeft);
+      this._draw({
+        scale: 2 ** this._zoom,
+        originX: origin.x,
+        originY: origin.y,
+        width: canvasSize.x,
+        height: canvasSize.y,
+        pixelRatio,
+        pointRadius: this.options.pointRadius
+      });
+    },
+
+    _onZoom() {
+      this._updateTransform(this._map.getCenter(), this._map.getZoom());
+    },
+
+    _onAnimZoom(event) {
+      this._updateTransform(event.center, event.zoom);
+    },
+
+    /**
+     * Scale the drawn canvas to a new center and zoom until it is redrawn
+     * @param {L.LatLng} center - New center
+     * @param {number} zoom - New zoom
+     */
+    _updateTransform(center, zoom) {
+      const map = this._map;
+      if (!this._center) return;
+      const scale = map.getZoomScale(zoom, this._zoom);
+      const viewHalf = map.getSize().multiplyBy(0.5 + CANVAS_PADDING);
+      const centerPoint = map.project(this._center, zoom);
+      const topLeft = viewHalf.multiplyBy(-scale).add(centerPoint).subtract(map._getNewPixelOrigin(center, zoom));
+      L.DomUtil.setTransform(this._canvas, topLeft, scale);
+    }
+  });
+  return CanvasLayer;
+}
+
+// ============================================
+// Popups and Hover
+// ============================================
+
+/**
+ * Listen for clicks and pointer moves on the map, once
+ * @param {L.Map} map - Map
+ */
+function bindMapEvents(map) {
+  if (mapEventsBound) return;
+  mapEventsBound = true;
+
+  map.on('click', (event) => {
+    const hit = findFeatureAt(event.containerPoint);
+    const content = hit && hit.layer.options.popupContent(hit.feature);
+    if (!content) return;
+    L.popup()
+      .setLatLng(event.latlng)
+      .setContent(content)
+      .openOn(map);
+  });
+
+  map.on('mousemove', (event) => {
+    if (hoverFrame !== null) return;
+    hoverFrame = requestAnimationFrame(() => {
+      hoverFrame = null;
+      L.DomUtil[findFeatureAt(event.containerPoint) ? 'addClass' : 'removeClass'](map.getContainer(), 'feature-canvas-hover');
+    });
+  });
+}
+
+/**
+ * Open popups for clicks on the features a layer draws
+ * The layer needs featureAt(containerPoint) returning a feature or null,
+ * and a popupContent(feature) option.
+ * @param {L.Layer} layer - Layer on the map
+ */
+export function addHitTestLayer(layer) {
+  hitTestLayers.add(layer);
+  bindMapEvents(layer._map);
+}
+
+/**
+ * Stop hit-testing a layer removed from the map
+ * @param {L.Layer} layer - Layer
+ */
+export function removeHitTestLayer(layer) {
+  hitTestLayers.delete(layer);
+}
+
+/**
+ * Find the topmost feature drawn by any hit-tested layer at a point
+ * Layers in hidden panes are skipped; higher panes are asked first.
+ * @param {L.Point} containerPoint - Position in the map container
+ * @returns {{layer: L.Layer, feature: Object}|null} Hit
+ */
+function findFeatureAt(containerPoint) {
+  const layers = [...hitTestLayers]
+    .map(layer => ({layer, pane: layer.getPane()}))
+    .filter(({pane}) => pane && pane.style.display !== 'none')
+    .sort((a, b) => paneZIndex(b.pane) - paneZIndex(a.pane));
+
+  for (const {layer} of layers) {
+    const feature = layer.featureAt(containerPoint);
+    if (feature) return {layer, feature};
+  }
+  return null;
+}
+
+/**
+ * Get the stacking order of a map pane
+ * @param {HTMLElement} pane - Pane element
+ * @returns {number} z-index
+ */
+function paneZIndex(pane) {
+  return parseInt(pane.style.zIndex || getComputedStyle(pane).zIndex, 10) || 0;
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Create a layer drawing all features of a collection into one canvas
+ * @param {Object} geojson - FeatureCollection in WGS84
+ * @param {Object} options - Layer options
+ * @param {string} options.pane - Map pane to draw in
+ * @param {Function} options.style - Returns the Leaflet path style of a feature
+ * @param {number} options.pointRadius - Point radius in pixels
+ * @param {Function} options.popupContent - Returns the popup HTML of a feature, or null for none
+ * @returns {L.Layer} Canvas layer
+ */
+export function createCanvasLayer(geojson, {pane, style, pointRadius, popupContent}) {
+  const start = performance.now();
+  const data = prepareData(geojson, style);
+  console.log(`[Canvas] Prepared ${geojson.features.length.toLocaleString()} features in ${Math.round(performance.now() - start)} ms`);
+
+  const Layer = getCanvasLayerClass();
+  return new Layer(data, {pane, pointRadius, popupContent});
+}
+
+/**
+ * Check whether a rendered layer is a canvas layer
+ * @param {L.Layer|null} layer - Rendered layer
+ * @returns {boolean} Whether the layer draws into one canvas
+ */
+export function isCanvasLayer(layer) {
+  return Boolean(CanvasLayer && layer instanceof CanvasLayer);
+}
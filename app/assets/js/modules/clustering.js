@@ -0,0 +1,455 @@
+/**
+ * VecGeo Viewer - Point Clustering Module
+ *
+ * Groups the point features of a layer into clusters per zoom level, on a
+ * grid of screen-sized cells. Clusters show their point count and are
+ * colored by it, or by the mean, sum or mode of the Color by Column values
+ * of their points; clicking one zooms in until it splits. Only the clusters in view
+ * are on the map.
+ *
+ * The point projection, view padding and aggregate labels are shared with
+ * the heatmap and hexagon displays (aggregation.js).
+ */
+
+import {projectX, projectY} from './geometry-utils.js';
+
+// ============================================
+// Settings
+// ============================================
+
+// Points within one grid cell of this many pixels form a cluster
+const CLUSTER_CELL_SIZE = 60;
+
+// Zoom levels whose clusters are kept for when the map returns to them
+const MAX_CACHED_ZOOMS = 4;
+
+// Area around the view whose clusters (or bins) are also shown, as a fraction of its size
+export const VIEW_PADDING = 0.25;
+
+// Members listed in the popup of a cluster that cannot be split further
+const MAX_LISTED_MEMBERS = 10;
+
+// Color of clusters when no column is selected
+const DEFAULT_CLUSTER_COLOR = '#268bd2';
+
+// Names of the aggregates in tooltips, popups and the legend
+export const AGGREGATE_LABELS = {count: 'count', mean: 'mean', sum: 'sum', mode: 'most common'};
+
+// ============================================
+// Projection
+// ============================================
+
+/**
+ * Convert Web Mercator pixels at zoom 0 back to a position
+ * @param {number} x - x in 0..256
+ * @param {number} y - y in 0..256
+ * @returns {L.LatLng} Position
+ */
+function unproject(x, y) {
+  const lat = (2 * Math.atan(Math.exp(Math.PI * (1 - y / 128))) - Math.PI / 2) * 180 / Math.PI;
+  return L.latLng(lat, (x / 256 - 0.5) * 360);
+}
+
+// ============================================
+// Clustering
+// ============================================
+
+/**
+ * Check whether a feature is drawn as a clusterable point
+ * @param {Object} feature - GeoJSON feature
+ * @returns {boolean} Whether the feature is a Point
+ */
+export function isPointFeature(feature) {
+  return feature?.geometry?.type === 'Point' && feature.geometry.coordinates?.length >= 2;
+}
+
+/**
+ * Project point features to Web Mercator pixels at zoom 0 and read a column
+ * @param {Array<Object>} features - GeoJSON point features
+ * @param {string|null} column - Column whose values are aggregated
+ * @param {boolean} isNumeric - Whether to read the column as numbers
+ * @returns {Object} Points: {x, y, values, count}
+ */
+export function preparePoints(features, column, isNumeric) {
+  const count = features.length;
+  const x = new Float64Array(count);
+  const y = new Float64Array(count);
+  const values = column ? new Array(count) : null;
+
+  features.forEach((feature, i) => {
+    const [lng, lat] = feature.geometry.coordinates;
+    x[i] = projectX(lng);
+    y[i] = projectY(lat);
+    if (values) {
+      const value = feature.properties?.[column];
+      if (value === null || value === undefined) {
+        values[i] = null;
+      } else if (isNumeric) {
+        const number = parseFloat(value);
+        values[i] = isFinite(number) ? number : null;
+      } else {
+        values[i] = value;
+      }
+    }
+  });
+  return {x, y, values, count};
+}
+
+/**
+ * Group points into the grid cells of a zoom level
+ * @param {Object} points - Prepared points
+ * @param {number} zoom - Integer zoom level
+ * @param {string} aggregate - 'count', 'mean', 'sum' or 'mode'
+ * @returns {Array<Object>} Clusters: {key, count, x, y, bbox, first, value}
+ */
+function clusterPoints(points, zoom, aggregate) {
+  const cellSize = CLUSTER_CELL_SIZE / 2 ** zoom;
+  const cellsPerRow = Math.ceil(256 / cellSize) + 1;
+  const cells = new Map();
+
+  for (let i = 0; i < points.count; i++) {
+    const px = points.x[i];
+    const py = points.y[i];
+    const key = Math.floor(py / cellSize) * cellsPerRow + Math.floor(px / cellSize);
+
+    let cluster = cells.get(key);
+    if (!cluster) {
+      cluster = {key, count: 0, sumX: 0, sumY: 0, bbox: [px, py, px, py], first: i, sum: 0, valueCount: 0, modes: null};
+      cells.set(key, cluster);
+    }
+    cluster.count++;
+    cluster.sumX += px;
+    cluster.sumY += py;
+    if (px < cluster.bbox[0]) cluster.bbox[0] = px;
+    if (py < cluster.bbox[1]) cluster.bbox[1] = py;
+    if (px > cluster.bbox[2]) cluster.bbox[2] = px;
+    if (py > cluster.bbox[3]) cluster.bbox[3] = py;
+
+    const value = points.values?.[i];
+    if (value === null || value === undefined) continue;
+    if (aggregate === 'mode') {
+      cluster.modes = cluster.modes || new Map();
+      cluster.modes.set(value, (cluster.modes.get(value) || 0) + 1);
+    } else {
+      cluster.sum += value;
+    }
+    cluster.valueCount++;
+  }
+
+  return Array.from(cells.values(), cluster => ({
+    key: cluster.key,
+    count: cluster.count,
+    x: cluster.sumX / cluster.count,
+    y: cluster.sumY / cluster.count,
+    bbox: cluster.bbox,
+    first: cluster.first,
+    value: aggregateValue(cluster, aggregate)
+  }));
+}
+
+/**
+ * Get the aggregate of a cluster's values
+ * @param {Object} cluster - Cluster being built
+ * @param {string} aggregate - 'count', 'mean', 'sum' or 'mode'
+ * @returns {*} Aggregate, or null if no point has a value
+ */
+function aggregateValue(cluster, aggregate) {
+  if (aggregate === 'count') return cluster.count;
+  if (cluster.valueCount === 0) return null;
+  if (aggregate === 'sum') return cluster.sum;
+  if (aggregate === 'mean') return cluster.sum / cluster.valueCount;
+
+  let mode = null;
+  let modeCount = 0;
+  for (const [value, count] of cluster.modes) {
+    if (count > modeCount) {
+      mode = value;
+      modeCount = count;
+    }
+  }
+  return mode;
+}
+
+/**
+ * Format an aggregate for a tooltip or popup
+ * @param {*} value - Aggregate value
+ * @returns {string} Text (not HTML-escaped)
+ */
+export function formatValue(value) {
+  if (typeof value === 'number') {
+    return value.toLocaleString(undefined, {maximumFractionDigits: 2});
+  }
+  return String(value);
+}
+
+// ============================================
+// Leaflet Layer
+// ============================================
+
+let ClusterLayer = null;
+
+/**
+ * Get the Leaflet layer class, defining it on first use
+ * The layer keeps one marker per cluster in view, reusing markers that stay
+ * in view so their popups survive panning.
+ * @returns {Function} Layer class
+ */
+function getClusterLayerClass() {
+  if (ClusterLayer) return ClusterLayer;
+
+  ClusterLayer = L.Layer.extend({
+    initialize(features, options) {
+      L.setOptions(this, options);
+      this._features = features;
+      this._points = preparePoints(features, options.column, options.isNumeric);
+      this._zooms = new Map();   // Zoom → {clusters, colorOf}
+      this._markers = new Map(); // Cluster key → marker, for the zoom shown
+      this._shownZoom = null;
+      this._group = L.layerGroup();
+    },
+
+    getEvents() {
+      return {moveend: this._update};
+    },
+
+    onAdd(map) {
+      this._group.addTo(map);
+      this._update();
+    },
+
+    onRemove(map) {
+      map.removeLayer(this._group);
+      this._group.clearLayers();
+      this._markers.clear();
+      this._shownZoom = null;
+    },
+
+    /**
+     * Get the bounds of all points
+     * @returns {L.LatLngBounds} Bounds (invalid if there are no points)
+     */
+    getBounds() {
+      const bounds = L.latLngBounds([]);
+      for (const feature of this._features) {
+        const [lng, lat] = feature.geometry.coordinates;
+        bounds.extend([lat, lng]);
+      }
+      return bounds;
+    },
+
+    /**
+     * Get the clusters of a zoom level, building them on first use
+     * @param {number} zoom - Integer zoom level
+     * @returns {Object} {clusters, colorOf}
+     */
+    _getZoom(zoom) {
+      let level = this._zooms.get(zoom);
+      if (level) {
+        this._zooms.delete(zoom);
+      } else {
+        const clusters = clusterPoints(this._points, zoom, this.options.aggregate);
+        level = {clusters, colorOf: this._createColorer(clusters)};
+      }
+
+      // Keep recently used zoom levels at the end, away from eviction
+      this._zooms.set(zoom, level);
+      if (this._zooms.size > MAX_CACHED_ZOOMS) {
+        this._zooms.delete(this._zooms.keys().next().value);
+      }
+      return level;
+    },
+
+    /**
+     * Create the function coloring the clusters of a zoom level
+     * Means and modes use the layer's color scale. Counts and sums are larger
+     * than any single value, so they get a scale of their own over the zoom's
+     * clusters.
+     * @param {Array<Object>} clusters - Clusters of the zoom level
+     * @returns {Function} Returns the color of a cluster
+     */
+    _createColorer(clusters) {
+      const {colorScale, isNumeric, aggregate, colormap} = this.options;
+      if (aggregate === 'count' || (aggregate === 'sum' && colorScale)) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const {value} of clusters) {
+          if (value === null) continue;
+          if (value < min) min = value;
+          if (value > max) max = value;
+        }
+        const scale = chroma.scale(colormap).domain(min < max ? [min, max] : [min, min + 1]);
+        return cluster => cluster.value === null ? '#888' : scale(cluster.value).hex();
+      }
+
+      if (!colorScale) return () => DEFAULT_CLUSTER_COLOR;
+      if (!isNumeric) {
+        return cluster => cluster.value === null ? '#888' : colorScale(cluster.value);
+      }
+      return cluster => cluster.value === null ? '#888' : colorScale(cluster.value).hex();
+    },
+
+    /**
+     * Show the clusters in view for the current zoom
+     */
+    _update() {
+      const map = this._map;
+      if (!map) return;
+
+      const zoom = Math.round(map.getZoom());
+      if (zoom !== this._shownZoom) {
+        this._group.clearLayers();
+        this._markers.clear();
+        this._shownZoom = zoom;
+      }
+
+      const {clusters, colorOf} = this._getZoom(zoom);
+      const scale = 2 ** zoom;
+      const view = map.getPixelBounds();
+      const padding = view.getSize().multiplyBy(VIEW_PADDING);
+      const [minX, minY] = [(view.min.x - padding.x) / scale, (view.min.y - padding.y) / scale];
+      const [maxX, maxY] = [(view.max.x + padding.x) / scale, (view.max.y + padding.y) / scale];
+
+      const visible = new Set();
+      for (const cluster of clusters) {
+        if (cluster.x < minX || cluster.x > maxX || cluster.y < minY || cluster.y > maxY) continue;
+        visible.add(cluster.key);
+        if (!this._markers.has(cluster.key)) {
+          const marker = this._createMarker(cluster, colorOf);
+          this._markers.set(cluster.key, marker);
+          this._group.addLayer(marker);
+        }
+      }
+
+      for (const [key, marker] of this._markers) {
+        if (!visible.has(key)) {
+          this._group.removeLayer(marker);
+          this._markers.delete(key);
+        }
+      }
+    },
+
+    /**
+     * Create the marker of a cluster, or of a single point
+     * @param {Object} cluster - Cluster
+     * @param {Function} colorOf - Returns the color of a cluster
+     * @returns {L.Layer} Marker
+     */
+    _createMarker(cluster, colorOf) {
+      const {pane, style, pointRadius, popupContent, column, aggregate} = this.options;
+
+      // Lone points look and behave as they do without clustering
+      if (cluster.count === 1) {
+        const feature = this._features[cluster.first];
+        const [lng, lat] = feature.geometry.coordinates;
+        const marker = L.circleMarker([lat, lng], {pane, radius: pointRadius, ...style(feature)});
+        const content = popupContent(feature);
+        if (content) {
+          marker.bindPopup(content);
+        }
+        return marker;
+      }
+
+      const color = colorOf(cluster);
+      const size = Math.round(26 + 8 * Math.log10(cluster.count));
+      const textColor = chroma(color).luminance() > 0.45 ? '#002b36' : '#fdf6e3';
+      const label = cluster.count >= 10000 ? `${Math.round(cluster.count / 1000)}k` : cluster.count.toLocaleString();
+
+      const icon = L.divIcon({
+        className: 'point-cluster',
+        html: `<span style="background: ${color}; color: ${textColor}">${label}</span>`,
+        iconSize: [size, size]
+      });
+      const marker = L.marker(unproject(cluster.x, cluster.y), {pane, icon, keyboard: false});
+
+      let title = `${cluster.count.toLocaleString()} objects`;
+      if (column && aggregate !== 'count' && cluster.value !== null) {
+        title += ` · ${AGGREGATE_LABELS[aggregate]} ${column}: ${formatValue(cluster.value)}`;
+      }
+      marker.options.title = title;
+      marker.on('click', () => this._expand(cluster));
+      return marker;
+    },
+
+    /**
+     * Zoom in on a cluster until it splits, or list its points if it cannot
+     * @param {Object} cluster - Cluster
+     */
+    _expand(cluster) {
+      const map = this._map;
+      const bounds = L.latLngBounds(unproject(cluster.bbox[0], cluster.bbox[3]), unproject(cluster.bbox[2], cluster.bbox[1]));
+      const zoom = map.getZoom();
+      const maxZoom = map.getMaxZoom();
+
+      const samePlace = cluster.bbox[0] === cluster.bbox[2] && cluster.bbox[1] === cluster.bbox[3];
+      if (samePlace || zoom >= maxZoom) {
+        this._showMembers(cluster, bounds.getCenter());
+        return;
+      }
+
+      const target = Math.min(maxZoom, Math.max(zoom + 1, map.getBoundsZoom(bounds, false, L.point(40, 40))));
+      map.setView(bounds.getCenter(), target);
+    },
+
+    /**
+     * Open a popup listing the first points of a cluster
+     * @param {Object} cluster - Cluster
+     * @param {L.LatLng} latlng - Popup position
+     */
+    _showMembers(cluster, latlng) {
+      const {x, y} = this._points;
+      const [minX, minY, maxX, maxY] = cluster.bbox;
+      const cellSize = CLUSTER_CELL_SIZE / 2 ** this._shownZoom;
+      const cellX = Math.floor(x[cluster.first] / cellSize);
+      const cellY = Math.floor(y[cluster.first] / cellSize);
+
+      const parts = [];
+      for (let i = cluster.first; i < this._points.count && parts.length < MAX_LISTED_MEMBERS; i++) {
+        if (x[i] < minX || x[i] > maxX || y[i] < minY || y[i] > maxY) continue;
+        if (Math.floor(x[i] / cellSize) !== cellX || Math.floor(y[i] / cellSize) !== cellY) continue;
+        parts.push(this.options.popupContent(this._features[i]) || '');
+      }
+
+      const more = cluster.count - parts.length;
+      const footer = more > 0 ? `<small>and ${more.toLocaleString()} more</small>` : '';
+      L.popup()
+        .setLatLng(latlng)
+        .setContent(`<strong>${cluster.count.toLocaleString()} objects</strong><hr>${parts.join('<hr>')}${footer}`)
+        .openOn(this._map);
+    }
+  });
+  return ClusterLayer;
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Create a layer drawing point features as clusters
+ * @param {Array<Object>} features - GeoJSON Point features in WGS84
+ * @param {Object} options - Layer options
+ * @param {string} options.pane - Map pane to draw in
+ * @param {Function} options.style - Returns the Leaflet path style of a feature
+ * @param {number} options.pointRadius - Radius of lone points in pixels
+ * @param {Function} options.popupContent - Returns the popup HTML of a feature, or null for none
+ * @param {string|null} options.column - Column whose values color the clusters
+ * @param {boolean} options.isNumeric - Whether the column is numeric
+ * @param {Function|null} options.colorScale - Color scale of the column
+ * @param {string} options.colormap - Colormap, for the scale of sums
+ * @param {string} options.aggregate - 'count', 'mean', 'sum' or 'mode' (categorical columns use the mode for all but counts)
+ * @returns {L.Layer} Cluster layer
+ */
+export function createClusterLayer(features, options) {
+  const aggregate = options.isNumeric || options.aggregate === 'count' ? options.aggregate : 'mode';
+  const Layer = getClusterLayerClass();
+  return new Layer(features, {...options, aggregate});
+}
+
+/**
+ * Check whether a rendered layer is a cluster layer
+ * @param {L.Layer|null} layer - Rendered layer
+ * @returns {boolean} Whether the layer draws point clusters
+ */
+export function isClusterLayer(layer) {
+  return Boolean(ClusterLayer && layer instanceof ClusterLayer);
+}
@@ -4,7 +4,9 @@
  * Handles coordinate reference system detection and transformation using Proj4js.
  */
 
-import {showLoading} from './ui.js';
+import {App} from '../app.js';
+import {hideLoading, showChoiceDialog, showLoading} from './ui.js';
+import {isLand} from './land.js';
 
 // ============================================
 // Projection Definitions
@@ -45,53 +47,610 @@ export function initProj4Definitions() {
   return true;
 }
 
+/**
+ * Register an additional projection definition with Proj4
+ * @param {string} code - CRS code (e.g., 'EPSG:2056')
+ * @param {string} definition - Proj4 string or WKT definition
+ * @returns {boolean} Whether the definition was registered
+ */
+export function registerProjection(code, definition) {
+  if (typeof proj4 === 'undefined' || !definition) {
+    return false;
+  }
+
+  // Keep existing definitions; they are more reliable than embedded WKT
+  if (PROJECTIONS[code] || proj4.defs(code)) {
+    return true;
+  }
+
+  try {
+    proj4.defs(code, definition);
+    console.log(`[Proj4] Registered ${code}`);
+    return true;
+  } catch (e) {
+    console.warn(`[Proj4] Failed to register ${code}:`, e);
+    return false;
+  }
+}
+
 // ============================================
-// CRS Detection
+// EPSG Registry
 // ============================================
 
+// Bundled EPSG definitions (projected and geographic CRSs), fetched on first use
+const EPSG_REGISTRY_URL = new URL('../../data/epsg.json', import.meta.url).href;
+
+let epsgRegistryPromise = null;
+
 /**
- * Detect CRS from GeoJSON
- * @param {Object} geojson - GeoJSON object
- * @returns {string} EPSG code (e.g., 'EPSG:4326')
- */
-export function detectCRS(geojson) {
-  // Check for CRS property (common in older GeoJSON)
-  if (geojson.crs && geojson.crs.properties && geojson.crs.properties.name) {
-    const crsName = geojson.crs.properties.name;
-    // Extract EPSG code
-    const match = crsName.match(/EPSG::?(\d+)/i);
-    if (match) {
-      return `EPSG:${match[1]}`;
+ * Load the bundled EPSG registry
+ * The registry is fetched once from the app's own assets, so it works offline.
+ * @returns {Promise<Map<string, {code: string, name: string, proj4: string, bbox: Array|null}>>} Entries by code
+ */
+export function loadEPSGRegistry() {
+  if (!epsgRegistryPromise) {
+    epsgRegistryPromise = fetch(EPSG_REGISTRY_URL)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then(data => {
+        const registry = new Map();
+        for (const [code, name, definition, bbox] of data.crs) {
+          registry.set(`EPSG:${code}`, {code: `EPSG:${code}`, name, proj4: definition, bbox});
+        }
+        console.log(`[CRS] Loaded EPSG registry with ${registry.size} definitions`);
+        return registry;
+      })
+      .catch(error => {
+        // Allow a later retry
+        epsgRegistryPromise = null;
+        throw error;
+      });
+  }
+  return epsgRegistryPromise;
+}
+
+/**
+ * Look up an EPSG code in the bundled registry
+ * @param {string|number} code - EPSG code (e.g., 'EPSG:2056' or 2056)
+ * @returns {Promise<Object|null>} Registry entry or null if unknown
+ */
+export async function lookupEPSG(code) {
+  const registry = await loadEPSGRegistry();
+  return registry.get(normalizeEPSGCode(code)) || null;
+}
+
+/**
+ * Search the bundled registry by code or name
+ * All words of the query must appear in the code or the name.
+ * @param {string} query - Search text (e.g., '2056', 'lv95', 'utm 33n')
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array<Object>>} Matching registry entries
+ */
+export async function searchEPSG(query, limit = 50) {
+  const registry = await loadEPSGRegistry();
+  const terms = String(query).toLowerCase().replace(/^epsg:?/, '').split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  // Exact code match first
+  const exact = registry.get(normalizeEPSGCode(terms.join('')));
+  const results = exact ? [exact] : [];
+
+  for (const entry of registry.values()) {
+    if (results.length >= limit) break;
+    if (entry === exact) continue;
+    const haystack = `${entry.code} ${entry.name}`.toLowerCase();
+    if (terms.every(term => haystack.includes(term))) {
+      results.push(entry);
     }
-    // Handle urn:ogc:def:crs format
-    if (crsName.includes('CRS84') || crsName.includes('4326')) {
-      return 'EPSG:4326';
+  }
+  return results;
+}
+
+/**
+ * Make sure proj4 has a definition for a CRS, falling back to the bundled registry
+ * @param {string} code - CRS code
+ * @returns {Promise<boolean>} Whether the CRS can be used with proj4
+ */
+export async function ensureProjection(code) {
+  if (!initProj4Definitions()) {
+    return false;
+  }
+  if (proj4.defs(code)) {
+    return true;
+  }
+  if (!/^EPSG:\d+$/.test(code)) {
+    return false;
+  }
+
+  try {
+    const entry = await lookupEPSG(code);
+    return entry ? registerProjection(code, entry.proj4) : false;
+  } catch (e) {
+    console.warn('[CRS] Could not load EPSG registry:', e);
+    return false;
+  }
+}
+
+/**
+ * Normalize an EPSG code to the 'EPSG:1234' form
+ * @param {string|number} code - EPSG code
+ * @returns {string} Normalized code
+ */
+function normalizeEPSGCode(code) {
+  return `EPSG:${String(code).replace(/^epsg:+/i, '').trim()}`;
+}
+
+// ============================================
+// Shapefile .prj Resolution
+// ============================================
+
+// ESRI projection names (as written in .prj files without an AUTHORITY) mapped to EPSG codes
+const ESRI_PRJ_NAMES = {
+  'GCS_WGS_1984': 'EPSG:4326',
+  'WGS_84': 'EPSG:4326',
+  'WGS_1984_Web_Mercator_Auxiliary_Sphere': 'EPSG:3857',
+  'WGS_84_Pseudo_Mercator': 'EPSG:3857',
+  'British_National_Grid': 'EPSG:27700',
+  'OSGB_1936_British_National_Grid': 'EPSG:27700',
+  'RGF_1993_Lambert_93': 'EPSG:2154',
+  'RGF93_Lambert_93': 'EPSG:2154',
+};
+
+/**
+ * Resolve the WKT of a Shapefile .prj to a CRS code proj4 can use
+ * Tries, in order: an EPSG AUTHORITY/ID in the WKT, well-known ESRI names,
+ * UTM zone names, names in the EPSG registry, and finally the WKT itself
+ * as a proj4 definition.
+ * @param {string} wkt - Contents of the .prj file
+ * @returns {Promise<{code: string, name: string}|null>} Resolved CRS, or null if it could not be recognized
+ */
+export async function resolvePrj(wkt) {
+  if (!wkt || !initProj4Definitions()) {
+    return null;
+  }
+
+  const nameMatch = wkt.match(/^\s*\w+\[\s*"([^"]*)"/);
+  const name = nameMatch ? nameMatch[1] : 'Unnamed CRS';
+
+  // Only an AUTHORITY (WKT1) or ID (WKT2) directly inside the outermost element names the CRS;
+  // nested ones belong to its GEOGCS, DATUM, etc.
+  const authority = [...wkt.matchAll(/(?:AUTHORITY|ID)\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]/gi)]
+    .find(match => bracketDepth(wkt, match.index) === 1);
+  let code = authority ? `EPSG:${authority[1]}` : null;
+
+  if (!code) {
+    code = ESRI_PRJ_NAMES[name] || utmCodeFromName(name) || await findEPSGByName(name);
+  }
+
+  if (code) {
+    // Prefer built-in and registry definitions, otherwise use the .prj WKT for this code
+    if (await ensureProjection(code) || registerProjection(code, utmDefinition(code) || wkt)) {
+      return {code, name};
     }
   }
 
-  // Heuristic: check coordinate ranges from first feature
-  if (geojson.features && geojson.features.length > 0) {
-    const coords = getFirstCoordinate(geojson.features[0].geometry);
-    if (coords) {
-      const [x, y] = coords;
-      // WGS84 range check
-      if (Math.abs(x) <= 180 && Math.abs(y) <= 90) {
-        return 'EPSG:4326';
+  // No known code: use the WKT directly as a custom definition
+  const customCode = `PRJ:${name}`;
+  try {
+    proj4.defs(customCode, wkt);
+    if (proj4.defs(customCode)) {
+      proj4(customCode, 'EPSG:4326');
+      customDefinitions.set(customCode, wkt);
+      return {code: customCode, name};
+    }
+  } catch (e) {
+    console.warn(`[CRS] Could not parse .prj WKT for "${name}":`, e);
+  }
+
+  return null;
+}
+
+/**
+ * Find an EPSG code whose registry name matches an ESRI-style .prj name
+ * ESRI names use underscores for spaces and punctuation (e.g. 'CH1903+_LV95').
+ * @param {string} name - Projection name from the .prj
+ * @returns {Promise<string|null>} EPSG code or null
+ */
+async function findEPSGByName(name) {
+  const normalize = text => text.toLowerCase().replace(/[^a-z0-9+]+/g, '');
+  const target = normalize(name);
+  try {
+    const registry = await loadEPSGRegistry();
+    for (const entry of registry.values()) {
+      if (normalize(entry.name) === target) {
+        return entry.code;
       }
-      // British National Grid (rough check)
-      if (x > 0 && x < 700000 && y > 0 && y < 1300000) {
-        console.log('[CRS] Detected British National Grid (EPSG:27700) from coordinates');
-        return 'EPSG:27700';
+    }
+  } catch (e) {
+    console.warn('[CRS] Could not load EPSG registry:', e);
+  }
+  return null;
+}
+
+/**
+ * Count the WKT bracket nesting depth at a position, ignoring quoted text
+ * @param {string} wkt - WKT text
+ * @param {number} index - Position in the text
+ * @returns {number} Nesting depth
+ */
+function bracketDepth(wkt, index) {
+  let depth = 0;
+  let inQuotes = false;
+  for (let i = 0; i < index; i++) {
+    const ch = wkt[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === '[' || ch === '(')) depth++;
+    else if (!inQuotes && (ch === ']' || ch === ')')) depth--;
+  }
+  return depth;
+}
+
+/**
+ * Derive an EPSG code from a UTM projection name (e.g. 'WGS_1984_UTM_Zone_33N')
+ * @param {string} name - Projection name
+ * @returns {string|null} EPSG code or null
+ */
+function utmCodeFromName(name) {
+  const match = name.match(/^(WGS_1984|WGS_84|ETRS_1989|ETRS89|NAD_1983|NAD83)_UTM_Zone_(\d{1,2})([NS])$/i);
+  if (!match) return null;
+
+  const datum = match[1].toUpperCase().replace(/_/g, '');
+  const zone = parseInt(match[2], 10);
+  const north = match[3].toUpperCase() === 'N';
+
+  if (datum.startsWith('WGS')) {
+    return `EPSG:${(north ? 32600 : 32700) + zone}`;
+  }
+  if (datum.startsWith('ETRS') && north) {
+    return `EPSG:${25800 + zone}`;
+  }
+  if (datum.startsWith('NAD') && north) {
+    return `EPSG:${26900 + zone}`;
+  }
+  return null;
+}
+
+/**
+ * Build a proj4 definition for WGS84/ETRS89/NAD83 UTM EPSG codes
+ * @param {string} code - EPSG code
+ * @returns {string|null} Proj4 string or null if the code is not a UTM code
+ */
+function utmDefinition(code) {
+  const epsg = parseInt(code.replace('EPSG:', ''), 10);
+  if (epsg > 32600 && epsg <= 32660) return `+proj=utm +zone=${epsg - 32600} +datum=WGS84 +units=m +no_defs`;
+  if (epsg > 32700 && epsg <= 32760) return `+proj=utm +zone=${epsg - 32700} +south +datum=WGS84 +units=m +no_defs`;
+  if (epsg > 25800 && epsg <= 25860) return `+proj=utm +zone=${epsg - 25800} +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs`;
+  if (epsg > 26900 && epsg <= 26923) return `+proj=utm +zone=${epsg - 26900} +datum=NAD83 +units=m +no_defs`;
+  return null;
+}
+
+// ============================================
+// Manual CRS Override
+// ============================================
+
+// Counter for codes of user-supplied proj4/WKT definitions
+let customCRSCount = 0;
+
+// Proj4 strings and WKT registered under custom codes ('CUSTOM:<n>', 'PRJ:<name>')
+const customDefinitions = new Map();
+
+/**
+ * Resolve user input to a CRS code proj4 can use
+ * Accepts EPSG codes ('2056', 'EPSG:2056'), proj4 strings and WKT.
+ * @param {string} input - CRS entered by the user
+ * @returns {Promise<string>} CRS code (e.g., 'EPSG:2056' or 'CUSTOM:1')
+ */
+export async function resolveCRSInput(input) {
+  const text = String(input || '').trim();
+  if (!text) {
+    throw new Error('Enter an EPSG code, a proj4 string or WKT.');
+  }
+
+  if (/^(epsg:+)?\d+$/i.test(text)) {
+    const code = normalizeEPSGCode(text);
+    if (!await ensureProjection(code)) {
+      throw new Error(`Unknown CRS: ${code}`);
+    }
+    return code;
+  }
+
+  if (!initProj4Definitions()) {
+    throw new Error('Proj4js is not loaded. Cannot use custom CRS definitions.');
+  }
+
+  const code = `CUSTOM:${++customCRSCount}`;
+  try {
+    proj4.defs(code, text);
+    proj4(code, 'EPSG:4326');
+    customDefinitions.set(code, text);
+  } catch (e) {
+    console.warn('[CRS] Invalid custom definition:', e);
+    throw new Error('Could not parse the CRS definition. Paste a proj4 string or WKT.');
+  }
+
+  console.log(`[CRS] Registered custom definition as ${code}`);
+  return code;
+}
+
+/**
+ * Get a definition of a CRS code that PROJ, and so DuckDB's ST_Transform, understands
+ * @param {string} code - CRS code
+ * @returns {string|null} EPSG code, proj4 string or WKT, or null if unknown
+ */
+export function getCRSDefinition(code) {
+  if (/^EPSG:\d+$/.test(code)) return code;
+  return customDefinitions.get(code) || null;
+}
+
+/**
+ * Undo a transformation to WGS84, returning the data in its source CRS
+ * Used to reproject loaded data from a different CRS without reloading the file.
+ * @param {Object} geojson - GeoJSON in WGS84 (as returned by transformCRS)
+ * @param {string|null} sourceCRS - CRS the data was transformed from
+ * @returns {Object} GeoJSON in the source CRS
+ */
+export function restoreSourceCoordinates(geojson, sourceCRS) {
+  // Data from WGS84 or an unusable CRS was never transformed
+  if (!sourceCRS || sourceCRS === 'EPSG:4326' || !initProj4Definitions() || !proj4.defs(sourceCRS)) {
+    return geojson;
+  }
+
+  const inverse = proj4(sourceCRS, 'EPSG:4326').inverse;
+  return {
+    ...geojson,
+    features: geojson.features.map(feature => {
+      if (!feature.geometry) {
+        return feature;
       }
-      // Web Mercator (large values)
-      if (Math.abs(x) > 180 && Math.abs(x) < 20037509) {
-        return 'EPSG:3857';
+      // Geometries whose coordinates cannot be transformed back were kept as read
+      const geometry = sourceGeometries.get(feature) || transformGeometry(feature.geometry, inverse);
+      return {...feature, geometry};
+    })
+  };
+}
+
+// ============================================
+// CRS Detection
+// ============================================
+
+// Number of features sampled for coordinate-based detection
+const DETECTION_SAMPLE_SIZE = 200;
+
+// Below this confidence the user is asked to confirm the detected CRS
+const AMBIGUOUS_CONFIDENCE = 0.5;
+
+// Candidates scoring at least this fraction of the best one are treated as a tie
+const TIED_SCORE_RATIO = 0.9;
+
+// Number of candidates offered when the CRS has to be chosen, besides any tied ones
+const OFFERED_CANDIDATES = 8;
+
+// National and continental grids tried besides WGS84, Web Mercator and UTM zones
+const GRID_CANDIDATES = [
+  'EPSG:27700', 'EPSG:2154', 'EPSG:2056', 'EPSG:21781', 'EPSG:28992', 'EPSG:31370',
+  'EPSG:3006', 'EPSG:3067', 'EPSG:2180', 'EPSG:31287', 'EPSG:3763', 'EPSG:5514',
+  'EPSG:2193', 'EPSG:3035', 'EPSG:5070', 'EPSG:3577', 'EPSG:3347'
+];
+
+/**
+ * Detect the CRS of GeoJSON
+ * Uses the crs member if present; otherwise scores candidate CRSs by whether a
+ * sample of coordinates reprojects into each candidate's area of use and onto land.
+ * @param {Object} geojson - GeoJSON object
+ * @returns {Promise<{code: string, confidence: number, ambiguous: boolean, candidates: Array<{code: string, name: string, score: number}>}>}
+ *   Best CRS code, confidence (0-1), whether other candidates fit about as well, and scored candidates (best first)
+ */
+export async function detectCRS(geojson) {
+  const declared = crsFromMember(geojson);
+  if (declared) {
+    return {code: declared, confidence: 1, ambiguous: false, candidates: []};
+  }
+
+  const points = sampleCoordinates(geojson);
+  if (points.length === 0) {
+    return {code: 'EPSG:4326', confidence: 0, ambiguous: false, candidates: []};
+  }
+
+  // Coordinates in degree range are most often geographic
+  const inDegreeRange = points.every(([x, y]) => Math.abs(x) <= 180 && Math.abs(y) <= 90);
+
+  // Equal scores are ordered by prior, then by the smaller (more specific) area of use.
+  // The map view says nothing about the data's CRS, so it is not used.
+  const candidates = (await detectionCandidates(points))
+    .map(candidate => ({
+      code: candidate.code,
+      name: candidate.name,
+      score: scoreCandidate(candidate, points) * (inDegreeRange && candidate.code !== 'EPSG:4326' ? 0.3 : 1),
+      prior: candidate.prior,
+      area: (candidate.bbox[2] - candidate.bbox[0]) * (candidate.bbox[3] - candidate.bbox[1])
+    }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => {
+      // Compare scores in steps of 0.05, so that near-equal fits fall back to prior and area
+      const scoreDifference = Math.round(b.score * 20) - Math.round(a.score * 20);
+      if (scoreDifference !== 0) return scoreDifference;
+      return b.prior !== a.prior ? b.prior - a.prior : a.area - b.area;
+    });
+
+  const [best, second] = candidates;
+  if (!best) {
+    console.warn('[CRS] No candidate CRS fits the coordinates, assuming WGS84');
+    return {code: 'EPSG:4326', confidence: 0, ambiguous: false, candidates: []};
+  }
+
+  // High when the best candidate fits well and clearly beats the runner-up
+  const confidence = Math.min(1, best.score) * (1 - 0.5 * (second ? second.score / best.score : 0));
+  // Tied candidates (e.g. UTM zones, whose eastings fit every zone alike) cannot be told apart
+  const ambiguous = Boolean(second) && second.score >= best.score * TIED_SCORE_RATIO;
+
+  console.log(`[CRS] Detected ${best.code} from ${points.length} sampled features ` +
+    `(confidence ${confidence.toFixed(2)}${ambiguous ? ', ambiguous' : ''})`);
+  return {code: best.code, confidence, ambiguous, candidates};
+}
+
+/**
+ * Read the CRS from the (pre-2016 GeoJSON) crs member
+ * @param {Object} geojson - GeoJSON object
+ * @returns {string|null} CRS code or null if absent
+ */
+function crsFromMember(geojson) {
+  const crsName = geojson.crs?.properties?.name;
+  if (!crsName) return null;
+
+  // Extract EPSG code
+  const match = crsName.match(/EPSG::?(\d+)/i);
+  if (match) {
+    return `EPSG:${match[1]}`;
+  }
+  // Handle urn:ogc:def:crs format
+  if (crsName.includes('CRS84') || crsName.includes('4326')) {
+    return 'EPSG:4326';
+  }
+  // Codes assigned by the loaders (e.g. 'PRJ:<name>') or other registered names
+  if (typeof proj4 !== 'undefined' && proj4.defs(crsName)) {
+    return crsName;
+  }
+  return null;
+}
+
+/**
+ * Take one coordinate from each of a sample of features spread across the data
+ * @param {Object} geojson - GeoJSON object
+ * @returns {Array<Array<number>>} Sampled [x, y] positions
+ */
+function sampleCoordinates(geojson) {
+  const features = (geojson.features || []).filter(feature => feature && feature.geometry);
+  const step = Math.max(1, Math.floor(features.length / DETECTION_SAMPLE_SIZE));
+
+  const points = [];
+  for (let i = 0; i < features.length && points.length < DETECTION_SAMPLE_SIZE; i += step) {
+    const coords = getFirstCoordinate(features[i].geometry);
+    if (coords && Number.isFinite(coords[0]) && Number.isFinite(coords[1])) {
+      points.push([coords[0], coords[1]]);
+    }
+  }
+  return points;
+}
+
+/**
+ * Build the candidate CRSs for a set of sampled positions
+ * Each candidate has a transformer to WGS84, its area of use and a prior weight:
+ * smaller areas of use are stronger evidence when the data lands inside them.
+ * @param {Array<Array<number>>} points - Sampled positions
+ * @returns {Promise<Array<{code: string, name: string, toWGS84: Function, bbox: Array<number>, prior: number}>>} Candidates
+ */
+async function detectionCandidates(points) {
+  const candidates = [{
+    code: 'EPSG:4326',
+    name: 'WGS 84',
+    toWGS84: point => point,
+    bbox: [-180, -90, 180, 90],
+    prior: 1.6
+  }];
+
+  if (!initProj4Definitions()) {
+    return candidates;
+  }
+
+  candidates.push({
+    code: 'EPSG:3857',
+    name: 'WGS 84 / Pseudo-Mercator',
+    toWGS84: proj4('EPSG:3857', 'EPSG:4326').forward,
+    bbox: [-180, -85.06, 180, 85.06],
+    prior: 0.8
+  });
+
+  // UTM zones only fit eastings around the 500 km false easting
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  if (Math.min(...xs) > 0 && Math.max(...xs) < 1000000 && Math.min(...ys) >= 0 && Math.max(...ys) <= 10000000) {
+    // Each zone's own strip as area of use: data extending beyond it fits less well.
+    // Northern zones first, so that tied zones are listed in zone order.
+    for (const south of [false, true]) {
+      for (let zone = 1; zone <= 60; zone++) {
+        const west = -180 + (zone - 1) * 6;
+        candidates.push(utmCandidate(zone, south, south ? [west, -80, west + 6, 0] : [west, 0, west + 6, 84]));
       }
     }
   }
 
-  // Default to WGS84
-  return 'EPSG:4326';
+  for (const code of GRID_CANDIDATES) {
+    if (!await ensureProjection(code)) continue;
+
+    let entry = null;
+    try {
+      entry = await lookupEPSG(code);
+    } catch (e) {
+      // Registry unavailable: only built-in definitions, without areas of use
+    }
+
+    const bbox = entry?.bbox || [-180, -90, 180, 90];
+    const area = (bbox[2] - bbox[0]) * (bbox[3] - bbox[1]);
+    candidates.push({
+      code,
+      name: entry?.name || code,
+      toWGS84: proj4(code, 'EPSG:4326').forward,
+      bbox,
+      prior: area < 500 ? 1 : 0.75
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Build a WGS84 UTM zone candidate
+ * @param {number} zone - UTM zone (1-60)
+ * @param {boolean} south - Southern hemisphere
+ * @param {Array<number>} bbox - Area of use [west, south, east, north]
+ * @returns {Object} Candidate
+ */
+function utmCandidate(zone, south, bbox) {
+  const code = `EPSG:${(south ? 32700 : 32600) + zone}`;
+  registerProjection(code, utmDefinition(code));
+  return {
+    code,
+    name: `WGS 84 / UTM zone ${zone}${south ? 'S' : 'N'}`,
+    toWGS84: proj4(code, 'EPSG:4326').forward,
+    bbox,
+    prior: 0.7
+  };
+}
+
+/**
+ * Score how plausible a candidate CRS is for the sampled positions
+ * Positions inside the area of use count fully, those within a degree of it half.
+ * @param {Object} candidate - Candidate from detectionCandidates
+ * @param {Array<Array<number>>} points - Sampled positions
+ * @returns {number} Score (0 when no position fits)
+ */
+function scoreCandidate(candidate, points) {
+  const [west, south, east, north] = candidate.bbox;
+  let inArea = 0;
+  let onLand = 0;
+
+  for (const point of points) {
+    let lon, lat;
+    try {
+      [lon, lat] = candidate.toWGS84(point);
+    } catch (e) {
+      continue;
+    }
+    if (!Number.isFinite(lon) || !Number.isFinite(lat)) continue;
+    // One degree of slack around the area of use
+    if (lon < west - 1 || lon > east + 1 || lat < south - 1 || lat > north + 1) continue;
+
+    const weight = lon >= west && lon <= east && lat >= south && lat <= north ? 1 : 0.5;
+    inArea += weight;
+    if (isLand(lon, lat)) onLand += weight;
+  }
+
+  if (inArea === 0) return 0;
+  return candidate.prior * (inArea / points.length) * (0.5 + 0.5 * onLand / inArea);
 }
 
 /**
@@ -100,7 +659,13 @@ export function detectCRS(geojson) {
  * @returns {Array|null} Coordinate pair [x, y] or null
  */
 export function getFirstCoordinate(geometry) {
-  if (!geometry || !geometry.coordinates) return null;
+  if (!geometry) return null;
+
+  // Use the first member of geometry collections
+  if (geometry.type === 'GeometryCollection') {
+    return getFirstCoordinate(geometry.geometries?.[0]);
+  }
+  if (!geometry.coordinates) return null;
 
   let coords = geometry.coordinates;
   // Drill down to get an actual coordinate pair
@@ -136,28 +701,84 @@ export function transformCoordinates(coords, transformer) {
   return coords.map(c => transformCoordinates(c, transformer));
 }
 
+/**
+ * Transform a GeoJSON geometry, including the members of geometry collections
+ * @param {Object} geometry - GeoJSON geometry object
+ * @param {Function} transformer - Proj4 transformation function
+ * @returns {Object} Transformed geometry
+ */
+export function transformGeometry(geometry, transformer) {
+  if (!geometry) return geometry;
+
+  if (geometry.type === 'GeometryCollection') {
+    return {
+      ...geometry,
+      geometries: (geometry.geometries || []).map(member => transformGeometry(member, transformer))
+    };
+  }
+  if (!geometry.coordinates) return geometry;
+
+  return {...geometry, coordinates: transformCoordinates(geometry.coordinates, transformer)};
+}
+
+/**
+ * Check whether all positions of a transformed geometry are valid WGS84 positions
+ * Positions from coordinates far outside the CRS's area come out non-finite or
+ * wrapped around, and cannot be transformed back.
+ * @param {Object} geometry - GeoJSON geometry object in WGS84
+ * @returns {boolean} Whether the geometry can be transformed back
+ */
+function hasValidPositions(geometry) {
+  const valid = coords => typeof coords[0] === 'number'
+    ? Math.abs(coords[0]) <= 180 && Math.abs(coords[1]) <= 90
+    : coords.every(valid);
+
+  if (geometry.type === 'GeometryCollection') {
+    return (geometry.geometries || []).every(hasValidPositions);
+  }
+  return !Array.isArray(geometry.coordinates) || valid(geometry.coordinates);
+}
+
+// Source geometries of transformed features that the inverse transformation cannot restore
+const sourceGeometries = new WeakMap();
+
 /**
  * Transform GeoJSON from source CRS to WGS84
  * @param {Object} geojson - GeoJSON object
+ * @param {string} [knownCRS] - Source CRS code; detected from the data if omitted
  * @returns {Object} Transformed GeoJSON in WGS84
  */
-export async function transformCRS(geojson) {
+export async function transformCRS(geojson, knownCRS) {
+  let sourceCRS = knownCRS;
+  App.crsConfidence = 1;
+  App.crsCandidates = [];
+
+  if (!sourceCRS) {
+    const detection = await detectCRS(geojson);
+    sourceCRS = detection.code;
+    App.crsConfidence = detection.confidence;
+    App.crsCandidates = detection.candidates;
+
+    if ((detection.ambiguous || detection.confidence < AMBIGUOUS_CONFIDENCE) && detection.candidates.length > 1) {
+      sourceCRS = await chooseDetectedCRS(detection);
+    }
+  }
+  App.sourceCRS = sourceCRS;
+
   if (!initProj4Definitions()) {
     return geojson;
   }
 
-  const sourceCRS = detectCRS(geojson);
-  console.log(`[CRS] Detected source CRS: ${sourceCRS}`);
+  console.log(`[CRS] ${knownCRS ? 'Using' : 'Detected'} source CRS: ${sourceCRS}`);
 
   // Already in WGS84
   if (sourceCRS === 'EPSG:4326') {
     return geojson;
   }
 
-  // Check if proj4 knows this projection
+  // Check if proj4 knows this projection, loading it from the EPSG registry if needed
   try {
-    const sourceProj = proj4(sourceCRS);
-    if (!sourceProj) {
+    if (!await ensureProjection(sourceCRS)) {
       console.warn(`[CRS] Unknown projection: ${sourceCRS}, trying to display as-is`);
       return geojson;
     }
@@ -171,24 +792,61 @@ export async function transformCRS(geojson) {
   // Create transformer
   const transformer = proj4(sourceCRS, 'EPSG:4326').forward;
 
-  // Deep clone and transform
-  const transformed = JSON.parse(JSON.stringify(geojson));
+  // Transform all features into new feature objects, sharing their properties
+  let transformedCount = 0;
+  const transformed = {
+    ...geojson,
+    features: geojson.features.map(feature => {
+      if (!feature.geometry) return feature;
+      const result = {...feature, geometry: transformGeometry(feature.geometry, transformer)};
+      if (!hasValidPositions(result.geometry)) {
+        sourceGeometries.set(result, feature.geometry);
+      }
+      transformedCount++;
+      return result;
+    })
+  };
 
   // Remove the old CRS property (GeoJSON spec says WGS84 is default)
   delete transformed.crs;
 
-  // Transform all features
-  let transformedCount = 0;
-  for (const feature of transformed.features) {
-    if (feature.geometry && feature.geometry.coordinates) {
-      feature.geometry.coordinates = transformCoordinates(
-        feature.geometry.coordinates,
-        transformer
-      );
-      transformedCount++;
-    }
-  }
-
   console.log(`[CRS] Transformed ${transformedCount} features from ${sourceCRS} to WGS84`);
   return transformed;
 }
+
+/**
+ * Ask the user to pick the source CRS when detection is ambiguous
+ * @param {Object} detection - Result of detectCRS
+ * @returns {Promise<string>} Chosen CRS code (the best candidate if the dialog is dismissed)
+ */
+async function chooseDetectedCRS(detection) {
+  hideLoading();
+  const choice = await showChoiceDialog(
+    'Select Source CRS',
+    'The coordinate reference system could not be detected with confidence. ' +
+    'Choose the one the data uses; you can change it later in the Load Dataset panel.',
+    offeredCandidates(detection.candidates).map(candidate => ({
+      value: candidate.code,
+      label: `${candidate.code} · ${candidate.name} (${Math.min(100, Math.round(candidate.score * 100))}% fit)`
+    }))
+  );
+  showLoading('Processing data...');
+
+  if (choice) {
+    App.crsOverridden = true;
+    return choice;
+  }
+  return detection.code;
+}
+
+/**
+ * Pick the candidates to offer: the best few, plus any tied with the best or the last of those
+ * (e.g. all UTM zones the data fits, rather than whichever happen to sort first)
+ * @param {Array<{code: string, name: string, score: number}>} candidates - Scored candidates, best first
+ * @returns {Array<{code: string, name: string, score: number}>} Candidates to offer
+ */
+function offeredCandidates(candidates) {
+  const last = candidates[Math.min(OFFERED_CANDIDATES, candidates.length) - 1];
+  const tiedScore = Math.min(candidates[0].score, last.score) * TIED_SCORE_RATIO;
+  return candidates.filter((candidate, i) => i < OFFERED_CANDIDATES || candidate.score >= tiedScore);
+}
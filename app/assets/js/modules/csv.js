@@ -0,0 +1,246 @@
+/**
+ * VecGeo Viewer - CSV Module
+ *
+ * Reads CSV/TSV files through DuckDB's read_csv_auto and builds point or WKT
+ * geometries from detected coordinate columns.
+ */
+
+import {App} from '../app.js';
+import {hideLoading, runModalDialog, showLoading, showWarning} from './ui.js';
+import {transformCRS} from './crs.js';
+import {escapeSQLString} from './duckdb.js';
+import {parseWKT} from './wkt.js';
+
+// ============================================
+// Coordinate Column Candidates
+// ============================================
+
+// Candidate names in order of preference (matched case-insensitively)
+const X_COLUMN_NAMES = ['lon', 'lng', 'long', 'longitude', 'x', 'easting', 'x_coord', 'xcoord', 'point_x'];
+const Y_COLUMN_NAMES = ['lat', 'latitude', 'y', 'northing', 'y_coord', 'ycoord', 'point_y'];
+const WKT_COLUMN_NAMES = ['wkt', 'geometry', 'geom', 'the_geom', 'wkt_geometry', 'shape'];
+
+// ============================================
+// CSV Reader
+// ============================================
+
+/**
+ * Read a CSV or TSV file into GeoJSON
+ * @param {File} file - CSV/TSV file
+ * @returns {Object} GeoJSON FeatureCollection in WGS84
+ * @throws {Error} Error with `cancelled` set if the user cancels the column dialog
+ */
+export async function readCSV(file) {
+  if (!App.db || !App.conn) {
+    throw new Error('DuckDB is not initialized. Cannot read CSV files.');
+  }
+
+  const arrayBuffer = await file.arrayBuffer();
+  await App.db.registerFileBuffer(file.name, new Uint8Array(arrayBuffer));
+
+  const ext = file.name.split('.').pop().toLowerCase();
+  const options = ext === 'tsv' ? ", delim = '\\t'" : '';
+  const scan = `read_csv_auto('${escapeSQLString(file.name)}'${options})`;
+
+  const schemaResult = await App.conn.query(`DESCRIBE SELECT * FROM ${scan}`);
+  const columns = schemaResult.toArray().map(row => row.column_name || row.name);
+  if (columns.length === 0) {
+    throw new Error('CSV file has no columns.');
+  }
+
+  const detected = detectCoordinateColumns(columns);
+  console.log('[CSV] Detected geometry columns:', detected);
+
+  hideLoading();
+  const selection = await showCoordinateDialog(file.name, columns, detected);
+  if (!selection) {
+    const error = new Error('CSV import cancelled.');
+    error.cancelled = true;
+    throw error;
+  }
+  showLoading(`Reading ${file.name}...`);
+
+  // Read the geometry columns as text: a type sniffed from a sample fails the
+  // whole read on a bad value further down, instead of leaving it to be reported
+  const geometryColumns = selection.mode === 'wkt' ? [selection.wkt] : [selection.x, selection.y];
+  const textTypes = [...new Set(geometryColumns)].map(col => `'${escapeSQLString(col)}': 'VARCHAR'`).join(', ');
+  const result = await App.conn.query(
+    `SELECT * FROM read_csv_auto('${escapeSQLString(file.name)}'${options}, types = {${textTypes}})`);
+  const rows = result.toArray();
+
+  const geojson = rowsToGeoJSON(rows, selection);
+  return await transformCRS(geojson);
+}
+
+/**
+ * Detect coordinate or WKT columns from column names
+ * @param {Array<string>} columns - Column names
+ * @returns {{mode: string, x: string|null, y: string|null, wkt: string|null}} Detected columns
+ */
+export function detectCoordinateColumns(columns) {
+  const findColumn = (candidates) => {
+    for (const candidate of candidates) {
+      const match = columns.find(col => col.trim().toLowerCase() === candidate);
+      if (match) return match;
+    }
+    return null;
+  };
+
+  const x = findColumn(X_COLUMN_NAMES);
+  const y = findColumn(Y_COLUMN_NAMES);
+  const wkt = findColumn(WKT_COLUMN_NAMES);
+
+  const mode = (x && y) || !wkt ? 'xy' : 'wkt';
+  return {mode, x, y, wkt};
+}
+
+// ============================================
+// Row Conversion
+// ============================================
+
+/**
+ * Convert CSV rows to GeoJSON, reporting rows whose coordinates cannot be parsed
+ * @param {Array<Object>} rows - Rows from DuckDB
+ * @param {{mode: string, x: string, y: string, wkt: string}} selection - Geometry columns
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function rowsToGeoJSON(rows, selection) {
+  const features = [];
+  const badRows = [];
+
+  rows.forEach((row, idx) => {
+    let geometry = null;
+
+    try {
+      if (selection.mode === 'wkt') {
+        const wkt = row[selection.wkt];
+        geometry = wkt ? parseWKT(String(wkt)) : null;
+      } else {
+        const x = parseCoordinate(row[selection.x]);
+        const y = parseCoordinate(row[selection.y]);
+        if (Number.isFinite(x) && Number.isFinite(y)) {
+          geometry = {type: 'Point', coordinates: [x, y]};
+        }
+      }
+    } catch (e) {
+      geometry = null;
+    }
+
+    if (!geometry) {
+      badRows.push(idx + 1);
+      return;
+    }
+
+    const properties = {};
+    for (const [key, value] of Object.entries(row)) {
+      if (selection.mode === 'wkt' && key === selection.wkt) continue;
+      properties[key] = typeof value === 'bigint' ? Number(value) : value;
+    }
+    // Coordinate columns are read as text; keep them as numbers
+    if (selection.mode !== 'wkt') {
+      [properties[selection.x], properties[selection.y]] = geometry.coordinates;
+    }
+
+    features.push({
+      type: 'Feature',
+      properties,
+      geometry
+    });
+  });
+
+  if (badRows.length > 0) {
+    const sample = badRows.slice(0, 10).join(', ');
+    const more = badRows.length > 10 ? ', ...' : '';
+    showWarning(`Skipped ${badRows.length.toLocaleString()} of ${rows.length.toLocaleString()} rows with unparseable coordinates (data rows ${sample}${more}).`);
+    console.warn(`[CSV] Rows with unparseable coordinates:`, badRows);
+  }
+
+  console.log(`[CSV] Converted ${features.length} rows to features`);
+
+  return {
+    type: 'FeatureCollection',
+    features
+  };
+}
+
+/**
+ * Parse a coordinate value, accepting decimal commas
+ * @param {*} value - Raw value
+ * @returns {number} Parsed number or NaN
+ */
+function parseCoordinate(value) {
+  if (value === null || value === undefined) return NaN;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'bigint') return Number(value);
+  const text = String(value).trim().replace(',', '.');
+  return text === '' ? NaN : Number(text);
+}
+
+// ============================================
+// Coordinate Column Dialog
+// ============================================
+
+/**
+ * Let the user confirm or override the detected geometry columns
+ * @param {string} filename - CSV filename (for the dialog)
+ * @param {Array<string>} columns - Column names
+ * @param {Object} detected - Result of detectCoordinateColumns
+ * @returns {Promise<Object|null>} Selected columns, or null if cancelled
+ */
+function showCoordinateDialog(filename, columns, detected) {
+  const modal = document.getElementById('csvModal');
+  const messageEl = document.getElementById('csvMessage');
+  const modeSelect = document.getElementById('csvModeSelect');
+  const xSelect = document.getElementById('csvXSelect');
+  const ySelect = document.getElementById('csvYSelect');
+  const wktSelect = document.getElementById('csvWKTSelect');
+  const xyFields = document.getElementById('csvXYFields');
+  const wktFields = document.getElementById('csvWKTFields');
+  const loadBtn = document.getElementById('csvLoadBtn');
+  const cancelBtn = document.getElementById('csvCancelBtn');
+
+  if (!modal || !modeSelect || !xSelect || !ySelect || !wktSelect || !loadBtn) {
+    return Promise.resolve(detected.mode === 'wkt' || (detected.x && detected.y) ? detected : null);
+  }
+
+  if (messageEl) {
+    const found = detected.mode === 'wkt'
+      ? `Detected WKT column "${detected.wkt}".`
+      : (detected.x && detected.y)
+        ? `Detected coordinates in "${detected.x}" / "${detected.y}".`
+        : 'No coordinate columns were detected. Please choose them below.';
+    messageEl.textContent = `${filename}: ${found}`;
+  }
+
+  [xSelect, ySelect, wktSelect].forEach((select, i) => {
+    const selected = [detected.x, detected.y, detected.wkt][i];
+    select.innerHTML = '';
+    columns.forEach(col => {
+      const option = document.createElement('option');
+      option.value = col;
+      option.textContent = col;
+      select.appendChild(option);
+    });
+    select.value = selected || columns[Math.min(i, columns.length - 1)];
+  });
+
+  const updateFields = () => {
+    if (xyFields) xyFields.style.display = modeSelect.value === 'xy' ? 'block' : 'none';
+    if (wktFields) wktFields.style.display = modeSelect.value === 'wkt' ? 'block' : 'none';
+  };
+  modeSelect.value = detected.mode;
+  modeSelect.onchange = updateFields;
+  updateFields();
+
+  return runModalDialog(modal, (finish) => {
+    loadBtn.onclick = () => finish({
+      mode: modeSelect.value,
+      x: xSelect.value,
+      y: ySelect.value,
+      wkt: wktSelect.value
+    });
+    if (cancelBtn) {
+      cancelBtn.onclick = () => finish(null);
+    }
+  });
+}
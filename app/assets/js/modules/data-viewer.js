@@ -2,10 +2,12 @@
  * VecGeo Viewer - Data Viewer Module
  *
  * Handles the data table modal with search, sort, and pagination.
+ * Parquet sessions are paged through DuckDB instead of loaded rows.
  */
 
 import {App} from '../app.js';
 import {showError} from './ui.js';
+import {describeAttributeColumns, queryPage} from './duckdb.js';
 
 // ============================================
 // Data Viewer State
@@ -17,7 +19,16 @@ export const dataViewerState = {
   sortColumn: null,
   sortDirection: 'asc',
   searchTerm: '',
-  filteredData: []
+  filteredData: [],
+  totalRows: 0,
+  // Table contents: feature properties, or rows of an attribute-only query result
+  title: 'Data Viewer',
+  columns: [],
+  rows: [],
+  // SQL paged through DuckDB instead of rows (Parquet sessions)
+  query: null,
+  queryRowCount: 0,
+  requestId: 0
 };
 
 // ============================================
@@ -27,12 +38,68 @@ export const dataViewerState = {
 /**
  * Show data viewer modal
  */
-export function showDataViewer() {
+export async function showDataViewer() {
+  if (App.parquetSource) {
+    await showQueryViewer('Data Viewer', App.parquetSource.query);
+    return;
+  }
+
   if (!App.currentData || !App.currentData.features || App.currentData.features.length === 0) {
     showError('No data loaded to view.');
     return;
   }
 
+  openDataViewer('Data Viewer', App.columns || [], App.currentData.features.map(f => f.properties || {}));
+}
+
+/**
+ * Show the rows of a query result that has no geometry
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Object>} rows - Result rows as plain objects
+ */
+export function showQueryResult(columns, rows) {
+  openDataViewer('Query Result', columns, rows);
+}
+
+/**
+ * Show every row of a query, fetching one page at a time from DuckDB
+ * @param {string} title - Modal title
+ * @param {string} sql - SELECT query
+ */
+async function showQueryViewer(title, sql) {
+  try {
+    const columns = await describeAttributeColumns(sql);
+    if (columns.length === 0) {
+      showError('No attribute columns to view.');
+      return;
+    }
+    const {total} = await queryPage(sql, columns, {limit: 0, offset: 0});
+    dataViewerState.queryRowCount = total;
+    openDataViewer(title, columns, [], sql);
+  } catch (error) {
+    console.error('[DataViewer] Failed to open query:', error);
+    showError(`Error loading rows: ${error.message}`);
+  }
+}
+
+/**
+ * Open the data viewer modal on a set of rows
+ * @param {string} title - Modal title
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Object>} rows - Rows as plain objects
+ * @param {string|null} [query] - SQL to page through instead of rows
+ */
+function openDataViewer(title, columns, rows, query = null) {
+  dataViewerState.title = title;
+  dataViewerState.columns = columns;
+  dataViewerState.rows = rows;
+  dataViewerState.query = query;
+
+  const dataViewerTitle = document.getElementById('dataViewerTitle');
+  if (dataViewerTitle) {
+    dataViewerTitle.textContent = title;
+  }
+
   // Reset state
   dataViewerState.currentPage = 1;
   dataViewerState.searchTerm = '';
@@ -51,7 +118,7 @@ export function showDataViewer() {
   if (dataViewerModal) {
     dataViewerModal.classList.add('active');
   }
-  console.log('[DataViewer] Opened');
+  console.log(`[DataViewer] Opened (${title})`);
 }
 
 /**
@@ -70,24 +137,67 @@ export function hideDataViewer() {
 // ============================================
 
 /**
- * Build data table from current data
+ * Build data table from the rows or query being viewed
  */
-export function buildDataTable() {
-  if (!App.currentData || !App.currentData.features) {
-    console.warn('[DataViewer] No data available to build table');
-    return;
+export async function buildDataTable() {
+  const page = dataViewerState.query ? await fetchQueryPage() : getLocalPage();
+  if (page) {
+    renderDataTable(page);
   }
+}
 
-  const features = App.currentData.features;
-  const columns = App.columns || [];
+/**
+ * Fetch the current page of the viewed query from DuckDB
+ * @returns {Promise<Object|null>} Page, or null if superseded by a newer request
+ */
+async function fetchQueryPage() {
+  const requestId = ++dataViewerState.requestId;
+  const startIdx = (dataViewerState.currentPage - 1) * dataViewerState.pageSize;
+
+  let result;
+  try {
+    result = await queryPage(dataViewerState.query, dataViewerState.columns, {
+      searchTerm: dataViewerState.searchTerm,
+      sortColumn: dataViewerState.sortColumn,
+      sortDirection: dataViewerState.sortDirection,
+      limit: dataViewerState.pageSize,
+      offset: startIdx
+    });
+  } catch (error) {
+    console.error('[DataViewer] Failed to load page:', error);
+    showError(`Error loading rows: ${error.message}`);
+    return null;
+  }
+
+  // Typing in the search box can overtake a slower earlier page
+  if (requestId !== dataViewerState.requestId) return null;
+
+  return {
+    pageRows: result.rows,
+    startIdx,
+    totalRows: result.total,
+    unfilteredRows: dataViewerState.queryRowCount
+  };
+}
+
+/**
+ * Search, sort and slice the loaded rows for the current page
+ * @returns {Object|null} Page, or null if there are no rows
+ */
+function getLocalPage() {
+  const rows = dataViewerState.rows;
+  if (!rows) {
+    console.warn('[DataViewer] No data available to build table');
+    return null;
+  }
 
   // Apply search filter
-  let filteredFeatures = features;
+  let filteredRows = rows;
   if (dataViewerState.searchTerm) {
     const term = dataViewerState.searchTerm.toLowerCase();
-    filteredFeatures = features.filter(f => {
-      if (!f.properties) return false;
-      return Object.values(f.properties).some(v =>
+    filteredRows = rows.filter(row => {
+      if (!row) return false;
+      return Object.values(row).some(v =>
         v !== null && v !== undefined && String(v).toLowerCase().includes(term)
       );
     });
@@ -97,9 +207,9 @@ export function buildDataTable() {
   if (dataViewerState.sortColumn) {
     const col = dataViewerState.sortColumn;
     const dir = dataViewerState.sortDirection === 'asc' ? 1 : -1;
-    filteredFeatures = [...filteredFeatures].sort((a, b) => {
-      const aVal = a.properties?.[col];
-      const bVal = b.properties?.[col];
+    filteredRows = [...filteredRows].sort((a, b) => {
+      const aVal = a?.[col];
+      const bVal = b?.[col];
 
       if (aVal === null || aVal === undefined) return 1;
       if (bVal === null || bVal === undefined) return -1;
@@ -111,7 +221,24 @@ export function buildDataTable() {
     });
   }
 
-  dataViewerState.filteredData = filteredFeatures;
+  dataViewerState.filteredData = filteredRows;
+
+  const startIdx = (dataViewerState.currentPage - 1) * dataViewerState.pageSize;
+  return {
+    pageRows: filteredRows.slice(startIdx, startIdx + dataViewerState.pageSize),
+    startIdx,
+    totalRows: filteredRows.length,
+    unfilteredRows: rows.length
+  };
+}
+
+/**
+ * Render one page of the table with its row count and pagination
+ * @param {Object} page - Page rows, index of the first row, and filtered and unfiltered row counts
+ */
+function renderDataTable({pageRows, startIdx, totalRows, unfilteredRows}) {
+  const columns = dataViewerState.columns;
+  dataViewerState.totalRows = totalRows;
 
   // Build table header
   const thead = document.getElementById('dataTableHead');
@@ -142,11 +269,7 @@ export function buildDataTable() {
   thead.appendChild(headerRow);
 
   // Calculate pagination
-  const totalRows = filteredFeatures.length;
   const totalPages = Math.ceil(totalRows / dataViewerState.pageSize);
-  const startIdx = (dataViewerState.currentPage - 1) * dataViewerState.pageSize;
-  const endIdx = Math.min(startIdx + dataViewerState.pageSize, totalRows);
-  const pageFeatures = filteredFeatures.slice(startIdx, endIdx);
 
   // Build table body
   const tbody = document.getElementById('dataTableBody');
@@ -154,7 +277,7 @@ export function buildDataTable() {
 
   tbody.innerHTML = '';
 
-  pageFeatures.forEach((feature, idx) => {
+  pageRows.forEach((row, idx) => {
     const tr = document.createElement('tr');
 
     // Row number
@@ -165,7 +288,7 @@ export function buildDataTable() {
 
     columns.forEach(col => {
       const td = document.createElement('td');
-      const val = feature.properties?.[col];
+      const val = row?.[col];
       if (val === null || val === undefined) {
         td.textContent = '';
         td.style.color = 'var(--text-muted)';
@@ -185,7 +308,7 @@ export function buildDataTable() {
   const dataRowCount = document.getElementById('dataRowCount');
   if (dataRowCount) {
     dataRowCount.textContent = dataViewerState.searchTerm
-      ? `${totalRows} of ${features.length} rows`
+      ? `${totalRows} of ${unfilteredRows} rows`
       : `${totalRows} rows`;
   }
 
@@ -251,7 +374,7 @@ export function dataTablePrevPage() {
  * Go to next page
  */
 export function dataTableNextPage() {
-  const totalPages = Math.ceil(dataViewerState.filteredData.length / dataViewerState.pageSize);
+  const totalPages = Math.ceil(dataViewerState.totalRows / dataViewerState.pageSize);
   if (dataViewerState.currentPage < totalPages) {
     dataViewerState.currentPage++;
     buildDataTable();
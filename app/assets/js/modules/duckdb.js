@@ -5,9 +5,16 @@
  */
 
 import {App} from '../app.js';
-import {hideLoading, showError, showLoading} from './ui.js';
+import {hideLoading, showError, showWarning} from './ui.js';
 import {analyzeColumns} from './visualization.js';
+import {showQueryResult} from './data-viewer.js';
 import {renderData} from './map.js';
+import {addLayerFromGeoJSON} from './layers.js';
+import {clearSQLError, markSQLError} from './sql-editor.js';
+import {currentHistoryKey, formatDuration, recordQuery} from './query-history.js';
+import {getCRSDefinition, transformCRS} from './crs.js';
+import {isWKB, parseWKB} from './wkb.js';
+import {isWKT, parseWKT} from './wkt.js';
 
 // ============================================
 // WASM Bundle Configuration
@@ -45,6 +52,21 @@ const getLocalBundles = () => {
   };
 };
 
+// Locally vendored extensions (see scripts/fetch_duckdb_assets.sh)
+const getLocalExtensionRepository = () => {
+  const basePath = window.location.pathname.replace(/\/[^/]*$/, '');
+  return `${window.location.origin}${basePath}/assets/vendor/duckdb/extensions`;
+};
+
+// Name of the GEOMETRY column in each layer's table
+export const GEOMETRY_COLUMN = 'geom';
+
+// How long DuckDB works on a query before yielding, so it can be cancelled
+const QUERY_POLLING_INTERVAL_MS = 100;
+
+// File the query connection writes the profile of each query to (in DuckDB's virtual file system)
+const QUERY_PROFILE_FILE = '__query_profile.json';
+
 // ============================================
 // Initialization
 // ============================================
@@ -102,6 +124,7 @@ export async function initDuckDB() {
       console.log(`[DuckDB] AsyncDuckDB instance created, instantiating WASM...`);
 
       await db.instantiate(bundle.mainModule);
+      await db.open({query: {queryPollingInterval: QUERY_POLLING_INTERVAL_MS}});
       console.log(`[DuckDB] WASM instantiated`);
 
       const conn = await db.connect();
@@ -112,6 +135,8 @@ export async function initDuckDB() {
       App.conn = conn;
 
       console.log(`[DuckDB] Initialized successfully from ${source.name}`);
+
+      await loadSpatialExtension();
       return; // Success - exit
 
     } catch (error) {
@@ -125,14 +150,55 @@ export async function initDuckDB() {
   console.error('[DuckDB] All initialization attempts failed. SQL features disabled.');
 }
 
+/**
+ * Load the spatial extension, preferring the locally vendored copy
+ * Enables ST_* functions and the GEOMETRY column of the data table.
+ */
+async function loadSpatialExtension() {
+  const repositories = [
+    {name: 'local', url: getLocalExtensionRepository()},
+    {name: 'default', url: null}
+  ];
+
+  for (const repository of repositories) {
+    try {
+      if (repository.url) {
+        await App.conn.query(`SET custom_extension_repository = '${escapeSQLString(repository.url)}'`);
+      } else {
+        await App.conn.query('RESET custom_extension_repository');
+      }
+      await App.conn.query('INSTALL spatial');
+      await App.conn.query('LOAD spatial');
+
+      // Keep GeoParquet geometry as WKB; Parquet sessions decode it themselves
+      await App.conn.query('SET enable_geoparquet_conversion = false');
+
+      App.spatialEnabled = true;
+      console.log(`[DuckDB] spatial extension loaded from ${repository.name} repository`);
+      return;
+    } catch (extError) {
+      if (repository.url) {
+        // The vendored copy should always be there; without it the extension comes from extensions.duckdb.org
+        console.error(`[DuckDB] Vendored spatial extension missing or unusable at ${repository.url} ` +
+          '(run scripts/fetch_duckdb_assets.sh):', extError.message);
+      } else {
+        console.warn(`[DuckDB] Could not load spatial extension from ${repository.name} repository:`, extError.message);
+      }
+    }
+  }
+
+  App.spatialEnabled = false;
+  console.warn('[DuckDB] spatial extension unavailable, ST_* functions disabled');
+}
+
 // ============================================
 // Remote Parquet Loading
 // ============================================
 
 /**
- * Parse a remote Parquet file using DuckDB's httpfs extension
+ * Open a remote Parquet file using DuckDB's httpfs extension
  * @param {string} url - URL to the remote Parquet file
- * @returns {Object} GeoJSON FeatureCollection
+ * @returns {Object} GeoJSON FeatureCollection of the first rows
  */
 export async function parseRemoteParquet(url) {
   if (!App.db || !App.conn) {
@@ -151,254 +217,470 @@ export async function parseRemoteParquet(url) {
     console.log('[DuckDB] httpfs extension status:', extError.message);
   }
 
-  // Query schema to find geometry column
-  const schemaResult = await App.conn.query(`DESCRIBE SELECT * FROM parquet_scan('${url}')`);
-  const schema = schemaResult.toArray();
+  return await openParquetSession(url);
+}
 
-  // Find geometry column
-  let geometryCol = null;
-  const geometryNames = ['geometry', 'geom', 'wkb_geometry', 'the_geom', 'shape'];
-  for (const row of schema) {
-    const colName = row.column_name || row.name;
-    if (geometryNames.includes(colName?.toLowerCase())) {
-      geometryCol = colName;
-      break;
+// ============================================
+// Parquet Sessions
+// ============================================
+
+// Column names tried when the file has no GeoParquet metadata
+const GEOMETRY_COLUMN_NAMES = ['geometry', 'geom', 'wkb_geometry', 'the_geom', 'shape', 'wkt'];
+
+// Query shown when no filter is applied to a Parquet session
+export const PARQUET_BASE_QUERY = 'SELECT * FROM data';
+
+/**
+ * Open a Parquet file as a view instead of copying it into a table
+ * The layer's view reads the file on every query, and only the rows a query
+ * returns (up to featureLimit) are decoded into features.
+ * @param {string} source - Registered file name or URL
+ * @returns {Object} GeoJSON FeatureCollection in WGS84 of the first rows
+ */
+export async function openParquetSession(source) {
+  const {geometryCol, geometryType, crs} = await findParquetGeometry(source);
+
+  // Geometry in the file's CRS, for the geom column that ST_* functions use
+  const geometryExpr = App.spatialEnabled
+    ? {
+      BLOB: `TRY(ST_GeomFromWKB(${quoteIdentifier(geometryCol)}))`,
+      VARCHAR: `TRY(ST_GeomFromText(${quoteIdentifier(geometryCol)}))`,
+      GEOMETRY: quoteIdentifier(geometryCol)
+    }[geometryType] || null
+    : null;
+
+  App.parquetSource = {
+    source,
+    geometryCol,
+    geometryExpr,
+    crs: geoParquetCRSCode(crs),
+    wgs84Geometry: false,
+    joins: [],
+    rowCount: 0,
+    query: PARQUET_BASE_QUERY
+  };
+
+  await dropRelation(App.tableName);
+  await createParquetView();
+
+  const countResult = await App.conn.query('SELECT COUNT(*) AS cnt FROM data');
+  const rowCount = Number(countResult.toArray()[0].cnt);
+  App.parquetSource.rowCount = rowCount;
+
+  console.log(`[Parquet] Opened ${source} as a view with ${rowCount} rows`);
+
+  const {geojson} = await materializeParquetQuery(PARQUET_BASE_QUERY);
+  return geojson;
+}
+
+/**
+ * Create or replace the active Parquet layer's view
+ * Its geom column is reprojected to WGS84 like the geom column of loaded layers,
+ * so that queries can combine layers. Until the file's CRS is known it holds the
+ * file's coordinates.
+ */
+export async function createParquetView() {
+  const source = App.parquetSource;
+  const crsDefinition = source.crs ? getCRSDefinition(source.crs) : null;
+  source.wgs84Geometry = Boolean(source.geometryExpr) && (!source.crs || source.crs === 'EPSG:4326' || Boolean(crsDefinition));
+
+  // file_row_number gives every row a stable _rowid without reading the file
+  let columns = '* EXCLUDE (file_row_number)';
+  if (source.geometryExpr) {
+    let geomExpr = source.geometryExpr;
+    if (crsDefinition && source.crs !== 'EPSG:4326') {
+      geomExpr = `ST_Transform(${geomExpr}, '${escapeSQLString(crsDefinition)}', 'EPSG:4326', true)`;
+    } else if (!source.wgs84Geometry) {
+      console.warn(`[Parquet] Cannot reproject ${source.crs} in DuckDB, the geom column keeps the file's coordinates`);
+    }
+
+    if (isReplacedGeometryColumn(source)) {
+      columns += ` REPLACE (${geomExpr} AS ${quoteIdentifier(source.geometryCol)})`;
+    } else {
+      columns += `, ${geomExpr} AS ${GEOMETRY_COLUMN}`;
     }
   }
 
-  console.log(`[DuckDB] Found geometry column: ${geometryCol || 'none'}`);
+  // Joined tables (see table-join.js) wrap the file's rows
+  let viewSQL = `SELECT file_row_number AS _rowid, ${columns}
+                 FROM ${parquetScanSQL(source.source)}`;
+  for (const join of source.joins) {
+    viewSQL = join(viewSQL);
+  }
 
-  // Query data
-  const sql = `SELECT *
-               FROM parquet_scan('${url}')`;
-  const result = await App.conn.query(sql);
-  const rows = result.toArray();
+  await App.conn.query(`CREATE OR REPLACE VIEW ${quoteIdentifier(App.tableName)} AS ${viewSQL}`);
+  await pointDataView(App.tableName);
+}
 
-  console.log(`[DuckDB] Loaded ${rows.length} rows from remote Parquet`);
+/**
+ * Set the CRS of the active Parquet layer's file and reproject its view
+ * @param {string} code - CRS code
+ */
+export async function setParquetCRS(code) {
+  App.parquetSource.crs = code;
+  App.parquetSource.query = PARQUET_BASE_QUERY;
+  await createParquetView();
+}
 
-  // Convert to GeoJSON
-  const features = rows.map((row, idx) => {
-    let geometry = null;
+/**
+ * Build the scan of a Parquet file with row numbers
+ * @param {string} source - Registered file name or URL
+ * @returns {string} Table function call
+ */
+function parquetScanSQL(source) {
+  return `parquet_scan('${escapeSQLString(source)}', file_row_number = true)`;
+}
+
+/**
+ * Check whether a Parquet view replaces the file's geometry column with its geom column
+ * This is the case when the file's column is itself named geom.
+ * @param {Object} source - App.parquetSource
+ * @returns {boolean} True if the view has no column with the file's geometry values
+ */
+function isReplacedGeometryColumn(source) {
+  return Boolean(source.geometryExpr) && source.geometryCol.toLowerCase() === GEOMETRY_COLUMN;
+}
 
-    // Try to parse geometry
-    if (geometryCol && row[geometryCol]) {
-      const geomData = row[geometryCol];
-      if (typeof geomData === 'object' && geomData.type) {
-        geometry = geomData;
-      } else if (typeof geomData === 'string') {
-        try {
-          geometry = JSON.parse(geomData);
-        } catch {
-          // Try WKT or other formats
-          console.warn(`[DuckDB] Could not parse geometry for row ${idx}`);
+/**
+ * Find the geometry column of a Parquet file
+ * @param {string} source - Registered file name or URL
+ * @returns {Promise<{geometryCol: string, geometryType: string, crs: *}>} Column, its DuckDB type and GeoParquet CRS
+ */
+async function findParquetGeometry(source) {
+  // Prefer the GeoParquet "geo" metadata over guessing from column names
+  const geoMetadata = await readGeoParquetMetadata(source);
+  const schema = await describeQuery(`SELECT * FROM parquet_scan('${escapeSQLString(source)}')`);
+
+  let geometryCol = null;
+  let encoding = null;
+  let crs;
+
+  if (geoMetadata?.primary_column) {
+    geometryCol = geoMetadata.primary_column;
+    const columnMeta = geoMetadata.columns?.[geometryCol] || {};
+    encoding = columnMeta.encoding || 'WKB';
+    crs = columnMeta.crs;
+    console.log(`[Parquet] GeoParquet metadata: column "${geometryCol}", encoding ${encoding}`);
+  } else {
+    geometryCol = schema.find(col => GEOMETRY_COLUMN_NAMES.includes(col.name.toLowerCase()))?.name || null;
+    console.log(`[Parquet] Found geometry column: ${geometryCol || 'none'}`);
+  }
+
+  if (!geometryCol) {
+    throw new Error('No geometry column found. Expected GeoParquet metadata or a column named geometry, geom, wkb_geometry, the_geom, shape or wkt.');
+  }
+  if (encoding && !['WKB', 'WKT'].includes(encoding.toUpperCase())) {
+    throw new Error(`GeoParquet geometry encoding "${encoding}" is not supported. Supported: WKB, WKT.`);
+  }
+
+  const geometryType = schema.find(col => col.name === geometryCol)?.type;
+  if (!geometryType) {
+    throw new Error(`Geometry column "${geometryCol}" is missing from the file.`);
+  }
+
+  return {geometryCol, geometryType, crs};
+}
+
+/**
+ * Decode the rows of a query over the Parquet view into features
+ * At most featureLimit rows are read. The file's geometry column is joined
+ * back in by _rowid when the query does not select it.
+ * @param {string} sql - SELECT query returning _rowid
+ * @returns {Promise<{geojson: Object, total: number, rowsScanned: number}>} WGS84 features, the number
+ *   of matching rows and the rows scanned to find them
+ */
+async function materializeParquetQuery(sql) {
+  const source = App.parquetSource;
+  const geometryCol = quoteIdentifier(source.geometryCol);
+
+  // The query is wrapped, as it may have its own LIMIT, and its rows are numbered
+  // so that joining the geometries back in keeps its ORDER BY
+  const limited = App.featureLimit > 0 ? `SELECT * FROM (${sql}) LIMIT ${App.featureLimit}` : sql;
+  let query = `SELECT *, row_number() OVER () AS _order FROM (${limited})`;
+
+  // Features are decoded from the file's own geometry values, as CRS detection needs them
+  const queryColumns = await describeQuery(sql);
+  let geometryKey = source.geometryCol;
+  if (isReplacedGeometryColumn(source) || !queryColumns.some(col => col.name === source.geometryCol)) {
+    geometryKey = '_geometry';
+    query = `SELECT q.*, d.${geometryCol} AS _geometry
+             FROM (${query}) q
+                    JOIN ${parquetScanSQL(source.source)} d ON q._rowid = d.file_row_number`;
+  }
+
+  const columns = await describeQuery(query);
+  const {rows, rowsScanned: fetchScanned} = await runMeasuredQuery(`${geometryToWKB(query, columns)} ORDER BY _order`);
+
+  // Count the matches only when the limit may have cut them off
+  let total = rows.length;
+  let rowsScanned = fetchScanned;
+  if (App.featureLimit > 0 && rows.length === App.featureLimit) {
+    const count = await runMeasuredQuery(`SELECT COUNT(*) AS cnt FROM (${sql})`);
+    total = Number(count.rows[0].cnt);
+    rowsScanned += count.rowsScanned;
+  }
+
+  const skipped = new Set(['_rowid', '_order', '_geometry', source.geometryCol, GEOMETRY_COLUMN]);
+  const propertyNames = columns.map(col => col.name).filter(name => !skipped.has(name));
+
+  let failedCount = 0;
+  let emptyCount = 0;
+  const features = [];
+  rows.forEach((row, idx) => {
+    let geometry = null;
+    const value = row[geometryKey];
+    if (value !== null && value !== undefined) {
+      try {
+        geometry = decodeGeometry(value);
+      } catch (e) {
+        failedCount++;
+        if (failedCount <= 5) {
+          console.warn(`[Parquet] Could not decode geometry for row ${idx}:`, e.message);
         }
       }
     }
-
-    // Build properties (exclude geometry column)
-    const properties = {};
-    for (const [key, value] of Object.entries(row)) {
-      if (key !== geometryCol) {
-        properties[key] = value;
-      }
+    if (!geometry) {
+      emptyCount++;
+      return;
     }
 
-    return {
+    features.push({
       type: 'Feature',
-      properties,
+      properties: rowToObject(row, propertyNames),
       geometry
-    };
-  }).filter(f => f.geometry);
+    });
+  });
 
-  return {
-    type: 'FeatureCollection',
-    features
-  };
+  if (emptyCount > 0) {
+    const reason = failedCount > 0 ? ` (${failedCount} could not be decoded)` : '';
+    showWarning(`Skipped ${emptyCount.toLocaleString()} of ${rows.length.toLocaleString()} rows without a usable geometry${reason}.`);
+  }
+
+  console.log(`[Parquet] Decoded ${features.length} of ${total} matching rows`);
+
+  // The first query detects the CRS; later ones reuse it
+  const geojson = await transformCRS({type: 'FeatureCollection', features}, source.crs);
+  if (source.crs !== App.sourceCRS) {
+    source.crs = App.sourceCRS;
+    await createParquetView();
+  }
+
+  return {geojson, total, rowsScanned};
+}
+
+/**
+ * Show the rows of a Parquet session that match a query
+ * @param {string} sql - SELECT query over the data view returning _rowid
+ */
+export async function showParquetQuery(sql) {
+  const {geojson, total} = await materializeParquetQuery(sql);
+  displayParquetQuery(sql, geojson, total);
+}
+
+/**
+ * Show decoded Parquet rows as the active layer's objects
+ * @param {string} sql - Query the rows match
+ * @param {Object} geojson - Decoded features, up to the feature limit
+ * @param {number} total - Number of matching rows
+ */
+function displayParquetQuery(sql, geojson, total) {
+  if (geojson.features.length === 0) {
+    hideLoading();
+    showError('Query returned no results.');
+    return;
+  }
+
+  App.parquetSource.query = sql;
+  App.currentData = geojson;
+
+  const featureLimitStatus = document.getElementById('featureLimitStatus');
+  if (featureLimitStatus) {
+    const shown = geojson.features.length;
+    const truncated = shown < total;
+    featureLimitStatus.textContent = truncated
+      ? `Showing ${shown.toLocaleString()} of ${total.toLocaleString()}`
+      : `Showing all ${shown.toLocaleString()} objects`;
+    featureLimitStatus.style.color = truncated ? 'var(--accent-warning, orange)' : 'var(--text-muted)';
+  }
+  if (geojson.features.length < total) {
+    showWarning(`Showing ${geojson.features.length.toLocaleString()} of ${total.toLocaleString()} matching objects. Adjust the read limit in Performance Settings.`);
+  }
+
+  analyzeColumns(App.currentData);
+  renderData(App.currentData);
+
+  console.log(`[SQL] Query matched ${total} rows, displaying ${geojson.features.length}`);
+}
+
+/**
+ * Read the GeoParquet "geo" key from the Parquet file metadata
+ * @param {string} source - Registered file name or URL
+ * @returns {Object|null} Parsed metadata or null if absent
+ */
+async function readGeoParquetMetadata(source) {
+  try {
+    const result = await App.conn.query(`
+      SELECT decode(value) AS value
+      FROM parquet_kv_metadata('${escapeSQLString(source)}')
+      WHERE decode(key) = 'geo'`);
+    const row = result.toArray()[0];
+    return row ? JSON.parse(row.value) : null;
+  } catch (e) {
+    console.warn('[Parquet] Could not read GeoParquet metadata:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve a GeoParquet column "crs" (PROJJSON, string or absent) to an EPSG code
+ * @param {Object|string|null|undefined} crs - CRS from the column metadata
+ * @returns {string|null} EPSG code, or null for WGS84/unknown
+ */
+function geoParquetCRSCode(crs) {
+  // Absent means OGC:CRS84 per the GeoParquet spec
+  if (!crs) return null;
+
+  if (typeof crs === 'string') {
+    const match = crs.match(/EPSG:{1,2}(\d+)/i);
+    return match ? `EPSG:${match[1]}` : null;
+  }
+
+  const id = crs.id;
+  if (id && String(id.authority).toUpperCase() === 'EPSG' && id.code) {
+    return `EPSG:${id.code}`;
+  }
+  return null;
+}
+
+// ============================================
+// Geometry Decoding
+// ============================================
+
+/**
+ * Decode a geometry value returned by DuckDB (WKB, WKT, GeoJSON string or object)
+ * @param {*} value - Geometry value
+ * @returns {Object|null} GeoJSON geometry or null
+ */
+export function decodeGeometry(value) {
+  if (value === null || value === undefined) return null;
+
+  if (isWKB(value)) {
+    return parseWKB(value);
+  }
+
+  if (typeof value === 'string') {
+    if (isWKT(value)) {
+      return parseWKT(value);
+    }
+    const parsed = JSON.parse(value);
+    return parsed && parsed.type ? parsed : null;
+  }
+
+  if (typeof value === 'object' && value.type) {
+    return value;
+  }
+
+  return null;
+}
+
+/**
+ * Escape a value for use inside a single-quoted SQL string
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+export function escapeSQLString(value) {
+  return String(value).replace(/'/g, "''");
 }
 
 // ============================================
 // Data Registration
 // ============================================
 
+// Rows per Arrow insert; failed chunks are retried in halves to isolate bad rows
+const ARROW_CHUNK_SIZE = 50000;
+
+// Range of DuckDB INTEGER columns; larger integers are stored as BIGINT
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+
+// DuckDB column types mapped to Arrow types (created lazily once Arrow is loaded)
+const ARROW_TYPES = {
+  INTEGER: arrow => new arrow.Int32(),
+  BIGINT: arrow => new arrow.Int64(),
+  DOUBLE: arrow => new arrow.Float64(),
+  BOOLEAN: arrow => new arrow.Bool(),
+  VARCHAR: arrow => new arrow.Utf8()
+};
+
 /**
- * Register GeoJSON data in DuckDB
+ * Register GeoJSON data in DuckDB as the active layer's table
+ * Features are converted to Apache Arrow and bulk inserted with insertArrowTable.
  * @param {Object} geojson - GeoJSON FeatureCollection
  */
 export async function registerInDuckDB(geojson) {
   if (!App.conn) return;
 
+  const table = App.tableName;
   try {
-    await App.conn.query('DROP TABLE IF EXISTS data');
+    await pointDataView(null);
+    await dropRelation(table);
 
     const features = geojson.features;
     if (!features || features.length === 0) return;
 
-    // Get all columns (filter out columns with problematic names)
-    const allCols = new Set();
-    features.forEach(f => {
-      Object.keys(f.properties || {}).forEach(k => {
-        // Skip columns with empty names or only whitespace
-        if (k && k.trim()) {
-          allCols.add(k);
-        }
-      });
-    });
-    const cols = Array.from(allCols);
+    // Same module instance as DuckDB-WASM (resolved through the import map)
+    const arrow = await import('apache-arrow');
 
-    if (cols.length === 0) {
+    const withGeometry = App.spatialEnabled;
+    const cols = collectColumns(features, withGeometry);
+
+    if (cols.length === 0 && !withGeometry) {
       console.log('[DuckDB] No columns to register');
       return;
     }
 
-    // Determine column types robustly (scan a sample of rows)
+    // Exact types from every value, not a sample
     const colTypes = {};
-    const sampleSize = Math.min(features.length, 1000);
     cols.forEach(col => {
-      let seenNumber = false;
-      let seenBoolean = false;
-      let seenStringOrObject = false;
-      for (let i = 0; i < sampleSize; i++) {
-        const v = features[i]?.properties?.[col];
-        if (v === null || v === undefined) continue;
-        const t = typeof v;
-        if (t === 'number' && Number.isFinite(v)) {
-          seenNumber = true;
-        } else if (t === 'boolean') {
-          seenBoolean = true;
-        } else {
-          // strings, objects, arrays -> treat as string storage
-          seenStringOrObject = true;
-        }
-        // Early exit if mixed
-        if ((seenNumber && seenStringOrObject) || (seenBoolean && (seenNumber || seenStringOrObject))) {
-          break;
-        }
-      }
-      // Prefer VARCHAR if mixed types; otherwise map number->DOUBLE, boolean->BOOLEAN, else VARCHAR
-      if (seenNumber && !seenStringOrObject && !seenBoolean) {
-        colTypes[col] = 'DOUBLE';
-      } else if (seenBoolean && !seenNumber && !seenStringOrObject) {
-        colTypes[col] = 'BOOLEAN';
-      } else {
-        colTypes[col] = 'VARCHAR';
-      }
+      colTypes[col] = inferColumnType(features, col);
     });
 
-    // Add _rowid for geometry matching
-    const colDefs = ['_rowid INTEGER'];
-    cols.forEach(col => {
-      const escapedCol = col.replace(/"/g, '""');
-      colDefs.push(`"${escapedCol}" ${colTypes[col]}`);
-    });
+    // Add _rowid for geometry matching; geometry is staged as GeoJSON text
+    const schema = [{name: '_rowid', type: 'INTEGER'}, ...cols.map(col => ({name: col, type: colTypes[col]}))];
+    if (withGeometry) {
+      schema.push({name: '_geometry', type: 'VARCHAR'});
+    }
 
-    // Create table
-    await App.conn.query(`CREATE TABLE data
+    await App.conn.query(`CREATE TABLE ${quoteIdentifier(table)}
                           (
-                            ${colDefs.join(', ')}
+                            ${schema.map(col => `${quoteIdentifier(col.name)} ${col.type}`).join(', ')}
                           )`);
 
-    // Insert data in adaptive batches to avoid oversized SQL statements
-    const insertCols = ['_rowid', ...cols.map(c => `"${c.replace(/"/g, '""')}"`)];
-
-    const encodeValueForType = (val, type) => {
-      if (val === null || val === undefined) return 'NULL';
-      switch (type) {
-        case 'DOUBLE':
-          if (typeof val === 'number' && Number.isFinite(val)) return String(val);
-          return 'NULL';
-        case 'BOOLEAN':
-          if (typeof val === 'boolean') return val ? 'TRUE' : 'FALSE';
-          return 'NULL';
-        default: {
-          // VARCHAR: stringify objects/arrays; escape strings
-          let strVal;
-          if (typeof val === 'object') {
-            try {
-              strVal = JSON.stringify(val);
-            } catch {
-              return 'NULL';
-            }
-          } else if (typeof val === 'string') {
-            strVal = val;
-          } else if (typeof val === 'number' || typeof val === 'boolean') {
-            strVal = String(val);
-          } else {
-            try {
-              strVal = String(val);
-            } catch {
-              return 'NULL';
-            }
-          }
-
-          // Robust escaping for SQL strings
-          // Remove null bytes, escape single quotes and backslashes
-          // Limit string length to avoid oversized SQL
-          const maxLen = 10000;
-          if (strVal.length > maxLen) {
-            strVal = strVal.substring(0, maxLen);
-          }
-          const escaped = strVal
-            .replace(/\x00/g, '')           // Remove null bytes
-            .replace(/'/g, "''")            // Escape single quotes
-            .replace(/\\/g, '\\\\');        // Escape backslashes
-          return `'${escaped}'`;
-        }
-      }
-    };
-
-    const buildValuesSQL = (batch, offset) => {
-      return batch.map((f, idx) => {
-        const rowVals = [offset + idx]; // _rowid
-        cols.forEach(col => {
-          const val = f.properties?.[col];
-          rowVals.push(encodeValueForType(val, colTypes[col]));
-        });
-        return `(${rowVals.join(', ')})`;
-      }).join(',\n');
-    };
+    let rejected = 0;
+    for (let start = 0; start < features.length; start += ARROW_CHUNK_SIZE) {
+      const end = Math.min(start + ARROW_CHUNK_SIZE, features.length);
+      rejected += await insertFeatureRange(arrow, table, schema, features, start, end);
+    }
 
-    let batchSize = 100; // start more conservative
-    let i = 0;
-    while (i < features.length) {
-      const end = Math.min(i + batchSize, features.length);
-      const batch = features.slice(i, end);
-      const valuesSQL = buildValuesSQL(batch, i);
-      const insertSQL = `INSERT INTO data (${insertCols.join(', ')})
-                         VALUES ${valuesSQL}`;
+    if (withGeometry) {
+      await addGeometryColumn(table);
+    }
+    await pointDataView(table);
 
-      try {
-        await App.conn.query(insertSQL);
-        i = end; // advance on success
-      } catch (batchErr) {
-        if (batchSize > 1) {
-          const nextSize = Math.max(1, Math.floor(batchSize / 2));
-          console.warn(`[DuckDB] Insert batch failed at rows ${i}-${end - 1}. Reducing batch size ${batchSize} -> ${nextSize}`);
-          batchSize = nextSize;
-        } else {
-          // Single row failed - skip this row (only log if under threshold to avoid console flood)
-          if (i < 5) {
-            console.warn(`[DuckDB] Insert failed for row ${i}, skipping:`, batchErr.message);
-          } else if (i === 5) {
-            console.warn(`[DuckDB] Additional insert errors suppressed to avoid console flood`);
-          }
-          i++; // Skip the problematic row and continue
-        }
-      }
+    if (rejected > 0) {
+      console.warn(`[DuckDB] ${rejected} rows were rejected`);
+      showWarning(`${rejected.toLocaleString()} of ${features.length.toLocaleString()} objects could not be added to the SQL table and will not appear in query results.`);
     }
 
-    console.log(`[DuckDB] Registered ${features.length} features`);
+    console.log(`[DuckDB] Registered ${features.length - rejected} features as "${table}"`);
 
     // Sanity check that row count matches feature count
     try {
-      const stats = await App.conn.query('SELECT COUNT(*) AS cnt, MAX(_rowid) AS max_id FROM data');
+      const stats = await App.conn.query(`SELECT COUNT(*) AS cnt FROM ${quoteIdentifier(table)}`);
       const row = stats.toArray()[0];
-      const expectedMaxId = features.length - 1;
-      if (row) {
-        const actualCount = Number(row.cnt);
-        const actualMaxId = Number(row.max_id);
-        if (actualCount !== features.length || actualMaxId !== expectedMaxId) {
-          console.warn(`[DuckDB] Data mismatch: expected ${features.length} rows (max_id=${expectedMaxId}), got ${actualCount} rows (max_id=${actualMaxId})`);
-        }
+      const expected = features.length - rejected;
+      if (row && Number(row.cnt) !== expected) {
+        console.warn(`[DuckDB] Data mismatch: expected ${expected} rows, got ${Number(row.cnt)} rows`);
       }
     } catch (statsErr) {
       console.warn('[DuckDB] Could not run sanity check:', statsErr);
@@ -410,12 +692,499 @@ export async function registerInDuckDB(geojson) {
   }
 }
 
+/**
+ * Add features appended to a layer's data to its table
+ * Only the new rows are inserted; the table is registered again when the new
+ * features have properties its columns cannot hold.
+ * @param {Object} geojson - GeoJSON FeatureCollection the features were appended to
+ * @param {number} start - Index of the first appended feature
+ */
+export async function appendToDuckDB(geojson, start) {
+  if (!App.conn) return;
+
+  const table = App.tableName;
+  const features = geojson.features;
+  const added = features.slice(start);
+  const staging = `${table}__append`;
+  try {
+    const tableColumns = start > 0 ? await describeQuery(`SELECT * FROM ${quoteIdentifier(table)}`) : [];
+    const tableTypes = new Map(tableColumns.map(col => [col.name, col.type]));
+
+    const fits = tableColumns.length > 0 &&
+      tableColumns.every(col => col.name === GEOMETRY_COLUMN || ARROW_TYPES[col.type]) &&
+      collectColumns(added, App.spatialEnabled).every(col => columnHoldsValues(tableTypes.get(col), added, col));
+    if (!fits) {
+      console.log('[DuckDB] Appended features do not fit the table, registering all features again');
+      await registerInDuckDB(geojson);
+      return;
+    }
+
+    const arrow = await import('apache-arrow');
+
+    // New rows are staged with GeoJSON text, like a full registration
+    const schema = tableColumns.filter(col => col.name !== GEOMETRY_COLUMN);
+    const withGeometry = tableTypes.has(GEOMETRY_COLUMN);
+    if (withGeometry) {
+      schema.push({name: '_geometry', type: 'VARCHAR'});
+    }
+
+    await App.conn.query(`CREATE OR REPLACE TABLE ${quoteIdentifier(staging)}
+                          (
+                            ${schema.map(col => `${quoteIdentifier(col.name)} ${col.type}`).join(', ')}
+                          )`);
+
+    let rejected = 0;
+    for (let rangeStart = start; rangeStart < features.length; rangeStart += ARROW_CHUNK_SIZE) {
+      const rangeEnd = Math.min(rangeStart + ARROW_CHUNK_SIZE, features.length);
+      rejected += await insertFeatureRange(arrow, staging, schema, features, rangeStart, rangeEnd);
+    }
+
+    const select = withGeometry
+      ? `SELECT * EXCLUDE (_geometry), TRY(ST_GeomFromGeoJSON(_geometry)) AS ${GEOMETRY_COLUMN}`
+      : 'SELECT *';
+    await App.conn.query(`INSERT INTO ${quoteIdentifier(table)} BY NAME ${select} FROM ${quoteIdentifier(staging)}`);
+
+    if (rejected > 0) {
+      console.warn(`[DuckDB] ${rejected} appended rows were rejected`);
+      showWarning(`${rejected.toLocaleString()} of ${added.length.toLocaleString()} new objects could not be added to the SQL table and will not appear in query results.`);
+    }
+
+    console.log(`[DuckDB] Appended ${added.length - rejected} features to "${table}"`);
+  } catch (error) {
+    console.error('[DuckDB] Failed to append data:', error);
+    showError(`DuckDB load failed: ${error.message}`);
+  } finally {
+    await App.conn.query(`DROP TABLE IF EXISTS ${quoteIdentifier(staging)}`);
+  }
+}
+
+/**
+ * Check whether a table column can hold a property's values
+ * @param {string|undefined} columnType - DuckDB type of the column, undefined if it is missing
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {string} col - Property name
+ * @returns {boolean} True if the values can be inserted without changing the table
+ */
+function columnHoldsValues(columnType, features, col) {
+  // Properties without values need no column
+  if (features.every(feature => feature?.properties?.[col] === null || feature?.properties?.[col] === undefined)) {
+    return true;
+  }
+  const valueType = inferColumnType(features, col);
+  return columnType === 'VARCHAR' || columnType === valueType ||
+    (valueType === 'INTEGER' && (columnType === 'BIGINT' || columnType === 'DOUBLE'));
+}
+
+/**
+ * Drop a layer's table, or the view of a Parquet session
+ * @param {string} name - Table or view name
+ */
+export async function dropRelation(name) {
+  const result = await App.conn.query(`SELECT table_type
+                                       FROM information_schema.tables
+                                       WHERE table_name = '${escapeSQLString(name)}'`);
+  const row = result.toArray()[0];
+  if (row) {
+    await App.conn.query(`DROP ${row.table_type === 'VIEW' ? 'VIEW' : 'TABLE'} ${quoteIdentifier(name)}`);
+  }
+}
+
+/**
+ * Point the `data` view at a layer's table, so queries on `data` use the active layer
+ * @param {string|null} table - Table name, or null to drop the view
+ */
+export async function pointDataView(table) {
+  if (!App.conn) return;
+  if (table) {
+    await App.conn.query(`CREATE OR REPLACE VIEW data AS SELECT * FROM ${quoteIdentifier(table)}`);
+  } else {
+    await App.conn.query('DROP VIEW IF EXISTS data');
+  }
+}
+
+/**
+ * Collect property names to register as columns
+ * DuckDB column names are case-insensitive, so later case variants are skipped.
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {boolean} withGeometry - Whether the geometry column names are reserved
+ * @returns {Array<string>} Column names
+ */
+function collectColumns(features, withGeometry) {
+  const allCols = new Set();
+  features.forEach(f => {
+    Object.keys(f.properties || {}).forEach(k => {
+      // Skip columns with empty names or only whitespace
+      if (k && k.trim()) {
+        allCols.add(k);
+      }
+    });
+  });
+
+  const reserved = new Set(['_rowid']);
+  if (withGeometry) {
+    reserved.add('_geometry');
+    reserved.add(GEOMETRY_COLUMN);
+  }
+
+  const seen = new Set();
+  const cols = [];
+  for (const col of allCols) {
+    const key = col.toLowerCase();
+    if (reserved.has(key) || seen.has(key)) {
+      console.warn(`[DuckDB] Property "${col}" is hidden in SQL by a column with the same name`);
+      continue;
+    }
+    seen.add(key);
+    cols.push(col);
+  }
+  return cols;
+}
+
+/**
+ * Infer the DuckDB type of a property from all of its values
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {string} col - Property name
+ * @returns {string} INTEGER, BIGINT, DOUBLE, BOOLEAN or VARCHAR
+ */
+function inferColumnType(features, col) {
+  let seenNumber = false;
+  let seenFraction = false;
+  let seenLarge = false;
+  let seenBoolean = false;
+  let seenOther = false;
+
+  for (const feature of features) {
+    const v = feature?.properties?.[col];
+    if (v === null || v === undefined) continue;
+    const t = typeof v;
+    if (t === 'number' || t === 'bigint') {
+      seenNumber = true;
+      if (t === 'number' && !Number.isSafeInteger(v)) {
+        seenFraction = true;
+      } else if (v < INT32_MIN || v > INT32_MAX) {
+        seenLarge = true;
+      }
+    } else if (t === 'boolean') {
+      seenBoolean = true;
+    } else {
+      // strings, objects, arrays -> string storage
+      seenOther = true;
+    }
+    // Mixed types are stored as VARCHAR
+    if (seenOther || (seenNumber && seenBoolean)) {
+      return 'VARCHAR';
+    }
+  }
+
+  if (seenBoolean) return 'BOOLEAN';
+  // Integers stay exact unless a fraction (or an unsafe integer) needs a DOUBLE
+  if (seenFraction) return 'DOUBLE';
+  if (seenLarge) return 'BIGINT';
+  if (seenNumber) return 'INTEGER';
+  return 'VARCHAR';
+}
+
+/**
+ * Convert a property value for a column type
+ * @param {*} value - Property value
+ * @param {string} type - DuckDB column type
+ * @returns {*} Value for the Arrow vector
+ */
+function toColumnValue(value, type) {
+  if (value === null || value === undefined) return null;
+  switch (type) {
+    case 'INTEGER':
+    case 'DOUBLE': {
+      const num = Number(value);
+      return Number.isFinite(num) ? num : null;
+    }
+    case 'BIGINT':
+      return BigInt(value);
+    case 'BOOLEAN':
+      return Boolean(value);
+    default:
+      if (typeof value === 'string') return value;
+      if (typeof value === 'object') return JSON.stringify(value);
+      return String(value);
+  }
+}
+
+/**
+ * Insert a range of features as an Arrow table, splitting it on failure
+ * @param {Object} arrow - Apache Arrow module
+ * @param {string} table - Table name
+ * @param {Array<{name: string, type: string}>} schema - Table columns
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {number} start - First feature index
+ * @param {number} end - End index (exclusive)
+ * @returns {Promise<number>} Number of rejected rows
+ */
+async function insertFeatureRange(arrow, table, schema, features, start, end) {
+  try {
+    await App.conn.insertArrowTable(buildArrowTable(arrow, schema, features, start, end), {
+      name: table,
+      create: false
+    });
+    return 0;
+  } catch (error) {
+    if (end - start === 1) {
+      console.warn(`[DuckDB] Row ${start} rejected:`, error.message);
+      return 1;
+    }
+    const middle = start + Math.floor((end - start) / 2);
+    return await insertFeatureRange(arrow, table, schema, features, start, middle) +
+      await insertFeatureRange(arrow, table, schema, features, middle, end);
+  }
+}
+
+/**
+ * Build an Arrow table for a range of features
+ * @param {Object} arrow - Apache Arrow module
+ * @param {Array<{name: string, type: string}>} schema - Table columns
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {number} start - First feature index
+ * @param {number} end - End index (exclusive)
+ * @returns {Object} Arrow Table
+ */
+function buildArrowTable(arrow, schema, features, start, end) {
+  const vectors = {};
+  for (const {name, type} of schema) {
+    const values = new Array(end - start);
+    for (let i = start; i < end; i++) {
+      const feature = features[i];
+      if (name === '_rowid') {
+        values[i - start] = i;
+      } else if (name === '_geometry') {
+        values[i - start] = feature?.geometry ? JSON.stringify(feature.geometry) : null;
+      } else {
+        values[i - start] = toColumnValue(feature?.properties?.[name], type);
+      }
+    }
+    vectors[name] = arrow.vectorFromArray(values, ARROW_TYPES[type](arrow));
+  }
+  return new arrow.Table(vectors);
+}
+
+/**
+ * Convert the staged GeoJSON text into the GEOMETRY column of a layer's table
+ * @param {string} table - Table name
+ */
+async function addGeometryColumn(table) {
+  const name = quoteIdentifier(table);
+  try {
+    await App.conn.query(`ALTER TABLE ${name} ADD COLUMN ${GEOMETRY_COLUMN} GEOMETRY`);
+    // TRY() leaves geometries the extension cannot parse as NULL instead of failing the update
+    await App.conn.query(`UPDATE ${name} SET ${GEOMETRY_COLUMN} = TRY(ST_GeomFromGeoJSON(_geometry)) WHERE _geometry IS NOT NULL`);
+
+    const result = await App.conn.query(`SELECT COUNT(*) AS cnt FROM ${name} WHERE _geometry IS NOT NULL AND ${GEOMETRY_COLUMN} IS NULL`);
+    const failed = Number(result.toArray()[0]?.cnt || 0);
+    if (failed > 0) {
+      console.warn(`[DuckDB] ${failed} geometries could not be converted for spatial SQL`);
+      showWarning(`${failed.toLocaleString()} geometries could not be converted and are NULL in the "${GEOMETRY_COLUMN}" column.`);
+    }
+  } catch (error) {
+    console.error('[DuckDB] Failed to add geometry column:', error);
+    showWarning(`Spatial SQL is unavailable for this dataset: ${error.message}`);
+  } finally {
+    await App.conn.query(`ALTER TABLE ${name} DROP COLUMN IF EXISTS _geometry`);
+  }
+}
+
+// ============================================
+// Running and Cancelling Queries
+// ============================================
+
+let queryConnection = null; // Connection SQL panel queries are sent on
+let runningQuery = null; // SQL panel query being run: {layer, startTime, cancelled, timer}
+
+/**
+ * Get the connection SQL panel queries are sent on
+ * Queries run on App.conn (data viewer pages, layer switches) while a panel
+ * query is pending would invalidate it, so panel queries get their own.
+ * @returns {Promise<Object>} DuckDB connection
+ */
+async function getQueryConnection() {
+  if (!queryConnection) {
+    queryConnection = await App.db.connect();
+    // Profiling settings are per connection, so queries on the main connection are not profiled
+    await queryConnection.query("SET enable_profiling = 'json'");
+    await queryConnection.query(`SET profiling_output = '${QUERY_PROFILE_FILE}'`);
+  }
+  return queryConnection;
+}
+
+/**
+ * Mark a SQL panel query as running and show its elapsed time
+ * @returns {Object} Running query
+ */
+function beginRunningQuery() {
+  const query = {layer: App.activeLayer, startTime: performance.now(), cancelled: false, timer: null};
+  runningQuery = query;
+
+  const runBtn = document.getElementById('sqlRunBtn');
+  const cancelBtn = document.getElementById('sqlCancelBtn');
+  const running = document.getElementById('sqlRunning');
+  const elapsed = document.getElementById('sqlElapsed');
+  if (runBtn) runBtn.disabled = true;
+  if (cancelBtn) cancelBtn.disabled = false;
+  if (running) running.style.display = 'flex';
+
+  const showElapsed = () => {
+    if (elapsed) {
+      elapsed.textContent = `Running query... ${formatDuration(performance.now() - query.startTime)}`;
+    }
+  };
+  showElapsed();
+  query.timer = setInterval(showElapsed, 100);
+  return query;
+}
+
+/**
+ * Hide the running indicator of a SQL panel query
+ * @param {Object} query - Running query from beginRunningQuery
+ */
+function endRunningQuery(query) {
+  clearInterval(query.timer);
+  if (runningQuery !== query) return;
+  runningQuery = null;
+
+  const runBtn = document.getElementById('sqlRunBtn');
+  const running = document.getElementById('sqlRunning');
+  if (runBtn) runBtn.disabled = false;
+  if (running) running.style.display = 'none';
+}
+
+/**
+ * Stop a query if it was cancelled or the layer it ran on is no longer active
+ * @param {Object|null} query - Running query, or null outside the SQL panel
+ * @throws {Error} Error with `cancelled` set
+ */
+function checkRunningQuery(query) {
+  if (!query || (!query.cancelled && App.activeLayer === query.layer)) return;
+
+  const error = new Error(query.cancelled
+    ? 'Query cancelled.'
+    : 'Query stopped because the active layer changed.');
+  error.cancelled = true;
+  throw error;
+}
+
+/**
+ * Cancel the SQL panel query that is running
+ * DuckDB stops it at its next polling interval.
+ */
+export async function cancelQuery() {
+  const query = runningQuery;
+  if (!query || query.cancelled) return;
+
+  query.cancelled = true;
+  const cancelBtn = document.getElementById('sqlCancelBtn');
+  if (cancelBtn) cancelBtn.disabled = true;
+  console.log('[SQL] Cancelling query...');
+
+  try {
+    await queryConnection?.cancelSent();
+  } catch (error) {
+    console.warn('[SQL] Could not cancel query:', error);
+  }
+}
+
+/**
+ * Send a query on the query connection and read all its rows
+ * @param {string} sql - Query
+ * @returns {Promise<Array<Object>>} Result rows
+ */
+async function sendQuery(sql) {
+  const query = runningQuery;
+  checkRunningQuery(query);
+
+  const conn = await getQueryConnection();
+  const rows = [];
+  try {
+    const reader = await conn.send(sql);
+    for await (const batch of reader) {
+      for (const row of batch.toArray()) {
+        rows.push(row);
+      }
+    }
+  } catch (error) {
+    // A cancelled query fails with DuckDB's interrupt error
+    checkRunningQuery(query);
+    throw error;
+  }
+
+  checkRunningQuery(query);
+  return rows;
+}
+
+/**
+ * Run a query and count the rows it scanned
+ * The query connection profiles every query; once all rows are read, the
+ * profile of the query, which holds the scan counts, is in the profile file.
+ * @param {string} sql - SELECT query
+ * @returns {Promise<{rows: Array<Object>, rowsScanned: number}>} Result rows and rows scanned
+ */
+async function runMeasuredQuery(sql) {
+  const rows = await sendQuery(sql);
+
+  let rowsScanned = 0;
+  try {
+    const profile = JSON.parse(new TextDecoder().decode(await App.db.copyFileToBuffer(QUERY_PROFILE_FILE)));
+    if (profile.query_name === sql) {
+      rowsScanned = countRowsScanned(profile);
+    } else {
+      console.warn('[SQL] The query profile is for another query, rows scanned are not known');
+    }
+  } catch (error) {
+    console.warn('[SQL] Could not read the query profile:', error);
+  }
+  return {rows, rowsScanned};
+}
+
+/**
+ * Add up the rows scanned by the operators of a query profile
+ * @param {Object} node - Profile node with operator_rows_scanned and children
+ * @returns {number} Rows scanned by the node and its children
+ */
+function countRowsScanned(node) {
+  const children = node.children || [];
+  return children.reduce((sum, child) => sum + countRowsScanned(child), Number(node.operator_rows_scanned) || 0);
+}
+
+/**
+ * Show the result count, execution time and rows scanned of the last query in the status bar
+ * @param {Object|null} stats - Query statistics, or null to clear them
+ * @param {number} stats.rowCount - Rows returned or matched
+ * @param {number} stats.durationMs - Execution time
+ * @param {number} stats.rowsScanned - Rows read by the query
+ */
+export function showQueryStats(stats) {
+  const queryStatsEl = document.getElementById('queryStats');
+  if (!queryStatsEl) return;
+
+  if (!stats) {
+    queryStatsEl.textContent = '';
+    queryStatsEl.style.display = 'none';
+    return;
+  }
+
+  const {rowCount, durationMs, rowsScanned} = stats;
+  queryStatsEl.textContent = `(query: ${rowCount.toLocaleString()} ${rowCount === 1 ? 'row' : 'rows'} · ` +
+    `${formatDuration(durationMs)} · ${rowsScanned.toLocaleString()} rows scanned)`;
+  queryStatsEl.style.display = '';
+}
+
 // ============================================
 // SQL Queries
 // ============================================
 
 /**
  * Run SQL query
+ * Results with _rowid filter the loaded features (in a Parquet session the
+ * matching rows are decoded from the file); results with a geometry
+ * column are rendered as a new feature collection; other results are shown
+ * in a table. The page stays usable while the query runs, and the query can
+ * be cancelled until its rows arrive.
  */
 export async function runSQL() {
   if (!App.conn) {
@@ -436,25 +1205,56 @@ export async function runSQL() {
     return;
   }
 
-  showLoading('Running query...');
+  // Ctrl+Enter can be pressed again while a query runs
+  if (runningQuery) {
+    showWarning('A query is already running. Cancel it to run another.');
+    return;
+  }
+
+  clearSQLError();
+  const query = beginRunningQuery();
+
+  // Recorded against the layer queried, even if the result becomes a new layer
+  const typedSQL = sql;
+  const historyKey = currentHistoryKey();
+  let stats = null;
+  const finishQuery = (rowCount, rowsScanned) => {
+    stats = {rowCount, durationMs: performance.now() - query.startTime, rowsScanned};
+    endRunningQuery(query);
+    recordQuery(historyKey, {sql: typedSQL, rowCount, durationMs: stats.durationMs});
+  };
 
   try {
     // Check if it's a basic expression or full SQL
-    if (!sql.toLowerCase().startsWith('select')) {
+    if (!/^(select|with)\b/i.test(sql)) {
       sql = `SELECT *
              FROM data
              WHERE ${sql}`;
     }
 
-    // Ensure _rowid is included
-    let finalSQL = sql;
-    // Note: _rowid is a physical column in our table, so "SELECT *" already includes it.
-    // We don't need to force inject it for SELECT *, as that causes duplicate keys and Proxy errors.
+    // Strip a trailing semicolon so the query can be wrapped
+    sql = sql.replace(/;\s*$/, '');
 
-    // Future improvement: Parse SQL to inject _rowid for non-star queries if needed.
+    const columns = await describeQuery(sql);
+    const geometryTypeCols = columns.filter(col => col.type === 'GEOMETRY').map(col => col.name);
+    const columnNames = columns.map(col => col.name);
+    const hasRowId = columnNames.includes('_rowid');
 
-    const result = await App.conn.query(finalSQL);
-    const rows = result.toArray();
+    // Queries reading other layers' tables (joins) cannot be mapped back to the active layer
+    const tables = referencedLayerTables(sql);
+    const isCrossLayer = tables.some(table => table !== App.tableName);
+    const isRowFilter = hasRowId && !isCrossLayer && geometryTypeCols.every(name => name === GEOMETRY_COLUMN);
+
+    // Parquet sessions decode only the matching rows, up to the feature limit
+    if (isRowFilter && App.parquetSource) {
+      const {geojson, total, rowsScanned} = await materializeParquetQuery(sql);
+      finishQuery(total, rowsScanned);
+      displayParquetQuery(sql, geojson, total);
+      return;
+    }
+
+    const {rows, rowsScanned} = await runMeasuredQuery(geometryToWKB(sql, columns));
+    finishQuery(rows.length, rowsScanned);
 
     if (rows.length === 0) {
       hideLoading();
@@ -462,60 +1262,346 @@ export async function runSQL() {
       return;
     }
 
-    // Map rows back to features by _rowid safely
-    const sourceFeatures = App.originalData?.features || [];
-    const rowMap = new Map();
-    rows.forEach(r => {
-      if (r._rowid !== undefined && r._rowid !== null) {
-        rowMap.set(Number(r._rowid), r);
-      }
-    });
-
-    const validRowIds = Array.from(rowMap.keys()).filter(id => Number.isInteger(id) && id >= 0 && id < sourceFeatures.length);
+    const geometryCol = isRowFilter ? null : findGeometryColumn(columnNames, geometryTypeCols, rows);
 
-    if (validRowIds.length === 0) {
+    if (geometryCol && isCrossLayer) {
+      await renderQueryGeometries(rows, columnNames, geometryCol, geometryTypeCols, tables.join(' ⋈ '));
+    } else if (geometryCol) {
+      await renderQueryGeometries(rows, columnNames, geometryCol, geometryTypeCols);
+    } else if (isRowFilter) {
+      filterByRowId(rows, sql);
+    } else {
       hideLoading();
-      showError('Query must return _rowid within the loaded data range.');
+      showQueryResult(columnNames, rows.map(row => rowToObject(row, columnNames)));
+      console.log(`[SQL] Query returned ${rows.length} rows without geometry, shown as table`);
+    }
+
+  } catch (error) {
+    endRunningQuery(query);
+    hideLoading();
+    if (error.cancelled) {
+      console.log(`[SQL] ${error.message}`);
+      showWarning(error.message);
       return;
     }
+    console.error('[SQL] Query failed:', error);
+    showError(`SQL Error: ${markSQLError(error)}`);
+  } finally {
+    // Shown once the result is rendered, which may replace the active layer
+    if (stats) {
+      showQueryStats(stats);
+    }
+  }
+}
 
-    const filteredFeatures = validRowIds.map(id => {
-      const feature = sourceFeatures[id];
-      const row = rowMap.get(id);
-      if (!feature || !row) return null;
-      const newProps = {};
-      for (const key of Object.keys(row)) {
-        if (key !== '_rowid') {
-          newProps[key] = row[key];
-        }
+/**
+ * Get the result columns of a query without running it
+ * Duplicate names (e.g. geom from both sides of a join) get the suffixes
+ * DuckDB gives them in the result, such as geom_1.
+ * @param {string} sql - SELECT query
+ * @returns {Promise<Array<{name: string, type: string}>>} Column names and DuckDB types
+ */
+async function describeQuery(sql) {
+  const result = await App.conn.query(`DESCRIBE SELECT * FROM (${sql})`);
+  return result.toArray().map(row => ({
+    name: row.column_name,
+    type: String(row.column_type).toUpperCase()
+  }));
+}
+
+/**
+ * Wrap a query so its GEOMETRY columns are returned as WKB, which can be decoded
+ * @param {string} sql - SELECT query
+ * @param {Array<{name: string, type: string}>} columns - Result columns of the query
+ * @returns {string} Query with GEOMETRY columns converted
+ */
+function geometryToWKB(sql, columns) {
+  const replacements = columns
+    .filter(col => col.type === 'GEOMETRY')
+    .map(col => `ST_AsWKB(${quoteIdentifier(col.name)}) AS ${quoteIdentifier(col.name)}`);
+  if (replacements.length === 0) return sql;
+  return `SELECT * REPLACE (${replacements.join(', ')}) FROM (${sql})`;
+}
+
+/**
+ * Find the column holding geometries in a query result
+ * GEOMETRY-typed columns win; otherwise a column whose values decode as
+ * WKB, WKT or GeoJSON is used, preferring well-known geometry column names.
+ * @param {Array<string>} columnNames - Result column names
+ * @param {Array<string>} geometryTypeCols - Columns of type GEOMETRY
+ * @param {Array<Object>} rows - Result rows
+ * @returns {string|null} Geometry column name or null
+ */
+function findGeometryColumn(columnNames, geometryTypeCols, rows) {
+  if (geometryTypeCols.length > 0) {
+    return geometryTypeCols.find(name => GEOMETRY_COLUMN_NAMES.includes(name.toLowerCase())) || geometryTypeCols[0];
+  }
+
+  const byName = [...columnNames].sort((a, b) =>
+    Number(GEOMETRY_COLUMN_NAMES.includes(b.toLowerCase())) - Number(GEOMETRY_COLUMN_NAMES.includes(a.toLowerCase()))
+  );
+
+  for (const name of byName) {
+    if (name === '_rowid') continue;
+    const sample = rows.find(row => row[name] !== null && row[name] !== undefined)?.[name];
+    if (sample === undefined || typeof sample === 'number' || typeof sample === 'bigint') continue;
+    // Only strings that look like WKT or JSON objects are worth parsing
+    if (typeof sample === 'string' && !isWKT(sample) && !sample.trim().startsWith('{')) continue;
+
+    try {
+      const geometry = decodeGeometry(sample);
+      if (geometry && (geometry.coordinates || geometry.geometries)) {
+        return name;
       }
-      return {
-        ...feature,
-        properties: newProps
-      };
-    }).filter(Boolean);
-
-    App.currentData = {
-      type: 'FeatureCollection',
-      features: filteredFeatures
-    };
+    } catch (e) {
+      // Not a geometry
+    }
+  }
+  return null;
+}
+
+/**
+ * Render a query result with a geometry column as a new feature collection
+ * @param {Array<Object>} rows - Result rows
+ * @param {Array<string>} columnNames - Result column names
+ * @param {string} geometryCol - Column holding geometries
+ * @param {Array<string>} geometryTypeCols - Columns of type GEOMETRY, left out of the properties
+ * @param {string|null} [layerName] - Add the result as a new layer with this name instead of
+ *   replacing the active layer's objects
+ */
+async function renderQueryGeometries(rows, columnNames, geometryCol, geometryTypeCols, layerName = null) {
+  // Row ids of joined tables come back as _rowid_1, _rowid_2, ...
+  const propertyNames = columnNames.filter(name =>
+    name !== geometryCol && !geometryTypeCols.includes(name) && !/^_rowid(_\d+)?$/.test(name)
+  );
+
+  let failed = 0;
+  const features = [];
+  for (const row of rows) {
+    let geometry = null;
+    try {
+      geometry = decodeGeometry(row[geometryCol]);
+    } catch (e) {
+      failed++;
+      continue;
+    }
+    if (!geometry) continue;
 
-    // Re-analyze columns (SQL might have created new ones)
-    analyzeColumns(App.currentData);
+    features.push({
+      type: 'Feature',
+      properties: rowToObject(row, propertyNames),
+      geometry
+    });
+  }
 
-    // Re-render
-    renderData(App.currentData);
+  if (failed > 0) {
+    showWarning(`Skipped ${failed.toLocaleString()} rows whose "${geometryCol}" value is not a valid geometry.`);
+  }
 
-    console.log(`[SQL] Query returned ${filteredFeatures.length} rows`);
+  if (features.length === 0) {
     hideLoading();
+    showError(`Query returned no valid geometries in column "${geometryCol}".`);
+    return;
+  }
 
-  } catch (error) {
-    console.error('[SQL] Query failed:', error);
+  let geojson = {
+    type: 'FeatureCollection',
+    features
+  };
+
+  // The file's own geometry column of a Parquet view (and its geom column, if it could not
+  // be reprojected in DuckDB) is in the file's CRS; other geometries are in WGS84
+  const source = App.parquetSource;
+  if (source && ((geometryCol === source.geometryCol && !isReplacedGeometryColumn(source)) ||
+    (geometryCol === GEOMETRY_COLUMN && !source.wgs84Geometry))) {
+    geojson = await transformCRS(geojson, source.crs);
+  }
+
+  if (layerName) {
+    console.log(`[SQL] Query returned ${features.length} geometries, added as layer "${layerName}"`);
+    await addLayerFromGeoJSON(geojson, layerName);
+    return;
+  }
+
+  App.currentData = geojson;
+  App.rowFilterSQL = null;
+
+  analyzeColumns(App.currentData);
+  renderData(App.currentData);
+
+  console.log(`[SQL] Query returned ${features.length} new geometries from column "${geometryCol}"`);
+  hideLoading();
+}
+
+/**
+ * Find the layer tables a query reads from
+ * Table names are matched as whole identifiers outside string literals;
+ * `data` stands for the active layer's table.
+ * @param {string} sql - SELECT query
+ * @returns {Array<string>} Table names, in order of first mention
+ */
+function referencedLayerTables(sql) {
+  const code = sql.replace(/'(?:[^']|'')*'/g, "''").toLowerCase();
+  const position = name => code.search(new RegExp(`(^|[^\\w."])"?${name}"?($|[^\\w"])`));
+
+  return App.layers
+    .map(layer => {
+      const positions = [position(layer.tableName)];
+      if (layer.tableName === App.tableName) {
+        positions.push(position('data'));
+      }
+      const found = positions.filter(index => index >= 0);
+      return {table: layer.tableName, index: found.length > 0 ? Math.min(...found) : -1};
+    })
+    .filter(entry => entry.index >= 0)
+    .sort((a, b) => a.index - b.index)
+    .map(entry => entry.table);
+}
+
+/**
+ * Filter the loaded features to the rows returned by a query, by _rowid
+ * @param {Array<Object>} rows - Result rows including _rowid
+ * @param {string} sql - Query the rows were returned by
+ * @param {boolean} [preserveView] - If true, don't change the current map view
+ */
+function filterByRowId(rows, sql, preserveView = false) {
+  // Map rows back to features by _rowid safely
+  const sourceFeatures = App.originalData?.features || [];
+  const rowMap = new Map();
+  rows.forEach(r => {
+    if (r._rowid !== undefined && r._rowid !== null) {
+      rowMap.set(Number(r._rowid), r);
+    }
+  });
+
+  const validRowIds = Array.from(rowMap.keys()).filter(id => Number.isInteger(id) && id >= 0 && id < sourceFeatures.length);
+
+  if (validRowIds.length === 0) {
     hideLoading();
+    showError('Query must return _rowid within the loaded data range.');
+    return;
+  }
+
+  const filteredFeatures = validRowIds.map(id => {
+    const feature = sourceFeatures[id];
+    const row = rowMap.get(id);
+    if (!feature || !row) return null;
+    // Geometry comes from the matched feature, not the GEOMETRY column
+    const keys = Object.keys(row).filter(key => key !== '_rowid' && key !== GEOMETRY_COLUMN);
+    return {
+      ...feature,
+      properties: rowToObject(row, keys)
+    };
+  }).filter(Boolean);
+
+  App.currentData = {
+    type: 'FeatureCollection',
+    features: filteredFeatures
+  };
+  App.rowFilterSQL = sql;
+
+  // Re-analyze columns (SQL might have created new ones)
+  analyzeColumns(App.currentData);
+
+  // Re-render
+  renderData(App.currentData, preserveView);
+
+  console.log(`[SQL] Query returned ${filteredFeatures.length} rows`);
+  hideLoading();
+}
+
+/**
+ * Run the active layer's SQL row filter again, e.g. after objects were appended
+ */
+export async function reapplyRowFilter() {
+  const sql = App.rowFilterSQL;
+  try {
+    const columns = await describeQuery(sql);
+    const result = await App.conn.query(geometryToWKB(sql, columns));
+    filterByRowId(result.toArray(), sql, true);
+  } catch (error) {
+    console.error('[SQL] Could not apply the filter again:', error);
     showError(`SQL Error: ${error.message}`);
   }
 }
 
+/**
+ * Copy selected columns of a result row into a plain object
+ * @param {Object} row - Result row
+ * @param {Array<string>} keys - Columns to copy
+ * @returns {Object} Plain object with BigInts converted to numbers
+ */
+function rowToObject(row, keys) {
+  const obj = {};
+  for (const key of keys) {
+    const value = row[key];
+    obj[key] = typeof value === 'bigint' ? Number(value) : value;
+  }
+  return obj;
+}
+
+/**
+ * Quote a SQL identifier
+ * @param {string} name - Identifier
+ * @returns {string} Quoted identifier
+ */
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// ============================================
+// Paged Queries
+// ============================================
+
+/**
+ * Get the attribute columns of a query, leaving out _rowid and geometries
+ * @param {string} sql - SELECT query
+ * @returns {Promise<Array<string>>} Column names
+ */
+export async function describeAttributeColumns(sql) {
+  const columns = await describeQuery(sql);
+  const geometryCol = App.parquetSource?.geometryCol;
+  return columns
+    .filter(col => col.name !== '_rowid' && col.name !== geometryCol && !['GEOMETRY', 'BLOB'].includes(col.type))
+    .map(col => col.name);
+}
+
+/**
+ * Read one page of a query's rows, searching and sorting in DuckDB
+ * @param {string} sql - SELECT query
+ * @param {Array<string>} columns - Columns to return
+ * @param {Object} options - Page options
+ * @param {string} [options.searchTerm] - Case-insensitive text any column must contain
+ * @param {string|null} [options.sortColumn] - Column to sort by
+ * @param {string} [options.sortDirection] - 'asc' or 'desc'
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Rows to skip
+ * @returns {Promise<{rows: Array<Object>, total: number}>} Page rows and the number of matching rows
+ */
+export async function queryPage(sql, columns, {searchTerm, sortColumn, sortDirection, limit, offset}) {
+  let where = '';
+  if (searchTerm) {
+    const term = escapeSQLString(searchTerm.toLowerCase());
+    where = `WHERE ${columns
+      .map(col => `contains(lower(CAST(${quoteIdentifier(col)} AS VARCHAR)), '${term}')`)
+      .join(' OR ')}`;
+  }
+
+  const orderBy = sortColumn
+    ? `ORDER BY ${quoteIdentifier(sortColumn)} ${sortDirection === 'desc' ? 'DESC' : 'ASC'} NULLS LAST`
+    : '';
+
+  const result = await App.conn.query(`SELECT ${columns.map(quoteIdentifier).join(', ')}
+                                       FROM (${sql}) ${where} ${orderBy}
+                                       LIMIT ${limit} OFFSET ${offset}`);
+  const countResult = await App.conn.query(`SELECT COUNT(*) AS cnt FROM (${sql}) ${where}`);
+
+  return {
+    rows: result.toArray().map(row => rowToObject(row, columns)),
+    total: Number(countResult.toArray()[0].cnt)
+  };
+}
+
 /**
  * Reset view to fit current data (zoom/pan to show all current features)
  */
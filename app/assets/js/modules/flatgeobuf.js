@@ -0,0 +1,261 @@
+/**
+ * VecGeo Viewer - FlatGeobuf Module
+ *
+ * Reads local FlatGeobuf files and bbox-filtered remote FlatGeobuf files
+ * (packed R-tree index + HTTP range requests), with optional load-on-pan.
+ */
+
+import {App} from '../app.js';
+import {showError, showWarning} from './ui.js';
+import {ensureProjection, initProj4Definitions, registerProjection, transformCRS} from './crs.js';
+
+// ============================================
+// Local Files
+// ============================================
+
+/**
+ * Read a local FlatGeobuf file
+ * @param {File} file - FlatGeobuf file
+ * @returns {Object} GeoJSON FeatureCollection in WGS84
+ */
+export async function readFlatGeobuf(file) {
+  assertLibrary();
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let header = null;
+
+  const features = [];
+  for await (const feature of flatgeobuf.deserialize(bytes, {headerMetaFn: h => header = h})) {
+    features.push(feature);
+  }
+
+  console.log(`[FlatGeobuf] Read ${features.length} features from ${file.name}`);
+
+  const geojson = {type: 'FeatureCollection', features};
+  tagCRS(geojson, resolveHeaderCRS(header));
+  return await transformCRS(geojson);
+}
+
+// ============================================
+// Remote Files
+// ============================================
+
+/**
+ * Read the features of a remote FlatGeobuf file that intersect the current map view
+ * @param {string} url - FlatGeobuf URL
+ * @returns {Object} GeoJSON FeatureCollection in WGS84
+ */
+export async function readRemoteFlatGeobuf(url) {
+  assertLibrary();
+
+  const crs = await readRemoteCRS(url);
+
+  App.remoteSource = {
+    format: 'fgb',
+    url,
+    crs,
+    loadedBounds: [],
+    featureKeys: new Set()
+  };
+
+  const bounds = App.map.getBounds();
+  const features = await fetchFeaturesInBounds(App.remoteSource, bounds);
+
+  const geojson = {type: 'FeatureCollection', features};
+  tagCRS(geojson, crs);
+  const transformed = await transformCRS(geojson);
+
+  // Reuse the detected CRS for features fetched later
+  if (!crs && App.sourceCRS !== 'EPSG:4326') {
+    App.remoteSource.crs = App.sourceCRS;
+  }
+  return transformed;
+}
+
+/**
+ * Load features for the new map view when load-on-pan is enabled
+ * @param {Function} appendFeatures - Adds WGS84 features to the loaded dataset
+ */
+export async function loadMoreOnPan(appendFeatures) {
+  const source = App.remoteSource;
+  if (!source || source.format !== 'fgb' || !App.loadOnPan || source.isFetching) {
+    return;
+  }
+
+  const bounds = App.map.getBounds();
+  if (source.loadedBounds.some(loaded => loaded.contains(bounds))) {
+    return;
+  }
+
+  source.isFetching = true;
+  try {
+    const features = await fetchFeaturesInBounds(source, bounds);
+    if (features.length === 0) return;
+
+    const geojson = {type: 'FeatureCollection', features};
+    const transformed = await transformCRS(geojson, source.crs || 'EPSG:4326');
+
+    // Ignore results for a source that was replaced while fetching
+    if (App.remoteSource === source) {
+      await appendFeatures(transformed.features);
+    }
+  } catch (error) {
+    console.error('[FlatGeobuf] Failed to load features for view:', error);
+    showError(`Error loading more features: ${error.message}`);
+  } finally {
+    source.isFetching = false;
+  }
+}
+
+/**
+ * Fetch features intersecting a WGS84 bounds, skipping ones already loaded
+ * @param {Object} source - Remote source state
+ * @param {L.LatLngBounds} bounds - Map bounds
+ * @returns {Array} New GeoJSON features (in the file's CRS)
+ */
+async function fetchFeaturesInBounds(source, bounds) {
+  const rect = boundsToRect(bounds, source.crs);
+  const limit = App.featureLimit > 0 ? App.featureLimit : Infinity;
+  const alreadyLoaded = source.featureKeys.size;
+
+  console.log(`[FlatGeobuf] Fetching features in`, rect);
+
+  const features = [];
+  let truncated = false;
+  for await (const feature of flatgeobuf.deserialize(source.url, {rect})) {
+    // Deduplicate on the feature index, or on content if the reader gives no id
+    const key = feature.id ?? JSON.stringify(feature.geometry) + JSON.stringify(feature.properties);
+    if (source.featureKeys.has(key)) continue;
+
+    if (alreadyLoaded + features.length >= limit) {
+      truncated = true;
+      break;
+    }
+
+    source.featureKeys.add(key);
+    features.push(feature);
+  }
+
+  if (truncated) {
+    showWarning(`Reached the read limit of ${App.featureLimit.toLocaleString()}. Zoom in or raise the limit in Performance Settings to load more.`);
+  } else {
+    // Only remember fully loaded views, so truncated areas are fetched again
+    source.loadedBounds.push(bounds);
+  }
+
+  console.log(`[FlatGeobuf] Fetched ${features.length} new features`);
+  return features;
+}
+
+// ============================================
+// CRS Handling
+// ============================================
+
+/**
+ * Read the header of a remote file to learn its CRS
+ * @param {string} url - FlatGeobuf URL
+ * @returns {string|null} CRS code or null for WGS84/unknown
+ */
+async function readRemoteCRS(url) {
+  let header = null;
+
+  // The header is read before the first index search; an empty rect keeps that search cheap
+  const iterator = flatgeobuf.deserialize(url, {
+    rect: {minX: 0, minY: 0, maxX: 0, maxY: 0},
+    headerMetaFn: h => header = h
+  });
+  try {
+    await iterator.next();
+  } finally {
+    await iterator.return();
+  }
+
+  if (header && header.indexNodeSize === 0) {
+    throw new Error('Remote FlatGeobuf file has no spatial index. Please download it and load it locally.');
+  }
+
+  const crs = resolveHeaderCRS(header);
+  // Needed for projecting map bounds into the file's CRS
+  if (crs && !await ensureProjection(crs)) {
+    console.warn(`[FlatGeobuf] Unknown CRS ${crs}, using map bounds as-is`);
+  }
+  return crs;
+}
+
+/**
+ * Resolve the CRS from a FlatGeobuf header, registering embedded WKT with Proj4
+ * @param {Object|null} header - FlatGeobuf header metadata
+ * @returns {string|null} CRS code or null for WGS84/unknown
+ */
+function resolveHeaderCRS(header) {
+  const crs = header?.crs;
+  if (!crs || !crs.code) return null;
+
+  const org = (crs.org || 'EPSG').toUpperCase();
+  if (org !== 'EPSG') {
+    console.warn(`[FlatGeobuf] Unsupported CRS authority: ${org}`);
+    return null;
+  }
+  if (crs.code === 4326) return null;
+
+  const code = `EPSG:${crs.code}`;
+  if (crs.wkt) {
+    registerProjection(code, crs.wkt);
+  }
+  return code;
+}
+
+/**
+ * Tag GeoJSON with a CRS so transformCRS can reproject it
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @param {string|null} code - CRS code
+ */
+function tagCRS(geojson, code) {
+  if (code) {
+    geojson.crs = {type: 'name', properties: {name: code}};
+  }
+}
+
+/**
+ * Convert WGS84 map bounds to a rect in the file's CRS
+ * @param {L.LatLngBounds} bounds - Map bounds
+ * @param {string|null} crs - File CRS code
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Rect
+ */
+function boundsToRect(bounds, crs) {
+  const west = Math.max(bounds.getWest(), -180);
+  const east = Math.min(bounds.getEast(), 180);
+  const south = Math.max(bounds.getSouth(), -90);
+  const north = Math.min(bounds.getNorth(), 90);
+
+  if (!crs || !initProj4Definitions() || !proj4.defs(crs)) {
+    return {minX: west, minY: south, maxX: east, maxY: north};
+  }
+
+  // Project points along the edges, since projected bounds are not rectangular
+  const toFile = proj4('EPSG:4326', crs).forward;
+  const rect = {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity};
+  const steps = 8;
+  for (let i = 0; i <= steps; i++) {
+    const lon = west + (east - west) * i / steps;
+    const lat = south + (north - south) * i / steps;
+    for (const point of [[lon, south], [lon, north], [west, lat], [east, lat]]) {
+      const [x, y] = toFile(point);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+      rect.minX = Math.min(rect.minX, x);
+      rect.minY = Math.min(rect.minY, y);
+      rect.maxX = Math.max(rect.maxX, x);
+      rect.maxY = Math.max(rect.maxY, y);
+    }
+  }
+  return rect;
+}
+
+/**
+ * Ensure the flatgeobuf library is loaded
+ */
+function assertLibrary() {
+  if (typeof flatgeobuf === 'undefined') {
+    throw new Error('FlatGeobuf library is not loaded. Cannot read .fgb files.');
+  }
+}
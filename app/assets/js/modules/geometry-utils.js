@@ -0,0 +1,133 @@
+/**
+ * VecGeo Viewer - Geometry Utilities Module
+ *
+ * Web Mercator projection, segment distances and the grid index of points
+ * and shapes, shared by the renderers on the main thread and by the tile and
+ * simplification workers. Uses neither the DOM nor Leaflet, so workers can
+ * import it.
+ */
+
+// ============================================
+// Settings
+// ============================================
+
+// Web Mercator latitude limit, as in Leaflet
+export const MAX_LATITUDE = 85.0511287798;
+
+// Smallest valid ring: a triangle plus the closing vertex
+export const MIN_RING_LENGTH = 4;
+
+// Grid index: objects per cell on average, the largest grid, and the most
+// cells an object is listed in before it is kept in a separate list instead
+const OBJECTS_PER_CELL = 8;
+const MAX_GRID_SIZE = 1024;
+const MAX_INDEXED_CELLS = 256;
+
+// ============================================
+// Projection
+// ============================================
+
+/**
+ * Project a longitude to Web Mercator pixels at zoom 0 (as L.CRS.EPSG3857)
+ * @param {number} lng - Longitude in degrees
+ * @returns {number} x in 0..256
+ */
+export function projectX(lng) {
+  return 256 * (lng / 360 + 0.5);
+}
+
+/**
+ * Project a latitude to Web Mercator pixels at zoom 0 (as L.CRS.EPSG3857)
+ * @param {number} lat - Latitude in degrees
+ * @returns {number} y in 0..256, north at 0
+ */
+export function projectY(lat) {
+  const clamped = Math.max(Math.min(lat, MAX_LATITUDE), -MAX_LATITUDE);
+  const sin = Math.sin(clamped * Math.PI / 180);
+  return 256 * (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI));
+}
+
+// ============================================
+// Distances
+// ============================================
+
+/**
+ * Get the squared distance from a point to a segment
+ * @param {number} px - Point x
+ * @param {number} py - Point y
+ * @param {number} ax - Segment start x
+ * @param {number} ay - Segment start y
+ * @param {number} bx - Segment end x
+ * @param {number} by - Segment end y
+ * @returns {number} Squared distance
+ */
+export function sqSegmentDistance(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  const x = ax + t * dx - px;
+  const y = ay + t * dy - py;
+  return x * x + y * y;
+}
+
+// ============================================
+// Grid Index
+// ============================================
+
+/**
+ * Build a grid index of points and shapes over an extent
+ * Cells list object ids: point indices first, then shape indices offset by
+ * the point count. Shapes covering too many cells are kept in a separate list.
+ * @param {Object} objects - {points: {x, y, count}, shapes: [{bbox}]}
+ * @param {Array<number>} extent - [minX, minY, maxX, maxY] of the objects
+ * @returns {Object} Grid index: {size, column, row, offsets, entries, large}
+ */
+export function buildGridIndex({points, shapes}, extent) {
+  const objectCount = points.count + shapes.length;
+  const size = Math.min(MAX_GRID_SIZE, Math.max(1, Math.ceil(Math.sqrt(objectCount / OBJECTS_PER_CELL))));
+
+  const [minX, minY, maxX, maxY] = extent;
+  const cellWidth = Math.max((maxX - minX) / size, 1e-9);
+  const cellHeight = Math.max((maxY - minY) / size, 1e-9);
+
+  const column = x => Math.min(size - 1, Math.max(0, Math.floor((x - minX) / cellWidth)));
+  const row = y => Math.min(size - 1, Math.max(0, Math.floor((y - minY) / cellHeight)));
+  const large = [];
+
+  // Visit the cells of every indexed object, first to count, then to fill
+  const eachEntry = (callback) => {
+    for (let i = 0; i < points.count; i++) {
+      callback(row(points.y[i]) * size + column(points.x[i]), i);
+    }
+    shapes.forEach((shape, index) => {
+      const [x0, y0, x1, y1] = [column(shape.bbox[0]), row(shape.bbox[1]), column(shape.bbox[2]), row(shape.bbox[3])];
+      if ((x1 - x0 + 1) * (y1 - y0 + 1) > MAX_INDEXED_CELLS) {
+        if (callback === count) large.push(points.count + index);
+        return;
+      }
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          callback(y * size + x, points.count + index);
+        }
+      }
+    });
+  };
+
+  const offsets = new Int32Array(size * size + 1);
+  const count = (cell) => {
+    offsets[cell + 1]++;
+  };
+  eachEntry(count);
+  for (let cell = 0; cell < size * size; cell++) {
+    offsets[cell + 1] += offsets[cell];
+  }
+
+  const entries = new Int32Array(offsets[size * size]);
+  const filled = offsets.slice(0, size * size);
+  eachEntry((cell, id) => {
+    entries[filled[cell]++] = id;
+  });
+
+  return {size, column, row, offsets, entries, large};
+}
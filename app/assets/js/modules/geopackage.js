@@ -0,0 +1,274 @@
+/**
+ * VecGeo Viewer - GeoPackage Module
+ *
+ * Lists GeoPackage (.gpkg) feature tables through DuckDB-WASM's SQLite scanner
+ * and reads the chosen one with the spatial extension's ST_Read (GDAL).
+ */
+
+import {App} from '../app.js';
+import {hideLoading, showChoiceDialog, showLoading, showWarning} from './ui.js';
+import {registerProjection, transformCRS} from './crs.js';
+import {parseWKB} from './wkb.js';
+import {escapeSQLString} from './duckdb.js';
+
+// Alias under which the GeoPackage is attached in DuckDB
+const GPKG_ALIAS = 'gpkg';
+
+// ============================================
+// GeoPackage Reader
+// ============================================
+
+/**
+ * Read a GeoPackage file into GeoJSON
+ * @param {File} file - GeoPackage file
+ * @returns {Object} GeoJSON FeatureCollection in WGS84
+ */
+export async function readGeoPackage(file) {
+  if (!App.db || !App.conn) {
+    throw new Error('DuckDB is not initialized. Cannot read GeoPackage files.');
+  }
+
+  const arrayBuffer = await file.arrayBuffer();
+  await App.db.registerFileBuffer(file.name, new Uint8Array(arrayBuffer));
+
+  // GeoPackage is SQLite, read through the sqlite extension
+  try {
+    await App.conn.query('INSTALL sqlite');
+    await App.conn.query('LOAD sqlite');
+    console.log('[GeoPackage] sqlite extension loaded');
+  } catch (extError) {
+    // sqlite might already be loaded or included in the WASM build
+    console.log('[GeoPackage] sqlite extension status:', extError.message);
+  }
+
+  await App.conn.query(`DETACH DATABASE IF EXISTS ${GPKG_ALIAS}`);
+  await App.conn.query(`ATTACH '${escapeSQLString(file.name)}' AS ${GPKG_ALIAS} (TYPE SQLITE, READ_ONLY)`);
+
+  try {
+    const layers = await listFeatureLayers();
+    if (layers.length === 0) {
+      throw new Error('GeoPackage does not contain any feature tables.');
+    }
+
+    const layer = await chooseLayer(layers, file.name);
+    showLoading(`Reading layer ${layer.tableName}...`);
+
+    const geojson = await readLayer(layer, file.name);
+    await applyLayerCRS(geojson, layer.srsId);
+
+    return await transformCRS(geojson);
+  } finally {
+    await App.conn.query(`DETACH DATABASE IF EXISTS ${GPKG_ALIAS}`);
+  }
+}
+
+/**
+ * List feature tables from gpkg_contents
+ * @returns {Array<{tableName: string, identifier: string, srsId: number, geometryColumn: string}>}
+ */
+async function listFeatureLayers() {
+  const result = await App.conn.query(`
+    SELECT c.table_name, c.identifier, c.srs_id, g.column_name
+    FROM ${GPKG_ALIAS}.gpkg_contents c
+    JOIN ${GPKG_ALIAS}.gpkg_geometry_columns g ON g.table_name = c.table_name
+    WHERE c.data_type = 'features'
+    ORDER BY c.table_name`);
+
+  return result.toArray().map(row => ({
+    tableName: row.table_name,
+    identifier: row.identifier || row.table_name,
+    srsId: Number(row.srs_id),
+    geometryColumn: row.column_name
+  }));
+}
+
+/**
+ * Let the user pick a layer when the GeoPackage has several
+ * @param {Array} layers - Feature layers
+ * @param {string} filename - GeoPackage filename (for the dialog)
+ * @returns {Object} Chosen layer
+ * @throws {Error} Error with `cancelled` set if the user cancels the dialog
+ */
+async function chooseLayer(layers, filename) {
+  if (layers.length === 1) {
+    return layers[0];
+  }
+
+  hideLoading();
+  const tableName = await showChoiceDialog(
+    'Select Layer',
+    `${filename} contains ${layers.length} feature layers. Choose one to load.`,
+    layers.map(layer => ({
+      value: layer.tableName,
+      label: layer.identifier === layer.tableName
+        ? layer.tableName
+        : `${layer.identifier} (${layer.tableName})`
+    }))
+  );
+
+  if (!tableName) {
+    const error = new Error('No GeoPackage layer selected.');
+    error.cancelled = true;
+    throw error;
+  }
+  return layers.find(layer => layer.tableName === tableName);
+}
+
+/**
+ * Read the rows of a feature table with their geometries as binary
+ * The sqlite scanner types columns by their declared type, which for geometry
+ * columns is a geometry type name: POINT becomes BIGINT (it contains "INT")
+ * and the others VARCHAR, so the blobs cannot be read that way. With the
+ * spatial extension, GDAL reads the layer and returns plain WKB instead.
+ * @param {Object} layer - Feature layer
+ * @param {string} filename - Registered GeoPackage filename
+ * @returns {Promise<Object>} {rows, geometryColumn, decode} where decode turns a geometry value into GeoJSON
+ */
+async function queryLayerRows(layer, filename) {
+  if (App.spatialEnabled) {
+    const scan = `ST_Read('${escapeSQLString(filename)}', layer = '${escapeSQLString(layer.tableName)}', keep_wkb = true)`;
+    const columns = (await App.conn.query(`DESCRIBE SELECT * FROM ${scan}`)).toArray();
+    const geometry = columns.find(col => /^(WKB_BLOB|GEOMETRY)$/i.test(String(col.column_type)));
+    if (geometry) {
+      const result = await App.conn.query(`SELECT * FROM ${scan}`);
+      return {rows: result.toArray(), geometryColumn: geometry.column_name, decode: parseWKB};
+    }
+    console.warn(`[GeoPackage] ST_Read returned no geometry column for ${layer.tableName}, using the sqlite scanner`);
+  }
+
+  const table = `${GPKG_ALIAS}."${layer.tableName.replace(/"/g, '""')}"`;
+  let result;
+  try {
+    result = await App.conn.query(`SELECT * FROM ${table}`);
+  } catch (error) {
+    throw new Error(`Could not read layer ${layer.tableName} without the spatial extension: ${error.message}`);
+  }
+  return {
+    rows: result.toArray(),
+    geometryColumn: layer.geometryColumn,
+    decode: (value) => {
+      if (!(value instanceof Uint8Array)) {
+        throw new Error('Geometry was not read as binary');
+      }
+      return parseGeoPackageGeometry(value);
+    }
+  };
+}
+
+/**
+ * Read all rows of a feature table as GeoJSON
+ * @param {Object} layer - Feature layer
+ * @param {string} filename - Registered GeoPackage filename
+ * @returns {Object} GeoJSON FeatureCollection (in the layer's CRS)
+ */
+async function readLayer(layer, filename) {
+  const {rows, geometryColumn, decode} = await queryLayerRows(layer, filename);
+
+  let failed = 0;
+  const features = rows.map(row => {
+    let geometry = null;
+    const blob = row[geometryColumn];
+    if (blob) {
+      try {
+        geometry = decode(blob);
+      } catch (e) {
+        failed++;
+      }
+    }
+
+    const properties = {};
+    for (const [key, value] of Object.entries(row)) {
+      if (key !== geometryColumn) {
+        properties[key] = typeof value === 'bigint' ? Number(value) : value;
+      }
+    }
+
+    return {
+      type: 'Feature',
+      properties,
+      geometry
+    };
+  }).filter(f => f.geometry);
+
+  const skipped = rows.length - features.length;
+  if (skipped > 0) {
+    const reason = failed > 0 ? ` (${failed} could not be decoded)` : '';
+    showWarning(`Skipped ${skipped.toLocaleString()} of ${rows.length.toLocaleString()} rows of ${layer.tableName} without a usable geometry${reason}.`);
+  }
+  console.log(`[GeoPackage] Read ${features.length} features from ${layer.tableName}`);
+
+  return {
+    type: 'FeatureCollection',
+    features
+  };
+}
+
+// ============================================
+// CRS Handling
+// ============================================
+
+/**
+ * Tag GeoJSON with the layer's CRS so transformCRS can reproject it
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @param {number} srsId - srs_id from gpkg_contents
+ */
+async function applyLayerCRS(geojson, srsId) {
+  // 0 = undefined geographic, -1 = undefined cartesian
+  if (!Number.isFinite(srsId) || srsId <= 0) {
+    return;
+  }
+
+  const result = await App.conn.query(`
+    SELECT organization, organization_coordsys_id, definition
+    FROM ${GPKG_ALIAS}.gpkg_spatial_ref_sys
+    WHERE srs_id = ${srsId}`);
+  const srs = result.toArray()[0];
+  if (!srs || String(srs.organization).toUpperCase() !== 'EPSG') {
+    console.warn(`[GeoPackage] srs_id ${srsId} is not an EPSG code, falling back to detection`);
+    return;
+  }
+
+  const code = `EPSG:${Number(srs.organization_coordsys_id)}`;
+  // Use the embedded WKT for codes proj4 does not know yet
+  if (srs.definition && srs.definition !== 'undefined') {
+    registerProjection(code, srs.definition);
+  }
+
+  geojson.crs = {type: 'name', properties: {name: code}};
+  console.log(`[GeoPackage] Layer CRS: ${code}`);
+}
+
+// ============================================
+// GeoPackage Binary Geometry
+// ============================================
+
+// Envelope sizes in bytes by envelope indicator (flags bits 1-3)
+const ENVELOPE_SIZES = [0, 32, 48, 48, 64];
+
+/**
+ * Decode a GeoPackage binary geometry (GP header + WKB)
+ * @param {Uint8Array} bytes - Geometry blob
+ * @returns {Object|null} GeoJSON geometry or null if empty
+ */
+export function parseGeoPackageGeometry(bytes) {
+  // Magic "GP"
+  if (bytes[0] !== 0x47 || bytes[1] !== 0x50) {
+    throw new Error('Invalid GeoPackage geometry header');
+  }
+
+  const flags = bytes[3];
+  const isEmpty = (flags & 0x10) !== 0;
+  const envelopeIndicator = (flags >> 1) & 0x07;
+  const envelopeSize = ENVELOPE_SIZES[envelopeIndicator];
+  if (envelopeSize === undefined) {
+    throw new Error(`Invalid GeoPackage envelope indicator: ${envelopeIndicator}`);
+  }
+
+  if (isEmpty) {
+    return null;
+  }
+
+  // Header: magic (2) + version (1) + flags (1) + srs_id (4) + envelope
+  const headerSize = 8 + envelopeSize;
+  return parseWKB(bytes.subarray(headerSize));
+}
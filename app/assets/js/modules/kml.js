@@ -0,0 +1,361 @@
+/**
+ * VecGeo Viewer - KML Module
+ *
+ * Converts KML documents (and KMZ archives) to GeoJSON.
+ */
+
+// ============================================
+// KMZ Archives
+// ============================================
+
+/**
+ * Extract the main KML document from a KMZ archive
+ * @param {ArrayBuffer} arrayBuffer - KMZ file contents
+ * @returns {string} KML text
+ */
+export async function extractKMZ(arrayBuffer) {
+  if (typeof JSZip === 'undefined') {
+    throw new Error('JSZip is not loaded. Cannot read KMZ archives.');
+  }
+
+  const zip = await JSZip.loadAsync(arrayBuffer);
+
+  // Google Earth writes the root document as doc.kml; fall back to the first .kml entry
+  let entry = zip.file(/(^|\/)doc\.kml$/i)[0];
+  if (!entry) {
+    entry = zip.file(/\.kml$/i)[0];
+  }
+  if (!entry) {
+    throw new Error('KMZ archive does not contain a KML document.');
+  }
+
+  console.log(`[KML] Reading ${entry.name} from KMZ archive`);
+  return await entry.async('string');
+}
+
+// ============================================
+// KML to GeoJSON
+// ============================================
+
+/**
+ * Convert a KML document to a GeoJSON FeatureCollection
+ * @param {string} text - KML text
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function kmlToGeoJSON(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+  const parserError = doc.getElementsByTagName('parsererror')[0];
+  if (parserError) {
+    throw new Error('Invalid KML: document is not well-formed XML.');
+  }
+
+  const features = [];
+  let skipped = 0;
+
+  for (const placemark of elementsByName(doc, 'Placemark')) {
+    const geometry = readPlacemarkGeometry(placemark);
+    if (!geometry) {
+      skipped++;
+      continue;
+    }
+
+    features.push({
+      type: 'Feature',
+      properties: readPlacemarkProperties(placemark),
+      geometry
+    });
+  }
+
+  if (skipped > 0) {
+    console.warn(`[KML] Skipped ${skipped} placemarks without supported geometry`);
+  }
+  console.log(`[KML] Converted ${features.length} placemarks`);
+
+  return {
+    type: 'FeatureCollection',
+    features
+  };
+}
+
+// ============================================
+// Placemark Properties
+// ============================================
+
+/**
+ * Read name, description, folder and ExtendedData of a placemark
+ * @param {Element} placemark - Placemark element
+ * @returns {Object} Feature properties
+ */
+function readPlacemarkProperties(placemark) {
+  const properties = {};
+
+  const name = childText(placemark, 'name');
+  if (name !== null) {
+    properties.name = name;
+  }
+
+  const description = childText(placemark, 'description');
+  if (description !== null) {
+    properties.description = description;
+  }
+
+  // Nearest enclosing folder, so features can be colored by it
+  const folder = findFolderName(placemark);
+  if (folder !== null) {
+    properties.folder = folder;
+  }
+
+  const extendedData = childElements(placemark, 'ExtendedData')[0];
+  if (extendedData) {
+    // <Data name="..."><value>...</value></Data>
+    for (const data of elementsByName(extendedData, 'Data')) {
+      const key = data.getAttribute('name');
+      if (key) {
+        properties[key] = parseValue(childText(data, 'value'));
+      }
+    }
+
+    // <SchemaData><SimpleData name="...">...</SimpleData></SchemaData>
+    for (const simpleData of elementsByName(extendedData, 'SimpleData')) {
+      const key = simpleData.getAttribute('name');
+      if (key) {
+        properties[key] = parseValue(simpleData.textContent);
+      }
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * Find the name of the nearest Folder containing an element
+ * @param {Element} element - Element to start from
+ * @returns {string|null} Folder name or null
+ */
+function findFolderName(element) {
+  let node = element.parentNode;
+  while (node && node.nodeType === 1) {
+    if (node.localName === 'Folder') {
+      return childText(node, 'name');
+    }
+    node = node.parentNode;
+  }
+  return null;
+}
+
+/**
+ * Convert a KML text value to a number where it is clearly numeric
+ * Codes with leading zeros ("007") and integers too long to be exact stay text.
+ * @param {string|null} value - Raw text value
+ * @returns {string|number|null} Parsed value
+ */
+function parseValue(value) {
+  if (value === null || value === undefined) return null;
+  const trimmed = value.trim();
+  if (trimmed === '') return null;
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(trimmed)) {
+    const number = Number(trimmed);
+    if (/^-?\d+$/.test(trimmed) && !Number.isSafeInteger(number)) return trimmed;
+    return number;
+  }
+  return trimmed;
+}
+
+// ============================================
+// Geometry
+// ============================================
+
+const GEOMETRY_TAGS = ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry'];
+
+/**
+ * Read the geometry of a placemark
+ * @param {Element} placemark - Placemark element
+ * @returns {Object|null} GeoJSON geometry or null
+ */
+function readPlacemarkGeometry(placemark) {
+  for (const child of placemark.children) {
+    if (GEOMETRY_TAGS.includes(child.localName)) {
+      const geometry = readGeometry(child);
+      return geometry && normalizeAltitudes(geometry);
+    }
+  }
+  return null;
+}
+
+/**
+ * Give all positions of a geometry the same dimension: 2D when every altitude
+ * is 0 or missing (KML's default of clamping to the ground), otherwise 3D with
+ * missing altitudes as 0
+ * @param {Object} geometry - GeoJSON geometry, changed in place
+ * @returns {Object} The geometry
+ */
+function normalizeAltitudes(geometry) {
+  const positions = [];
+  const collect = (coords) => {
+    if (typeof coords[0] === 'number') {
+      positions.push(coords);
+    } else {
+      coords.forEach(collect);
+    }
+  };
+  const collectGeometry = (part) => {
+    if (part.type === 'GeometryCollection') {
+      part.geometries.forEach(collectGeometry);
+    } else {
+      collect(part.coordinates);
+    }
+  };
+  collectGeometry(geometry);
+
+  const is3D = positions.some(position => position.length > 2 && position[2] !== 0);
+  for (const position of positions) {
+    if (!is3D) {
+      position.length = 2;
+    } else if (position.length < 3) {
+      position.push(0);
+    }
+  }
+  return geometry;
+}
+
+/**
+ * Convert a KML geometry element to a GeoJSON geometry
+ * @param {Element} element - KML geometry element
+ * @returns {Object|null} GeoJSON geometry or null
+ */
+function readGeometry(element) {
+  switch (element.localName) {
+    case 'Point': {
+      const coords = readCoordinates(element);
+      return coords.length > 0 ? {type: 'Point', coordinates: coords[0]} : null;
+    }
+
+    case 'LineString':
+    case 'LinearRing': {
+      const coords = readCoordinates(element);
+      return coords.length > 1 ? {type: 'LineString', coordinates: coords} : null;
+    }
+
+    case 'Polygon': {
+      const rings = [];
+      for (const boundary of childElements(element, 'outerBoundaryIs')) {
+        rings.push(...readRings(boundary));
+      }
+      if (rings.length === 0) return null;
+      for (const boundary of childElements(element, 'innerBoundaryIs')) {
+        rings.push(...readRings(boundary));
+      }
+      return {type: 'Polygon', coordinates: rings};
+    }
+
+    case 'MultiGeometry':
+      return readMultiGeometry(element);
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a MultiGeometry to a Multi* geometry when its parts share a type,
+ * otherwise to a GeometryCollection
+ * @param {Element} element - MultiGeometry element
+ * @returns {Object|null} GeoJSON geometry or null
+ */
+function readMultiGeometry(element) {
+  const parts = [];
+
+  for (const child of element.children) {
+    if (!GEOMETRY_TAGS.includes(child.localName)) continue;
+    const geometry = readGeometry(child);
+    if (!geometry) continue;
+
+    // Flatten nested collections so the type check below sees simple parts
+    if (geometry.type === 'GeometryCollection') {
+      parts.push(...geometry.geometries);
+    } else if (geometry.type.startsWith('Multi')) {
+      const simpleType = geometry.type.slice('Multi'.length);
+      geometry.coordinates.forEach(coordinates => parts.push({type: simpleType, coordinates}));
+    } else {
+      parts.push(geometry);
+    }
+  }
+
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+
+  const firstType = parts[0].type;
+  if (parts.every(p => p.type === firstType)) {
+    return {
+      type: `Multi${firstType}`,
+      coordinates: parts.map(p => p.coordinates)
+    };
+  }
+
+  return {
+    type: 'GeometryCollection',
+    geometries: parts
+  };
+}
+
+/**
+ * Read all LinearRings of a polygon boundary element
+ * @param {Element} boundary - outerBoundaryIs or innerBoundaryIs element
+ * @returns {Array} Array of rings
+ */
+function readRings(boundary) {
+  return childElements(boundary, 'LinearRing')
+    .map(ring => readCoordinates(ring))
+    .filter(ring => ring.length >= 4);
+}
+
+/**
+ * Parse the <coordinates> child of an element ("lon,lat[,alt] lon,lat[,alt] ...")
+ * @param {Element} element - Element with a coordinates child
+ * @returns {Array} Array of coordinate arrays
+ */
+function readCoordinates(element) {
+  const text = childText(element, 'coordinates');
+  if (!text) return [];
+
+  return text.trim().split(/\s+/)
+    .map(tuple => tuple.split(',').map(Number))
+    .filter(c => c.length >= 2 && c.every(Number.isFinite))
+    .map(c => c.slice(0, 3));
+}
+
+// ============================================
+// DOM Helpers
+// ============================================
+
+/**
+ * Get all descendant elements with a local name (namespace-agnostic)
+ * @param {Document|Element} root - Root node
+ * @param {string} name - Local element name
+ * @returns {Array<Element>} Matching elements
+ */
+function elementsByName(root, name) {
+  return Array.from(root.getElementsByTagNameNS('*', name));
+}
+
+/**
+ * Get direct child elements with a local name
+ * @param {Element} element - Parent element
+ * @param {string} name - Local element name
+ * @returns {Array<Element>} Matching children
+ */
+function childElements(element, name) {
+  return Array.from(element.children).filter(child => child.localName === name);
+}
+
+/**
+ * Get the trimmed text of the first direct child with a local name
+ * @param {Element} element - Parent element
+ * @param {string} name - Local element name
+ * @returns {string|null} Text content or null
+ */
+function childText(element, name) {
+  const child = childElements(element, name)[0];
+  return child ? child.textContent.trim() : null;
+}
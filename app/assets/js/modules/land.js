@@ -0,0 +1,153 @@
+/**
+ * VecGeo Viewer - Land Mask Module
+ *
+ * Coarse 1-degree land/water grid for judging whether coordinates are plausible.
+ * Derived from the Natural Earth 1:50m land polygons (public domain); a cell
+ * counts as land if any part of it is land.
+ */
+
+// ============================================
+// Mask Data
+// ============================================
+
+const GRID_WIDTH = 360;
+const GRID_HEIGHT = 180;
+
+// Row-major bitmap from 90N/180W, one bit per cell (least significant bit first)
+const LAND_MASK_BASE64 = [
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAGgAAID//wcAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADA//9//v///38BAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAOD/////',
+  '////////AQAAAAAAAED8PgAAwBwAAAAAAAAAAAAAAAAAAAAAAAAAAPn///////////8/AAAAwH8IAP7/PwAYgD8AAAAAAAAAAAAA',
+  'AAAAAAAAAAAAPPv//x////////8HAADA//8AAAAAAAADgP8OAAAAAAAAAAAAAAAAAAAAAAB8+N////v///////8DAADA/08DAAAA',
+  'AAAAAOD/AAAAAAAAAAAAAAAAAAAAAPA/7Hn/P/D///////8HAAAAfh4AAAAAAAAAIBi+AAAAAAAAAAAAAAAAAAAAAP7v+P//P+D/',
+  '//////8DAAAAOAAAAAAA/wEAAN7/PwAAwAIDAAAAAAAAAAAAAPj/////HwAA//////8HAAAAAAAAAAD4PwBg+P//PwAA6P8HAAAA',
+  'AAAAAAAAgH9+APT/HwAA/P////8BAAAAwAAAAAD8AQDA////PwAA6IUHAAAAAAAAAAAAgP+Dz////wAA8P////8AAAAAAAAAAAA+',
+  'AMzx/////58fEA8AAAAAAAAAAAAAwP//5//9/wMA+P///z8AAAAAAAAAAIAfAN/+//////8/gP8DAAAA/v//////////////////',
+  '////////////////////////////////////////AAD+/xcAnuD/f/j9//8B4P///38ACAAAgP8HAAD+wP//////////////H0DA',
+  'AAD////3///////P//8D4P///x8AAAAA+P//ATCA////////////////////////////////////////////////////PwAA/v//',
+  'wfEDAAAAAAAAAAAAIGAA+P//////////////////////////////HwAQ8D8AAHACAAAAAAAAAAAAAAAAY///////////////////',
+  '////////////AwDw+w8AAD4AAAAAAAAAAAAAAAAAn///////////////////////////////AT7AHwAAAAAAAAAAAAAAAAAAAAAA',
+  '8OD/////////////5/8HgP8PAPB/AADA//v/////////////////////////AI/////////////z7/gPAP8PAOAPAAD4////////',
+  '////////////////////AMD///////////8B++8PAP4HAAAAMAD+f/7/////////////////////////AMD//////////38A2B8O',
+  'APwDAAAAAAD/P/7///////////////////////8HgPD//////////z8AwP8JAPADAAAAAAz+////////////////////////8P8A',
+  'AOD9f8n//////z8A4H8cAIABAAAAAAf+f/j/////////////////////+AUAAAD8DwD8//////8A4P8/AAAAAAAA4AG+P/7/////',
+  '/////////////wMI/AEAAADgDwD4//////8DgP9/AAAAAAAA8Afw3/7//////////////////wEA/wAAAAB4BgDw//////8fsP9/',
+  'AAAAAAAA4ANwH/7/////////////////fwCA/wAAAAAfAADA////////8///AQAAAAAA+AfwD///////////////////PwCAPwYA',
+  'AMADAACA////////8///BwAAAAAA/A/w+////////////////////wSAPwwAADgAAACA////////9///HwAAAAAAvB/+////////',
+  '/////////////w8ADwAA4AgAAACA/f//////7///HwAAAAAAvD///////////////////////w8ABwADDgAAAAAA+P//////////',
+  'HwAAAAAAzv///////////////////////w8ABwCgAAAAAAAA+P//////////HQAAAAAAwP///////////////////////w2AAQAA',
+  'AAAAAAAA8P////////9/fgAAAAAAAPz//////////////////////x1AAAAAAAAAAAAAgP////////8P/gAAAAAAgP//////////',
+  '/////////////xcAAAAAAAAAAAAAgP////////9P/wAAAAAAgP///////////////////////wQAAAAAAAAAAAAAAP//////////',
+  'eQAAAAAAAPz//////3//////////////fw4EAAAAAAAAAAAAAP//////////AAAAAAAAAPz////3/5//////////////P4YHAAAA',
+  'AAAAAAAAgP////////8/AAAAAAAAAPz////j/s//////////////H/4AAAAAAAAAAAAAgP///////38OAAAAAAAA/P/P+/8B+I//',
+  '////////////Dz8AAAAAAAAAAAAAgP///////z8AAAAAAAAA/P/w5/8A4J//////////////gw8AAAAAAAAAAAAAgP///////z8A',
+  'AAAAAAAA+P8wn///8z/9//////////8/AAMAAAAAAAAAAAAAgP///////w8AAAAAAAAA+B8w/v///3////////////8/AAMAAAAA',
+  'AAAAAAAAAP///////wMAAAAAAAAA/O8x+O///z/+/////////+8PgAMAAAAAAAAAAAAAAP///////wEAAAAAgAEA/D8AH////x/+',
+  '/////////ycfwAMAAAAAAAAAAAAAAP7//////wEAAAAAAAAA+A9gD////3/+/////////39+8AEAAAAAAAAAAAAAAPz//////wEA',
+  'AAAAAAAA4PP/DJ7//////////////3888gEAAAAAAAAAAAAAAPz//////wEAAAAAAAAA4P9/BHjw/////////////x88/wEAAAAA',
+  'AAAAAAAAAPj//////wAAAAAAAAAA4P9/AACw/////////////x+c/wAAAAAAAAAAAAAAAOD/////PwAAAAAAAAAA+P//AACA////',
+  '/////////x/kHwAAAAAAAAAAAAAAAOD/////HwAAAAAAAAAM/P//Dw/A/////////////z/wAQAAAAAAAAAAAAAAAID/////BwAA',
+  'AAAAAAAA/P//P//+/////////////z/AAAAAAAAAAAAAAAAAAID7////BwAAAAAAAAAA/P///////////////////39AAAAAAAAA',
+  'AAAAAAAAACD////HBwAAAAAAAABA/v///////9///////////z8AAAAAAAAAAAAAAAAAAAD//x8ADgAAAAAAAAD8/////////9//',
+  '/////////z8gAAAAAAAAAAAAAAAAAADu/wcADgAAAAAAAADQ/////////7///////////x8AAAAAAAAAAAAAAAAAAADc/wcAbgAA',
+  'AAAAAADg//////9////+/////////x8IAAAAAAAAAAAAAAAAAAD4/wcArAAAAAAAAADg//////9////4/////////y8AAAAAAAAA',
+  'AAAAAAAAAAC4/wcAZAIAAAAAAADw/////////v8fwP///////7cAAAAAAAAAAAAAAAAAAABg/gcATgAAAAAAAAD4/////////P9/',
+  'gP///////zMAAAAAAAAAAAAQAAAAAABA/AeAPwYAAAAAAAD4////////+f//AP7//////zEAAAAAAAAAAAD4AAAAAAAA/Ae++wUA',
+  'AAAAAAD4////////+///AP7/////HwAAAAAAAAAAAACAAQAAAAAA/A8+4AMAAAAAAAD4////////+/9/APz/B/9/BgAAAAAAAAAA',
+  'AAAAAwAAAAAA/A8eRH0AAAAAAAD4////////8/8/APD/B/4/ByAAAAAAAAAAAAAAAAAAAAAA8P8f4P4HAAAAAAD4////////5/8/',
+  'APD/Af5/B3AAAAAAAAAAAAAAAAAAAAAAwP8PwBBgAAAAAAT4////////5/8PAOD/APx/AHAAAAAAAAAAAAAAAAAAAAAAAP8PAABA',
+  'AAAAACD4////////7/8DAOB/APz/AXgAAAAAAAAAAAAAAAAAAAAAANz/AQBAAAAAABD4////////3/8BAOAfAOj/ATgAAAAAAAAA',
+  'AAAAAAAAAAAAAID/AQDAAAAAAAj8////////v38AAMAfAOD/A3AAAAAAAAAAAAAAAAAAAAAAAAD+AQCAAQAAAAD4/////////w8A',
+  'AMAfAMH/A/ABABAAAAAAAAAAAAAAAAAAAADwAfhAAAAAAAD4/////////wEGAMAfAMH/A/gDAAAAAAAAAAAAAAAAAAAAAADgAf4Q',
+  'AAAAAAD4//////////gAAIAPAMH8A8gDAAAAAAAAAAAAAAAAAAAAAADAAf9/AAAAAADg//////////8AAIAPAMH4AcwDAAAAAAAA',
+  'AAAAAAAAAAAAAADA+///AAAAAADA/////////38AAAAfAMBwAMYHQAAAAAAAAAAAAAAAAAAAAAAA////AQAAAADA/////////38A',
+  'AAA/AMIxAMIHAAAAAAAAAAAAAAAAAAAAAAAA7P//AwAAAACA/////////z8AAAA4AMIBAMAHAAAAAAAAAAAAAAAAAAAAAAAAwP//',
+  'BwAAAAAA/////////z8AAAA4AIIHAGMHAAAABAAAAAAAAAAAAAAAAAAAwP///wAAAAAA/B/+/////x8AAAAAADgPgC8DAAAAAAAA',
+  'AAAAAAAAAAAAAAAAwP///wEAAAAAOAb+/////x8AAAAAAHgP4QcEAAAAAAAAAAAAAAAAAAAAAAAAwP///wEAAAAAAADw/////w8A',
+  'AAAAAPAP8QMGAAAAAAABAAAAAAAAAAAAAAAA4P///wMAAAAAAADg/////wcAAAAAAPgP+AMYAAAAAAAAAAAAAAAAAAAAAAAA8P//',
+  '/wMAAAAAAADg/////wEAAAAAAOAf/jcbAAAAAAAAAAAAAAAAAAAAAAAA8P///wcAAAAAAADk/////wAAAAAAAKAf/v8ZAAAAAAAA',
+  'AAAAAAAAAAAAAAAH+P///z8AAAAAAADw////fwAAAAAAAMAf/vvYCwAAAAAAAAAAAAAAAAAAAAAC+P////8AAAAAAADg////PwAA',
+  'AAAAAMB//vnrfwACAAAAAAAAAAAAAAAAAAAA+P////8PAAAAAADg////PwAAAAAAAID//X0y98MMAAAAAAAAAAAAAAAAAAAA+P//',
+  '//8/AAAAAADA////HwAAAAAAAAC++X18/x8YAAAAAAAAAAAAAAAAAAAA/P////9/AAAAAACA////DwAIAAAAAAA8QPgA/D84AAAA',
+  'AAAAAAAAAAAAAAAA/P//////AQAAAAAA////DwAAAAAAAAA4APgA5//fAAAAAAAAAAAAAAAAAAAA+P//////AwAAAAAA////DwAA',
+  'AAAAAADgvxAAxP+GAQAAAAAAAAAAAAAAAAAA8P//////AwAAAAAA////DwAAAAAAAADAfxCm4P+ADwAAAAAAAIAAAAAAAAAA8P//',
+  '////AwAAAAAA/v//DwAAAAAAAAAA/P8P4M8JGgAAAAAAAAAAAAAAAAAA4P//////AQAAAAAA/v//DwAAAAAAAAAAAJgDAIYXOAAA',
+  'AAAAAAAAAAAAAAAA4P//////AAAAAAAA/v//HwAAAAAAAAAgAPABAAQPYAYAAAAAAAAAAAAAAAAAwP////9/AAAAAAAA/v//nwAA',
+  'AAAAAAAAAADAAwQgAAAAAAAAAAAAAAAAAAAAgP////9/AAAAAAAA/v//nzMAAAAAAAAAAADAHw4AAAAggAEAAAAAAAAAAAAAgP//',
+  '//8/AAAAAAAA////H3AAAAAAAAAAAADsHw4AAAAAAgIAAAAAAAAAAAAAgP////8fAAAAAAAA////H3gAAAAAAAAAAAD+Hz4AAAwA',
+  'AAAAAAAAAAAAAAAAAP////8/AAAAAACA////H34AAAAAAAAAAAD/Hz4AAAwAAAAAAAAAAAAA/v////////8fAAAAAACA////Dz8A',
+  'AAAAAAAAAMD//z4AABjAAgAAQIAAAAAAAAAAAPD///8fAAAAAACA////Bz8AAAAAAAAAAMD//38AABBgAAAAAAAAAAAAAAAAAOD/',
+  '//8fAAAAAACA////AT8AAAAAAAAAAOD//38AACBgAAQAAAAAAAAAAAAAAOD///8fAAAAAAAA////AB8AAAAAAAAAAPD///8AACBA',
+  'AAAAAAAAAAAAAAAAAOD///8PAAAAAAAA/v9/AB8oAAAAAAAAAP////8BAA8AAAAAAAAAAAAAAAAAAOD///8PAAAAAAAA/v//gB8I',
+  'AAAAAAAAwP////8DAB8AAAAAAAAAAAAAAAAAAOD///8HAAAAAAAA/P//gA8AAAAAAAAA4P////8HAAQAAAAAAAAAAAAAAAAAAOD/',
+  '//8BAAAAAAAA/P//gA8AAAAAAAAA4P////8PAAAAAAAAAAAAAAAAAAAAAOD//z8AAAAAAAAA/P//gA8AAAAAAAAA4P////8fAAAA',
+  'AAAAAAAAAAAAAAAAAOD//w8AAAAAAAAA/P8/AAcAAAAAAAAA4P////8/AAAAAAAAAAAAAAAAAAAAAOD//w8AAAAAAAAA+P8fAAAA',
+  'AAAAAAAA4P////8/AAAAAAAAAAAAAABAAAAAAPD//w8AAAAAAAAA+P8fAAAAAAAAAAAA4P////8/AAAAAAAAAAAAAAAAAAAAAPD/',
+  '/w8AAAAAAAAA+P8fAAAAAAAAAAAAwP////8/AAAAAAAAAAAAAAAAAAAAAPD//wcAAAAAAAAA8P8PAAAAAAAAAAAAwP////8/AAAA',
+  'AAAAAAAAAAAAAAAAAPD//wMAAAAAAAAA4P8HAAAAAAAAAAAAgP////8/AAAAAAAAAAAAAAAAAAAAAPD//wMAAAAAAAAA4P8HAAAA',
+  'AAAAAAAAgP////8fAAAAAAAAAAAAAAAAAAAAAPD//wAAAAAAAAAA4P8BAAAAAAAAAAAAgP8P/v8fAAAAAAAAAAAAAAAAAAAAAPD/',
+  '/wAAAAAAAAAAwP8AAAAAAAAAAAAAgP8B/P8PAAAAAAAAAAAAAAAAAAAAAPj/fwAAAAAAAAAAwBcAAAAAAAAAAAAAgA8A+P8PAAAB',
+  'AAAAAAAAAAAAAAAAAPj/BwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA8P8HAAAGAAAAAAAAAAAAAAAAAPz/DwAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAgP8HAAAOAAAAAAAAAAAAAAAAAPz/DwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgP8DAAB8AAAAAAAAAAAAAAAAAPz/',
+  'BwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP4AAAB8AAAAAAAAAAAAAAAAAPw/AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAJgBAAA+',
+  'AAAAAAAAAAAAAAAAAPw/AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAALgBAAAZAAAAAAAAAAAAAAAAAPwXAAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAPABAIAPAAAAAAAAAAAAAAAAAP4fAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAOABAMADCAAAAAAAAAAAAAAAAP4P',
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAOAAAOABCAAAAAAAAAAAAAAAAP4HAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPgA',
+  'AAAAAAAAAAAAAAAAAP4DAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAHwAAAAAAAAAAAAAAAAAAP8BAAAAAAAAAAAAAAAAAgAA',
+  'AAAAAAAAAAAAAAAAAHwAAAAAAAAAAAAAAAAAAP8HAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABgAAAAAAAAAAAAAAAAAAP8D',
+  'AAAAAAAAAAAAAAAAAAAAAAMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP8BAAAAAAAAAAAAAAAAAAAAAAcAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAP8AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAP+ABwAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP6AAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAACAAAAAAAAAAAAAAAAAAAPwB',
+  'AAAAAAAAAAAAAAAAAAAAACAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPgHAADAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAOABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAMAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAACAAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAACA',
+  'HwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD4BwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAB8AAAAAAAAAAAAAAAAAAAGAAAAAAAPMAAAAAAAAAAAAAAAAAAAAAAAAAAAAIB/AAAAAAAAAAAAAAAAAMAf',
+  'AAAA/v///8Dv/w8AwAAAAAAAAAAAAAAAAAAAAMAPAAAAAAAAAAAAAAAAAP///wPw/////////38AAAEAAAAAAAAAAAAAAAAAADCf',
+  'AAAAAAAAAAAAAABw8P///wP8////////////AAAAAAAAAAAAAAAAAAAAAPt/AAAAAAAAAAAAGADw/////+P/////////////HwAA',
+  'AAAAAAAAAAAAAAAAgPd/AAAAAAAAcOP//9////////v//////////////w8AAAAAAAAAAAAAgAoAgP9/AAAAAACA////////////',
+  '//3//////////////38AAAAAAAAAAAAA8F8PAP//AAAAAADo/////////////////////////////38AAAAAAAAA8J8A+P//////',
+  'AAAAAID4/////////////////////////////z8AAAAAAAD4//8/wP//////AAAAAMD+/////////////////////////////wMA',
+  'AAAAAPz///////////8fAAAAAPz/////////////////////////////fwAAAAAA4P////////////8BAAAA4P//////////////',
+  '////////////////fwAAAADg/////////////w8AAHAA/////////////////////////////////z0AAADH////////////f+MB',
+  'AP6B/////////////////////////////////w8AAIAf/v////////////DHAf+B////////////////////////////////HwAA',
+  'AAAA4P///////////z/+4f8h////////////////////////////////HwAAAACv//////////////8HAAj+////////////////',
+  '////////////////fwAAwAED//////////////9//P///////////////////////////////////w8AgP//////////////////',
+  '//////////////////////////////////////8P0P////////////////////////////////////////////////////////8/',
+  'AADgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'
+].join('');
+
+let landMask = null;
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Check whether a WGS84 position lies on (or near) land
+ * @param {number} lon - Longitude in degrees
+ * @param {number} lat - Latitude in degrees
+ * @returns {boolean} Whether the grid cell contains land
+ */
+export function isLand(lon, lat) {
+  if (!Number.isFinite(lon) || !Number.isFinite(lat) || Math.abs(lat) > 90) {
+    return false;
+  }
+
+  if (!landMask) {
+    landMask = Uint8Array.from(atob(LAND_MASK_BASE64), ch => ch.charCodeAt(0));
+  }
+
+  const col = Math.min(GRID_WIDTH - 1, Math.floor((((lon + 180) % 360) + 360) % 360));
+  const row = Math.min(GRID_HEIGHT - 1, Math.floor(90 - lat));
+  const index = row * GRID_WIDTH + col;
+  return (landMask[index >> 3] & (1 << (index & 7))) !== 0;
+}
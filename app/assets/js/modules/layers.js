@@ -0,0 +1,481 @@
+/**
+ * VecGeo Viewer - Layers Module
+ *
+ * Keeps every loaded dataset as a named layer with its own DuckDB table and
+ * map pane (draw order, visibility, opacity). The active layer's state lives
+ * in the App object, so color settings, SQL and the data viewer work on it
+ * as on a single dataset; `data` in SQL is a view of its table.
+ */
+
+import {App} from '../app.js';
+import {hideLoading, showError} from './ui.js';
+import {dropRelation, pointDataView, showQueryStats} from './duckdb.js';
+import {getLayerBounds} from './map.js';
+import {updateColumnSelector, updateLegend, updateStatus} from './visualization.js';
+import {loadGeoJSON, updateCRSControl} from './parsers.js';
+import {renderQueryHistory} from './query-history.js';
+
+// ============================================
+// Layer State
+// ============================================
+
+// Panes of the layers are stacked above Leaflet's overlay pane (400) and below markers (600)
+const PANE_BASE_Z_INDEX = 400;
+
+// Table names that are taken by the app itself
+const RESERVED_TABLE_NAMES = ['data'];
+
+let nextLayerId = 1;
+
+/**
+ * Get the App state of a layer with nothing loaded
+ * Each key is swapped between App and the layer when another layer becomes active.
+ * @returns {Object} Fresh layer state
+ */
+function defaultLayerState() {
+  return {
+    originalData: null,
+    datasetName: null,
+    datasetFingerprint: null,
+    currentData: null,
+    rowFilterSQL: null,
+    columns: [],
+    numericColumns: [],
+    categoricalColumns: [],
+    currentColumn: null,
+    heatmapWeight: null,
+    columnIndex: 0,
+    currentColormap: 'viridis',
+    colormapIndex: 0,
+    colorScale: null,
+    dataBounds: null,
+    geoJsonLayer: null,
+    _renderAbortController: null,
+    fileSize: null,
+    sourceCRS: null,
+    crsOverridden: false,
+    crsConfidence: 1,
+    crsCandidates: [],
+    remoteSource: null,
+    parquetSource: null,
+    tableName: null
+  };
+}
+
+/**
+ * Copy the active layer's state from App into the layer
+ */
+function saveActiveLayer() {
+  const layer = App.activeLayer;
+  if (!layer) return;
+
+  for (const key of Object.keys(defaultLayerState())) {
+    layer.state[key] = App[key];
+  }
+}
+
+/**
+ * Make a layer active by moving its state into App
+ * @param {Object|null} layer - Layer, or null to clear the state
+ */
+function restoreLayer(layer) {
+  Object.assign(App, layer ? layer.state : defaultLayerState());
+  App.activeLayer = layer;
+  if (layer) {
+    // App holds the state while the layer is active
+    layer.state = {};
+  }
+}
+
+/**
+ * Find a layer by id
+ * @param {number} id - Layer id
+ * @returns {Object|undefined} Layer
+ */
+function findLayer(id) {
+  return App.layers.find(layer => layer.id === id);
+}
+
+/**
+ * Get a layer's Leaflet layer, whether or not it is active
+ * @param {Object} layer - Layer
+ * @returns {L.Layer|null} Rendered layer
+ */
+function leafletLayerOf(layer) {
+  return layer === App.activeLayer ? App.geoJsonLayer : layer.state.geoJsonLayer;
+}
+
+// ============================================
+// Loading
+// ============================================
+
+/**
+ * Start loading a dataset as a new layer
+ * The active layer is set aside, so parsers fill a fresh App state.
+ * @param {string} filename - File name or URL of the dataset
+ * @returns {Object|null} Previously active layer, for cancelLayer
+ */
+export function beginLayer(filename) {
+  const previous = App.activeLayer;
+  saveActiveLayer();
+  restoreLayer(null);
+  App.tableName = uniqueTableName(filename);
+  return previous;
+}
+
+/**
+ * Add the dataset being loaded to the layers panel
+ * Does nothing when the active layer is reloaded (e.g. after a CRS change).
+ * @param {string} filename - File name or URL of the dataset
+ */
+export function commitLayer(filename) {
+  if (App.activeLayer) return;
+
+  const id = nextLayerId++;
+  const layer = {
+    id,
+    name: filename,
+    tableName: App.tableName,
+    pane: `layer${id}Pane`,
+    visible: true,
+    opacity: 1,
+    state: {}
+  };
+  App.map.createPane(layer.pane);
+
+  // New layers draw on top
+  App.layers.unshift(layer);
+  App.activeLayer = layer;
+
+  updatePaneOrder();
+  renderLayerList();
+  console.log(`[Layers] Added "${filename}" as table "${layer.tableName}"`);
+}
+
+/**
+ * Give up on a dataset that failed to load and return to the previous layer
+ * @param {Object|null} previous - Layer returned by beginLayer
+ */
+export async function cancelLayer(previous) {
+  if (App.activeLayer) return;
+
+  try {
+    if (App.conn && App.tableName) {
+      await dropRelation(App.tableName);
+    }
+    restoreLayer(previous);
+    await pointDataView(previous?.tableName ?? null);
+  } catch (error) {
+    console.warn('[Layers] Could not restore the previous layer:', error);
+  }
+}
+
+/**
+ * Add WGS84 features (e.g. the result of a join query) as a new layer
+ * @param {Object} geojson - GeoJSON FeatureCollection in WGS84
+ * @param {string} name - Layer name, also used to derive its table name
+ */
+export async function addLayerFromGeoJSON(geojson, name) {
+  const previous = beginLayer(name);
+  try {
+    await loadGeoJSON(geojson, name);
+  } catch (error) {
+    console.error('[Layers] Could not add layer:', error);
+    await cancelLayer(previous);
+    hideLoading();
+    showError(`Error adding layer: ${error.message}`);
+  }
+}
+
+/**
+ * Derive a unique DuckDB table name from a file name or URL
+ * @param {string} filename - File name or URL
+ * @returns {string} Table name such as "parcels" or "parcels_2"
+ */
+export function uniqueTableName(filename) {
+  const basename = filename.split(/[/\\]/).pop().replace(/\.[^.]*$/, '');
+  let base = basename.toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'layer';
+  if (/^\d/.test(base)) {
+    base = `t_${base}`;
+  }
+
+  const taken = new Set([...RESERVED_TABLE_NAMES, ...App.lookupTables, ...App.layers.map(layer => layer.tableName)]);
+  let name = base;
+  for (let i = 2; taken.has(name); i++) {
+    name = `${base}_${i}`;
+  }
+  return name;
+}
+
+// ============================================
+// Layer Controls
+// ============================================
+
+/**
+ * Make a layer the one edited by the visualization, SQL and data controls
+ * @param {number} id - Layer id
+ */
+export async function activateLayer(id) {
+  const layer = findLayer(id);
+  if (!layer || layer === App.activeLayer) return;
+
+  saveActiveLayer();
+  restoreLayer(layer);
+
+  try {
+    await pointDataView(layer.tableName);
+  } catch (error) {
+    console.error('[Layers] Could not switch the data view:', error);
+    showError(`Error switching layer: ${error.message}`);
+  }
+
+  refreshActiveLayerControls();
+  renderLayerList();
+  console.log(`[Layers] Active layer: ${layer.name}`);
+}
+
+/**
+ * Show or hide a layer
+ * @param {number} id - Layer id
+ * @param {boolean} visible - Whether the layer is drawn
+ */
+export function setLayerVisibility(id, visible) {
+  const layer = findLayer(id);
+  if (!layer) return;
+
+  layer.visible = Boolean(visible);
+  const pane = App.map.getPane(layer.pane);
+  if (pane) {
+    pane.style.display = layer.visible ? '' : 'none';
+  }
+  if (!layer.visible) {
+    App.map.closePopup();
+  }
+  renderLayerList();
+}
+
+/**
+ * Set a layer's opacity
+ * @param {number} id - Layer id
+ * @param {string|number} value - Opacity from 0 to 1
+ */
+export function setLayerOpacity(id, value) {
+  const layer = findLayer(id);
+  if (!layer) return;
+
+  const opacity = parseFloat(value);
+  layer.opacity = Number.isFinite(opacity) ? Math.min(Math.max(opacity, 0), 1) : 1;
+  const pane = App.map.getPane(layer.pane);
+  if (pane) {
+    pane.style.opacity = layer.opacity;
+  }
+}
+
+/**
+ * Move a layer up or down in the draw order
+ * @param {number} id - Layer id
+ * @param {number} direction - -1 to draw it higher, 1 to draw it lower
+ */
+export function moveLayer(id, direction) {
+  const index = App.layers.findIndex(layer => layer.id === id);
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= App.layers.length) return;
+
+  [App.layers[index], App.layers[target]] = [App.layers[target], App.layers[index]];
+  updatePaneOrder();
+  renderLayerList();
+}
+
+/**
+ * Fit the map to a layer
+ * @param {number} id - Layer id
+ */
+export function zoomToLayer(id) {
+  const layer = findLayer(id);
+  if (!layer) return;
+
+  const bounds = getLayerBounds(leafletLayerOf(layer));
+  if (bounds) {
+    App.map.fitBounds(bounds, {padding: [50, 50], maxZoom: 16});
+  }
+}
+
+/**
+ * Remove a layer from the map and DuckDB
+ * @param {number} id - Layer id
+ */
+export async function removeLayer(id) {
+  const layer = findLayer(id);
+  if (!layer) return;
+
+  const state = layer === App.activeLayer ? App : layer.state;
+  state._renderAbortController?.abort();
+  if (state.geoJsonLayer) {
+    App.map.removeLayer(state.geoJsonLayer);
+  }
+  App.map.closePopup();
+
+  App.layers.splice(App.layers.indexOf(layer), 1);
+
+  try {
+    if (layer === App.activeLayer) {
+      // The next layer down takes over the panels
+      const next = App.layers[0] || null;
+      restoreLayer(next);
+      await pointDataView(next?.tableName ?? null);
+      refreshActiveLayerControls();
+    }
+    await dropRelation(layer.tableName);
+  } catch (error) {
+    console.error('[Layers] Could not drop the layer table:', error);
+  }
+
+  updatePaneOrder();
+  renderLayerList();
+  console.log(`[Layers] Removed "${layer.name}"`);
+}
+
+/**
+ * Stack the layer panes in panel order, first layer on top
+ */
+function updatePaneOrder() {
+  App.layers.forEach((layer, index) => {
+    const pane = App.map.getPane(layer.pane);
+    if (pane) {
+      pane.style.zIndex = PANE_BASE_Z_INDEX + App.layers.length - index;
+    }
+  });
+}
+
+// ============================================
+// Panels
+// ============================================
+
+/**
+ * Show the active layer's settings in the side panels, or the welcome screen if none is left
+ */
+function refreshActiveLayerControls() {
+  const hasLayer = Boolean(App.activeLayer);
+  for (const id of ['dataControls', 'visualizationControls', 'sqlSection']) {
+    const section = document.getElementById(id);
+    if (section) {
+      section.style.display = hasLayer ? 'block' : 'none';
+    }
+  }
+  const welcomeOverlay = document.getElementById('welcomeOverlay');
+  if (welcomeOverlay) {
+    welcomeOverlay.classList.toggle('hidden', hasLayer);
+  }
+  const crsControl = document.getElementById('crsControl');
+  if (crsControl && !hasLayer) {
+    crsControl.style.display = 'none';
+  }
+
+  updateColumnSelector();
+  const columnSelect = document.getElementById('columnSelect');
+  if (columnSelect) {
+    columnSelect.value = App.currentColumn || '';
+  }
+  const heatmapWeightSelect = document.getElementById('heatmapWeightSelect');
+  if (heatmapWeightSelect) {
+    heatmapWeightSelect.value = App.heatmapWeight || '';
+  }
+  const colormapSelect = document.getElementById('colormapSelect');
+  if (colormapSelect) {
+    colormapSelect.value = App.currentColormap;
+  }
+
+  const featureLimitStatus = document.getElementById('featureLimitStatus');
+  if (featureLimitStatus) {
+    const shown = App.currentData?.features?.length || 0;
+    const total = App.parquetSource?.rowCount ?? App.originalData?.features?.length ?? 0;
+    featureLimitStatus.textContent = !hasLayer
+      ? '0 = no limit'
+      : shown < total
+        ? `Showing ${shown.toLocaleString()} of ${total.toLocaleString()}`
+        : `Showing all ${total.toLocaleString()} objects`;
+    featureLimitStatus.style.color = hasLayer && shown < total ? 'var(--accent-warning, orange)' : 'var(--text-muted)';
+  }
+
+  updateLegend();
+  updateStatus(App.currentData);
+  renderQueryHistory();
+  showQueryStats(null);
+  if (hasLayer) {
+    updateCRSControl();
+  }
+}
+
+/**
+ * Render the layers panel
+ */
+export function renderLayerList() {
+  const layersSection = document.getElementById('layersSection');
+  const layerList = document.getElementById('layerList');
+  if (!layersSection || !layerList) return;
+
+  layersSection.style.display = App.layers.length > 0 ? 'block' : 'none';
+  layerList.innerHTML = '';
+
+  App.layers.forEach((layer, index) => {
+    const item = document.createElement('div');
+    item.className = 'layer-item';
+    item.classList.toggle('active', layer === App.activeLayer);
+    item.classList.toggle('hidden-layer', !layer.visible);
+
+    const header = document.createElement('div');
+    header.className = 'layer-header';
+
+    const visibility = document.createElement('input');
+    visibility.type = 'checkbox';
+    visibility.checked = layer.visible;
+    visibility.title = 'Show layer';
+    visibility.onchange = () => setLayerVisibility(layer.id, visibility.checked);
+    header.appendChild(visibility);
+
+    const name = document.createElement('button');
+    name.className = 'layer-name';
+    name.textContent = layer.name;
+    name.title = `${layer.name}\nClick to edit its colors and query it as "data"`;
+    name.onclick = () => activateLayer(layer.id);
+    header.appendChild(name);
+
+    const actions = [
+      {label: '↑', title: 'Draw above', disabled: index === 0, action: () => moveLayer(layer.id, -1)},
+      {label: '↓', title: 'Draw below', disabled: index === App.layers.length - 1, action: () => moveLayer(layer.id, 1)},
+      {label: '⤢', title: 'Zoom to layer', action: () => zoomToLayer(layer.id)},
+      {label: '✕', title: 'Remove layer', action: () => removeLayer(layer.id)}
+    ];
+    for (const {label, title, disabled, action} of actions) {
+      const button = document.createElement('button');
+      button.className = 'layer-action';
+      button.textContent = label;
+      button.title = title;
+      button.disabled = Boolean(disabled);
+      button.onclick = action;
+      header.appendChild(button);
+    }
+    item.appendChild(header);
+
+    const details = document.createElement('div');
+    details.className = 'layer-details';
+
+    const table = document.createElement('code');
+    table.textContent = layer.tableName;
+    table.title = 'DuckDB table name';
+    details.appendChild(table);
+
+    const opacity = document.createElement('input');
+    opacity.type = 'range';
+    opacity.min = '0';
+    opacity.max = '1';
+    opacity.step = '0.05';
+    opacity.value = String(layer.opacity);
+    opacity.title = 'Opacity';
+    opacity.oninput = () => setLayerOpacity(layer.id, opacity.value);
+    details.appendChild(opacity);
+
+    item.appendChild(details);
+    layerList.appendChild(item);
+  });
+}
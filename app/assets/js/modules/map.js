@@ -6,21 +6,29 @@
 
 import {App} from '../app.js';
 import {createColorScale, updateLegend, updateStatus} from './visualization.js';
-import {hideLoading} from './ui.js';
+import {escapeHtml, hideLoading} from './ui.js';
+import {refreshSimplification, simplifyRenderedLayer} from './simplify.js';
+import {createCanvasLayer, isCanvasLayer} from './canvas-renderer.js';
+import {createVectorTileLayer, isVectorTileLayer} from './vector-tiles.js';
+import {createClusterLayer, isClusterLayer, isPointFeature} from './clustering.js';
+import {activeLayerSource, createHeatmapLayer, createHexbinLayer, isAggregationLayer} from './aggregation.js';
 
 // ============================================
 // Utility Functions
 // ============================================
 
 /**
- * Escape HTML entities to prevent XSS
- * @param {string} str - String to escape
- * @returns {string} Escaped string
+ * Build the popup HTML listing a feature's properties
+ * @param {Object} feature - GeoJSON feature
+ * @returns {string|null} Popup HTML, or null if the feature has no properties
  */
-function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+function buildPopupContent(feature) {
+  if (!feature.properties) return null;
+  const props = Object.entries(feature.properties)
+    .filter(([k, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => `<strong>${escapeHtml(k)}:</strong> ${escapeHtml(String(v))}`)
+    .join('<br>');
+  return `<div style="max-height:200px;overflow:auto">${props}</div>`;
 }
 
 // ============================================
@@ -102,6 +110,9 @@ export function initMap() {
 
   App.map.on('zoomend', updateZoom);
   updateZoom(); // Initial check
+
+  // Lines and polygons are simplified to the zoom level
+  App.map.on('zoomend', refreshSimplification);
 }
 
 // ============================================
@@ -112,6 +123,8 @@ export function initMap() {
 const PROGRESSIVE_THRESHOLD = 1000;
 // Chunk size for progressive rendering
 const CHUNK_SIZE = 500;
+// Above this many features, the automatic renderer draws vector tiles
+const VECTOR_TILE_THRESHOLD = 20000;
 
 /**
  * Render GeoJSON data on the map
@@ -145,9 +158,20 @@ export function renderData(geojson, preserveView = false) {
   }
 
   const featureCount = geojson.features.length;
-
-  // Use progressive rendering for large datasets
-  if (featureCount > PROGRESSIVE_THRESHOLD) {
+  const renderer = App.renderer === 'auto'
+    ? (featureCount > VECTOR_TILE_THRESHOLD ? 'tiles' : 'leaflet')
+    : App.renderer;
+
+  // Clusters, heatmaps and hexagons replace the points of any renderer;
+  // vector tiles and the canvas renderer draw any number of features at once
+  if (App.pointDisplay !== 'circles' && geojson.features.some(isPointFeature)) {
+    renderDataAggregated(geojson, preserveView);
+  } else if (renderer === 'tiles') {
+    renderDataTiles(geojson, preserveView);
+  } else if (renderer === 'canvas') {
+    renderDataCanvas(geojson, preserveView);
+  } else if (featureCount > PROGRESSIVE_THRESHOLD) {
+    // Use progressive rendering for large datasets
     renderDataProgressively(geojson, preserveView);
   } else {
     renderDataImmediate(geojson, preserveView);
@@ -158,15 +182,143 @@ export function renderData(geojson, preserveView = false) {
  * Render data immediately (for small datasets)
  */
 function renderDataImmediate(geojson, preserveView) {
-  const {style, pointToLayer, onEachFeature} = createRenderOptions();
+  const {pane, style, pointToLayer, onEachFeature} = createRenderOptions();
 
   App.geoJsonLayer = L.geoJSON(geojson, {
+    pane,
     style,
     pointToLayer,
     onEachFeature
   }).addTo(App.map);
 
-  finishRendering(geojson, preserveView);
+  finishRendering(geojson, preserveView, App.geoJsonLayer);
+}
+
+/**
+ * Render data as vector tiles cut in a worker (for very large datasets)
+ * Without a working worker, the data is drawn into a single canvas instead.
+ */
+function renderDataTiles(geojson, preserveView) {
+  const {pane, style} = createRenderOptions();
+
+  const layer = createVectorTileLayer(geojson, {
+    pane,
+    style,
+    pointRadius: App.pointRadius,
+    popupContent: buildPopupContent
+  });
+  if (!layer) {
+    renderDataCanvas(geojson, preserveView);
+    return;
+  }
+
+  // A worker module that fails to load is only reported after the layer was added
+  layer.once('workerfailed', () => {
+    if (App.geoJsonLayer !== layer) return;
+    App.map.removeLayer(layer);
+    renderDataCanvas(geojson, true);
+  });
+
+  App.geoJsonLayer = layer.addTo(App.map);
+  finishRendering(geojson, preserveView, App.geoJsonLayer);
+}
+
+/**
+ * Render data into a single canvas (for very large datasets)
+ */
+function renderDataCanvas(geojson, preserveView) {
+  const {pane, style} = createRenderOptions();
+
+  App.geoJsonLayer = createCanvasLayer(geojson, {
+    pane,
+    style,
+    pointRadius: App.pointRadius,
+    popupContent: buildPopupContent
+  }).addTo(App.map);
+
+  finishRendering(geojson, preserveView, App.geoJsonLayer);
+}
+
+/**
+ * Render points as clusters, a heatmap or hexagons, and other features as usual
+ */
+function renderDataAggregated(geojson, preserveView) {
+  const {pane, style, pointToLayer, onEachFeature} = createRenderOptions();
+  const points = geojson.features.filter(isPointFeature);
+  const others = geojson.features.filter(feature => !isPointFeature(feature));
+
+  const pointLayer = createPointLayer(points, pane, style);
+  if (others.length > 0) {
+    const otherLayer = L.geoJSON({type: 'FeatureCollection', features: others}, {
+      pane,
+      style,
+      pointToLayer,
+      onEachFeature
+    });
+    App.geoJsonLayer = L.featureGroup([otherLayer, pointLayer]).addTo(App.map);
+  } else {
+    App.geoJsonLayer = pointLayer.addTo(App.map);
+  }
+
+  console.log(`[Map] Drawing ${points.length} points as ${App.pointDisplay}`);
+  finishRendering(geojson, preserveView, App.geoJsonLayer);
+}
+
+/**
+ * Create the layer drawing points as App.pointDisplay says
+ * @param {Array<Object>} points - GeoJSON Point features
+ * @param {string} pane - Map pane to draw in
+ * @param {Function} style - Returns the Leaflet path style of a feature
+ * @returns {L.Layer} Cluster, heatmap or hexagon layer
+ */
+function createPointLayer(points, pane, style) {
+  const column = App.currentColumn;
+  const isNumeric = App.numericColumns.includes(column);
+  const colorScale = column ? App.colorScale : null;
+  const colormap = App.currentColormap;
+
+  if (App.pointDisplay === 'heatmap') {
+    return createHeatmapLayer(points, {
+      pane,
+      source: activeLayerSource(),
+      weight: App.heatmapWeight,
+      colormap,
+      onDraw: showAggregateLegend
+    });
+  }
+  if (App.pointDisplay === 'hexbin') {
+    return createHexbinLayer(points, {
+      pane,
+      source: activeLayerSource(),
+      column,
+      isNumeric,
+      colorScale,
+      colormap,
+      aggregate: App.pointAggregate,
+      onDraw: showAggregateLegend
+    });
+  }
+  return createClusterLayer(points, {
+    pane,
+    style,
+    pointRadius: App.pointRadius,
+    popupContent: buildPopupContent,
+    column,
+    isNumeric,
+    colorScale,
+    colormap,
+    aggregate: App.pointAggregate
+  });
+}
+
+/**
+ * Show the legend of a heatmap or hexagon layer once it is drawn, if its layer is active
+ * @param {L.Layer} layer - Heatmap or hexagon layer
+ */
+function showAggregateLegend(layer) {
+  if (App.geoJsonLayer === layer || App.geoJsonLayer?.hasLayer?.(layer)) {
+    updateLegend();
+  }
 }
 
 /**
@@ -175,10 +327,11 @@ function renderDataImmediate(geojson, preserveView) {
 function renderDataProgressively(geojson, preserveView) {
   const features = geojson.features;
   const totalCount = features.length;
-  const {style, pointToLayer, onEachFeature} = createRenderOptions();
+  const {pane, style, pointToLayer, onEachFeature} = createRenderOptions();
 
-  // Create empty layer group
-  App.geoJsonLayer = L.layerGroup().addTo(App.map);
+  // Create empty layer group (kept here, since another layer may be active when chunks arrive)
+  const layerGroup = L.layerGroup().addTo(App.map);
+  App.geoJsonLayer = layerGroup;
 
   // Create abort controller for cancellation
   const abortController = new AbortController();
@@ -206,12 +359,13 @@ function renderDataProgressively(geojson, preserveView) {
     };
 
     const chunkLayer = L.geoJSON(chunkCollection, {
+      pane,
       style,
       pointToLayer,
       onEachFeature
     });
 
-    App.geoJsonLayer.addLayer(chunkLayer);
+    layerGroup.addLayer(chunkLayer);
     renderedCount = end;
 
     // Update progress
@@ -225,8 +379,10 @@ function renderDataProgressively(geojson, preserveView) {
       requestAnimationFrame(renderChunk);
     } else {
       // Finished rendering
-      App._renderAbortController = null;
-      finishRendering(geojson, preserveView);
+      if (App._renderAbortController === abortController) {
+        App._renderAbortController = null;
+      }
+      finishRendering(geojson, preserveView, layerGroup);
       console.log(`[Map] Progressive rendering complete: ${totalCount} features`);
     }
   }
@@ -236,9 +392,17 @@ function renderDataProgressively(geojson, preserveView) {
 }
 
 /**
- * Create render options (style, pointToLayer, onEachFeature)
+ * Create render options (pane, style, pointToLayer, onEachFeature)
+ * Color settings are captured now, so features styled later (progressive
+ * chunks, restyling) keep their layer's colors when another layer is active.
  */
 function createRenderOptions() {
+  const pane = App.activeLayer?.pane || 'overlayPane';
+  const column = App.currentColumn;
+  const colorScale = App.colorScale;
+  const isNumeric = App.numericColumns.includes(column);
+  const pointRadius = App.pointRadius;
+
   // Style function
   const style = (feature) => {
     let fillColor = '#666';
@@ -246,14 +410,14 @@ function createRenderOptions() {
     let weight = 1;
     let color = '#333';
 
-    if (App.currentColumn && App.colorScale) {
-      const val = feature.properties?.[App.currentColumn];
+    if (column && colorScale) {
+      const val = feature.properties?.[column];
       if (val !== null && val !== undefined) {
         try {
-          if (App.numericColumns.includes(App.currentColumn)) {
+          if (isNumeric) {
             const numVal = parseFloat(val);
             if (!isNaN(numVal) && isFinite(numVal)) {
-              const chromaColor = App.colorScale(numVal);
+              const chromaColor = colorScale(numVal);
               if (chromaColor && typeof chromaColor.hex === 'function') {
                 fillColor = chromaColor.hex();
               }
@@ -262,7 +426,7 @@ function createRenderOptions() {
               fillOpacity = 0.3;
             }
           } else {
-            const catColor = App.colorScale(val);
+            const catColor = colorScale(val);
             if (catColor && typeof catColor === 'string') {
               fillColor = catColor;
             }
@@ -290,48 +454,67 @@ function createRenderOptions() {
   const pointToLayer = (feature, latlng) => {
     const styleOpts = style(feature);
     return L.circleMarker(latlng, {
-      radius: App.pointRadius,
+      pane,
+      radius: pointRadius,
       ...styleOpts
     });
   };
 
   // Feature interaction
   const onEachFeature = (feature, layer) => {
-    if (feature.properties) {
-      const props = Object.entries(feature.properties)
-        .filter(([k, v]) => v !== null && v !== undefined)
-        .map(([k, v]) => `<strong>${escapeHtml(k)}:</strong> ${escapeHtml(String(v))}`)
-        .join('<br>');
-      layer.bindPopup(`<div style="max-height:200px;overflow:auto">${props}</div>`);
+    const content = buildPopupContent(feature);
+    if (content) {
+      layer.bindPopup(content);
     }
   };
 
-  return {style, pointToLayer, onEachFeature};
+  return {pane, style, pointToLayer, onEachFeature};
 }
 
 /**
- * Finish rendering (fit bounds, update status)
+ * Get the bounds of a rendered layer
+ * @param {L.Layer|null} layer - GeoJSON layer or layer group of chunks
+ * @returns {L.LatLngBounds|null} Bounds, or null if empty
  */
-function finishRendering(geojson, preserveView) {
-  // Fit bounds only if not preserving view
-  if (!preserveView && App.geoJsonLayer) {
-    let bounds;
-    if (typeof App.geoJsonLayer.getBounds === 'function') {
-      bounds = App.geoJsonLayer.getBounds();
-    } else if (App.geoJsonLayer.getLayers) {
-      // For layer groups, compute bounds from child layers
-      const layers = App.geoJsonLayer.getLayers();
-      if (layers.length > 0) {
-        bounds = L.latLngBounds();
-        layers.forEach(layer => {
-          if (typeof layer.getBounds === 'function') {
-            bounds.extend(layer.getBounds());
-          }
-        });
-      }
+export function getLayerBounds(layer) {
+  if (!layer) return null;
+
+  let bounds = null;
+  if (typeof layer.getBounds === 'function') {
+    bounds = layer.getBounds();
+  } else if (layer.getLayers) {
+    // For layer groups, compute bounds from child layers
+    const layers = layer.getLayers();
+    if (layers.length > 0) {
+      bounds = L.latLngBounds();
+      layers.forEach(child => {
+        if (typeof child.getBounds === 'function') {
+          bounds.extend(child.getBounds());
+        }
+      });
     }
+  }
+  return bounds && bounds.isValid() ? bounds : null;
+}
+
+/**
+ * Finish rendering (fit bounds, update status)
+ * @param {Object} geojson - Rendered GeoJSON
+ * @param {boolean} preserveView - If true, don't change the current map view
+ * @param {L.Layer} layer - The rendered layer
+ */
+function finishRendering(geojson, preserveView, layer) {
+  // Another layer became active while this one rendered; its panel is showing
+  if (layer !== App.geoJsonLayer) {
+    simplifyIfLeaflet(layer, geojson);
+    hideLoading();
+    return;
+  }
 
-    if (bounds && bounds.isValid()) {
+  // Fit bounds only if not preserving view
+  if (!preserveView) {
+    const bounds = getLayerBounds(layer);
+    if (bounds) {
       App.dataBounds = bounds;
       App.map.fitBounds(bounds, {
         padding: [50, 50],
@@ -340,6 +523,8 @@ function finishRendering(geojson, preserveView) {
     }
   }
 
+  simplifyIfLeaflet(layer, geojson);
+
   // Update status
   updateStatus(geojson);
 
@@ -350,6 +535,19 @@ function finishRendering(geojson, preserveView) {
   hideLoading();
 }
 
+/**
+ * Simplify a rendered layer, unless it has no per-feature layers to simplify
+ * (vector tiles simplify in their worker; the canvas renderer draws full geometries;
+ * cluster, heatmap and hexagon layers only hold points)
+ * @param {L.Layer} layer - The rendered layer
+ * @param {Object} geojson - Rendered GeoJSON
+ */
+function simplifyIfLeaflet(layer, geojson) {
+  if (!isCanvasLayer(layer) && !isVectorTileLayer(layer) && !isClusterLayer(layer) && !isAggregationLayer(layer)) {
+    simplifyRenderedLayer(layer, geojson);
+  }
+}
+
 // ============================================
 // Basemap Controls
 // ============================================
@@ -1,33 +1,127 @@
 /**
  * VecGeo Viewer - Parsers Module
  *
- * Handles file parsing for GeoJSON, Shapefile, and Parquet formats.
+ * Handles file parsing for GeoJSON, Shapefile, Parquet, GeoPackage, KML/KMZ, CSV/TSV, and FlatGeobuf formats.
  */
 
 import {App} from '../app.js';
-import {hideLoading, showError, showLoading, showWarning} from './ui.js';
-import {transformCRS} from './crs.js';
+import {hideLoading, showChoiceDialog, showError, showLoading, showWarning} from './ui.js';
+import {lookupEPSG, resolveCRSInput, resolvePrj, restoreSourceCoordinates, transformCRS} from './crs.js';
 import {analyzeColumns} from './visualization.js';
 import {renderData} from './map.js';
-import {parseRemoteParquet, registerInDuckDB} from './duckdb.js';
+import {
+  appendToDuckDB, openParquetSession, parseRemoteParquet, reapplyRowFilter, registerInDuckDB, setParquetCRS, showQueryStats
+} from './duckdb.js';
+import {extractKMZ, kmlToGeoJSON} from './kml.js';
+import {readGeoPackage} from './geopackage.js';
+import {readCSV} from './csv.js';
+import {readFlatGeobuf, readRemoteFlatGeobuf} from './flatgeobuf.js';
+import {beginLayer, cancelLayer, commitLayer} from './layers.js';
+import {fingerprintFile, fingerprintURL, renderQueryHistory} from './query-history.js';
 
 // ============================================
 // File Handler
 // ============================================
 
+// Sidecar files that belong to a shapefile and share its basename
+const SHAPEFILE_PARTS = ['shp', 'shx', 'dbf', 'prj', 'cpg'];
+
+/**
+ * Handle a set of uploaded or dropped files
+ * Shapefile components (.shp, .dbf, .prj, .cpg, ...) are grouped by basename
+ * and loaded as one dataset; other files are loaded on their own. Each
+ * dataset becomes a new layer.
+ * @param {Array<File>|FileList} files - The uploaded files
+ */
+export async function handleFiles(files) {
+  files = Array.from(files);
+  if (files.length === 0) return;
+
+  const shapefileSets = groupShapefileSets(files);
+  const otherFiles = files.filter(file => !SHAPEFILE_PARTS.includes(getExtension(file.name)));
+
+  if (shapefileSets.length === 0 && otherFiles.length === 0) {
+    showError('Shapefile components were selected without a .shp file. Please include the .shp file.');
+    return;
+  }
+
+  for (const set of shapefileSets) {
+    await handleShapefileSet(set);
+  }
+  for (const file of otherFiles) {
+    await handleFile(file);
+  }
+}
+
+/**
+ * Group shapefile components by basename
+ * @param {Array<File>} files - Files (or File-like zip entries) to group
+ * @returns {Array<{name: string, shp: File, dbf?: File, prj?: File, cpg?: File}>} Sets that contain a .shp file
+ */
+function groupShapefileSets(files) {
+  const groups = new Map();
+
+  files.forEach(file => {
+    const ext = getExtension(file.name);
+    if (!SHAPEFILE_PARTS.includes(ext)) return;
+
+    const basename = file.name.slice(0, -(ext.length + 1));
+    const key = basename.toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, {name: `${basename}.shp`});
+    }
+    groups.get(key)[ext] = file;
+  });
+
+  return Array.from(groups.values()).filter(group => group.shp);
+}
+
+/**
+ * Load a grouped shapefile set
+ * @param {{name: string, shp: File, dbf?: File, prj?: File, cpg?: File}} set - Shapefile components
+ */
+async function handleShapefileSet(set) {
+  const previousLayer = beginLayer(set.name);
+  App.fileSize = SHAPEFILE_PARTS.reduce((sum, ext) => sum + (set[ext]?.size || 0), 0);
+
+  showLoading(`Loading ${set.name}...`);
+
+  try {
+    App.datasetFingerprint = await fingerprintFile(set.shp);
+    const geojson = await parseShapefileSet(set);
+    await loadGeoJSON(geojson, set.name);
+  } catch (error) {
+    console.error('[File] Error loading shapefile:', error);
+    await cancelLayer(previousLayer);
+    hideLoading();
+    showError(`Error loading file: ${error.message}`);
+  }
+}
+
+/**
+ * Get the lowercase extension of a filename
+ * @param {string} name - Filename
+ * @returns {string} Extension without the dot
+ */
+function getExtension(name) {
+  return name.split('.').pop().toLowerCase();
+}
+
 /**
  * Handle uploaded file
  * @param {File} file - The uploaded file
  */
 export async function handleFile(file) {
-  const ext = file.name.split('.').pop().toLowerCase();
+  const ext = getExtension(file.name);
 
-  // Store file size
+  // Start a new layer and store file size
+  const previousLayer = beginLayer(file.name);
   App.fileSize = file.size;
 
   showLoading(`Loading ${file.name}...`);
 
   try {
+    App.datasetFingerprint = await fingerprintFile(file);
     let geojson;
 
     switch (ext) {
@@ -40,30 +134,53 @@ export async function handleFile(file) {
         geojson = await parseShapefile(file);
         break;
 
+      case 'shp':
+        geojson = await parseShapefileSet({name: file.name, shp: file});
+        break;
+
       case 'parquet':
       case 'geoparquet':
         geojson = await parseParquet(file);
         break;
 
       case 'gpkg':
-        throw new Error('GeoPackage (.gpkg) is not yet supported in the browser. Please convert to GeoJSON using QGIS or ogr2ogr.');
+        geojson = await readGeoPackage(file);
+        break;
+
+      case 'csv':
+      case 'tsv':
+        geojson = await readCSV(file);
+        break;
+
+      case 'fgb':
+        geojson = await readFlatGeobuf(file);
+        break;
 
       case 'kml':
+        geojson = await parseKML(file);
+        break;
+
       case 'kmz':
-        throw new Error('KML/KMZ files are not yet supported. Please convert to GeoJSON using geojson.io or QGIS.');
+        geojson = await parseKMZ(file);
+        break;
 
       case 'gdb':
         throw new Error('FileGDB (.gdb) requires desktop tools. Please convert to GeoJSON using QGIS or ArcGIS.');
 
       default:
-        throw new Error(`Unsupported file format: .${ext}. Supported: GeoJSON, Shapefile (Zipped), Parquet.`);
+        throw new Error(`Unsupported file format: .${ext}. Supported: GeoJSON, Shapefile (Zipped), Parquet, GeoPackage, KML/KMZ, CSV/TSV, FlatGeobuf.`);
     }
 
     await loadGeoJSON(geojson, file.name);
 
   } catch (error) {
-    console.error('[File] Error loading file:', error);
+    await cancelLayer(previousLayer);
     hideLoading();
+    if (error.cancelled) {
+      console.log(`[File] ${error.message}`);
+      return;
+    }
+    console.error('[File] Error loading file:', error);
     showError(`Error loading file: ${error.message}`);
   }
 }
@@ -91,6 +208,10 @@ export async function handleURL(url) {
   const ext = pathname.split('.').pop().toLowerCase();
 
   showLoading(`Loading from ${parsedUrl.hostname}...`);
+  // Use URL hostname + path as filename
+  const filename = `${parsedUrl.hostname}${pathname}`;
+  const previousLayer = beginLayer(filename);
+  App.datasetFingerprint = fingerprintURL(url);
 
   try {
     let geojson;
@@ -106,6 +227,15 @@ export async function handleURL(url) {
         geojson = await parseRemoteParquet(url);
         break;
 
+      case 'kml':
+      case 'kmz':
+        geojson = await fetchKML(url, ext);
+        break;
+
+      case 'fgb':
+        geojson = await readRemoteFlatGeobuf(url);
+        break;
+
       case 'zip':
         throw new Error('Remote Shapefile (.zip) loading is not supported. Please download the file and upload it locally.');
 
@@ -115,12 +245,11 @@ export async function handleURL(url) {
         geojson = await fetchGeoJSON(url);
     }
 
-    // Use URL hostname + path as filename
-    const filename = `${parsedUrl.hostname}${pathname}`;
     await loadGeoJSON(geojson, filename);
 
   } catch (error) {
     console.error('[URL] Error loading from URL:', error);
+    await cancelLayer(previousLayer);
     hideLoading();
 
     // Provide user-friendly error messages
@@ -154,6 +283,29 @@ async function fetchGeoJSON(url) {
   return await transformCRS(geojson);
 }
 
+/**
+ * Fetch and parse KML or KMZ from URL
+ * @param {string} url - URL to fetch from
+ * @param {string} ext - File extension ('kml' or 'kmz')
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+async function fetchKML(url, ext) {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const arrayBuffer = await response.arrayBuffer();
+  App.fileSize = arrayBuffer.byteLength;
+
+  const text = ext === 'kmz'
+    ? await extractKMZ(arrayBuffer)
+    : new TextDecoder().decode(arrayBuffer);
+
+  return kmlToGeoJSON(text);
+}
+
 // ============================================
 // GeoJSON Parser
 // ============================================
@@ -179,10 +331,110 @@ async function parseGeoJSON(file) {
  * Parse Shapefile (as zip)
  * @param {File} file - Zipped shapefile
  * @returns {Object} GeoJSON
+ * @throws {Error} Error with `cancelled` set if the user cancels the shapefile choice
  */
 async function parseShapefile(file) {
+  if (typeof JSZip === 'undefined') {
+    throw new Error('JSZip is not loaded. Cannot read zipped shapefiles.');
+  }
+
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+
+  // Wrap zip entries so they can be read like File objects
+  const entries = zip.file(/.+/)
+    .filter(entry => !entry.name.includes('__MACOSX'))
+    .map(entry => ({
+      name: entry.name,
+      arrayBuffer: () => entry.async('arraybuffer'),
+      text: () => entry.async('string')
+    }));
+
+  const sets = groupShapefileSets(entries);
+  if (sets.length === 0) {
+    throw new Error('Zip archive does not contain a .shp file.');
+  }
+
+  let set = sets[0];
+  if (sets.length > 1) {
+    hideLoading();
+    const name = await showChoiceDialog(
+      'Select Shapefile',
+      `${file.name} contains ${sets.length} shapefiles. Choose one to load.`,
+      sets.map(s => ({value: s.name, label: s.name}))
+    );
+    if (!name) {
+      const error = new Error('No shapefile selected.');
+      error.cancelled = true;
+      throw error;
+    }
+    set = sets.find(s => s.name === name);
+    showLoading(`Loading ${set.name}...`);
+  }
+
+  return await parseShapefileSet(set);
+}
+
+/**
+ * Parse a shapefile from its component files
+ * The .prj drives reprojection and the .cpg the attribute text encoding.
+ * @param {{name: string, shp: File, dbf?: File, prj?: File, cpg?: File}} set - Shapefile components
+ * @returns {Object} GeoJSON in WGS84
+ */
+async function parseShapefileSet(set) {
+  const [shpBuffer, dbfBuffer, prj, cpg] = await Promise.all([
+    set.shp.arrayBuffer(),
+    set.dbf?.arrayBuffer(),
+    set.prj?.text(),
+    set.cpg?.text()
+  ]);
+
+  if (!set.dbf) {
+    showWarning(`${set.name} has no .dbf file; objects are loaded without attributes.`);
+  }
+
+  // Read raw coordinates; reprojection is done below from the .prj
+  const geometries = shp.parseShp(shpBuffer);
+  const attributes = dbfBuffer ? shp.parseDbf(dbfBuffer, cpg?.trim() || undefined) : undefined;
+  const geojson = shp.combine([geometries, attributes]);
+
+  if (!prj || !prj.trim()) {
+    console.log(`[Shapefile] ${set.name} has no .prj, detecting CRS from coordinates`);
+    return await transformCRS(geojson);
+  }
+
+  const crs = await resolvePrj(prj.trim());
+  if (!crs) {
+    showWarning(`Could not recognize the projection in the .prj of ${set.name}. Objects may be displayed in the wrong place.`);
+    return await transformCRS(geojson);
+  }
+
+  console.log(`[Shapefile] .prj resolved to ${crs.code} (${crs.name})`);
+  return await transformCRS(geojson, crs.code);
+}
+
+// ============================================
+// KML/KMZ Parsers
+// ============================================
+
+/**
+ * Parse KML file
+ * @param {File} file - KML file
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+async function parseKML(file) {
+  const text = await file.text();
+  return kmlToGeoJSON(text);
+}
+
+/**
+ * Parse KMZ file (zipped KML)
+ * @param {File} file - KMZ file
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+async function parseKMZ(file) {
   const arrayBuffer = await file.arrayBuffer();
-  return await shp(arrayBuffer);
+  const text = await extractKMZ(arrayBuffer);
+  return kmlToGeoJSON(text);
 }
 
 // ============================================
@@ -190,81 +442,21 @@ async function parseShapefile(file) {
 // ============================================
 
 /**
- * Parse Parquet file using DuckDB
+ * Open a Parquet file as a DuckDB-backed session
  * @param {File} file - Parquet file
- * @returns {Object} GeoJSON FeatureCollection
+ * @returns {Object} GeoJSON FeatureCollection of the first rows
  */
 async function parseParquet(file) {
   if (!App.db || !App.conn) {
     throw new Error('DuckDB is not initialized. Cannot read Parquet files.');
   }
 
-  const arrayBuffer = await file.arrayBuffer();
-  const uint8Array = new Uint8Array(arrayBuffer);
-
-  // Register file with DuckDB
-  await App.db.registerFileBuffer(file.name, uint8Array);
-
-  // Try to read geometry column
-  const schemaResult = await App.conn.query(`DESCRIBE SELECT * FROM parquet_scan('${file.name}')`);
-  const schema = schemaResult.toArray();
-
-  // Find geometry column
-  let geometryCol = null;
-  const geometryNames = ['geometry', 'geom', 'wkb_geometry', 'the_geom', 'shape'];
-  for (const row of schema) {
-    const colName = row.column_name || row.name;
-    if (geometryNames.includes(colName?.toLowerCase())) {
-      geometryCol = colName;
-      break;
-    }
-  }
-
-  // Query data
-  const sql = `SELECT *
-               FROM parquet_scan('${file.name}')`;
-
-  const result = await App.conn.query(sql);
-  const rows = result.toArray();
-
-  // Convert to GeoJSON
-  const features = rows.map((row, idx) => {
-    let geometry = null;
-
-    // Try to parse geometry
-    if (geometryCol && row[geometryCol]) {
-      const geomData = row[geometryCol];
-      if (typeof geomData === 'object' && geomData.type) {
-        geometry = geomData;
-      } else if (typeof geomData === 'string') {
-        try {
-          geometry = JSON.parse(geomData);
-        } catch {
-          // Try WKT or other formats
-          console.warn(`[Parquet] Could not parse geometry for row ${idx}`);
-        }
-      }
-    }
+  // Register the file by handle, so DuckDB reads only the parts a query needs
+  // instead of the whole file being copied into memory
+  const {DuckDBDataProtocol} = window.duckdb;
+  await App.db.registerFileHandle(file.name, file, DuckDBDataProtocol.BROWSER_FILEREADER, true);
 
-    // Build properties (exclude geometry column)
-    const properties = {};
-    for (const [key, value] of Object.entries(row)) {
-      if (key !== geometryCol) {
-        properties[key] = value;
-      }
-    }
-
-    return {
-      type: 'Feature',
-      properties,
-      geometry
-    };
-  }).filter(f => f.geometry);
-
-  return {
-    type: 'FeatureCollection',
-    features
-  };
+  return await openParquetSession(file.name);
 }
 
 // ============================================
@@ -286,47 +478,44 @@ export async function loadGeoJSON(geojson, filename) {
     throw new Error('Invalid GeoJSON: Expected Feature or FeatureCollection');
   }
 
-  // Store FULL original data BEFORE applying limit
+  // A new dataset gets its layer before rendering, so it draws in the layer's pane
+  commitLayer(filename);
+
+  // All objects are kept and drawn; large datasets are drawn as vector tiles
   App.originalData = geojson;
+  App.datasetName = filename;
+  const currentData = geojson;
 
-  // Apply feature limit to create current data
-  const originalCount = geojson.features.length;
-  let currentData;
+  // A Parquet session only decoded the first rows; the rest stay in the file
+  const originalCount = App.parquetSource ? App.parquetSource.rowCount : geojson.features.length;
+  const featureLimitStatus = document.getElementById('featureLimitStatus');
 
-  if (App.featureLimit > 0 && originalCount > App.featureLimit) {
-    currentData = {
-      type: 'FeatureCollection',
-      features: geojson.features.slice(0, App.featureLimit)
-    };
-    console.log(`[Loader] Limited from ${originalCount} to ${App.featureLimit} objects`);
-    showWarning(`Showing ${App.featureLimit.toLocaleString()} of ${originalCount.toLocaleString()} objects. Adjust limit in Performance Settings.`);
+  if (currentData.features.length < originalCount) {
+    console.log(`[Loader] Read ${currentData.features.length} of ${originalCount} objects`);
+    showWarning(`Showing ${currentData.features.length.toLocaleString()} of ${originalCount.toLocaleString()} objects. Adjust the read limit in Performance Settings.`);
 
-    // Update status display
-    const featureLimitStatus = document.getElementById('featureLimitStatus');
     if (featureLimitStatus) {
-      featureLimitStatus.textContent = `Showing ${App.featureLimit.toLocaleString()} of ${originalCount.toLocaleString()}`;
+      featureLimitStatus.textContent = `Showing ${currentData.features.length.toLocaleString()} of ${originalCount.toLocaleString()}`;
       featureLimitStatus.style.color = 'var(--accent-warning, orange)';
     }
-  } else {
-    currentData = geojson;
-
-    // Update status display
-    const featureLimitStatus = document.getElementById('featureLimitStatus');
-    if (featureLimitStatus && originalCount > 0) {
-      featureLimitStatus.textContent = `Showing all ${originalCount.toLocaleString()} objects`;
-      featureLimitStatus.style.color = 'var(--text-muted)';
-    }
+  } else if (featureLimitStatus && originalCount > 0) {
+    featureLimitStatus.textContent = `Showing all ${originalCount.toLocaleString()} objects`;
+    featureLimitStatus.style.color = 'var(--text-muted)';
   }
 
   App.currentData = currentData;
+  App.rowFilterSQL = null;
 
   // Analyze columns
   analyzeColumns(currentData);
 
   // Register FULL original data in DuckDB for SQL queries (so SQL can access all rows)
-  await registerInDuckDB(App.originalData);
+  // Parquet sessions already query the file through the data view
+  if (!App.parquetSource) {
+    await registerInDuckDB(App.originalData);
+  }
 
-  // Add CURRENT (limited) data to map
+  // Add data to map
   renderData(currentData);
 
   // Show controls
@@ -347,6 +536,9 @@ export async function loadGeoJSON(geojson, filename) {
   if (welcomeOverlay) {
     welcomeOverlay.classList.add('hidden');
   }
+  updateCRSControl();
+  renderQueryHistory();
+  showQueryStats(null);
 
   // Auto-select first numeric column for coloring
   if (App.numericColumns.length > 0) {
@@ -357,10 +549,129 @@ export async function loadGeoJSON(geojson, filename) {
 
   // Note: hideLoading() is called in map.js finishRendering() after render completes
   const displayedCount = currentData.features.length;
-  const totalCount = App.originalData.features.length;
+  const totalCount = originalCount;
   if (displayedCount < totalCount) {
     console.log(`[VecGeo Viewer] Loaded ${totalCount} objects from ${filename}, displaying ${displayedCount}`);
   } else {
     console.log(`[VecGeo Viewer] Loaded ${totalCount} objects from ${filename}`);
   }
 }
+
+/**
+ * Append features to the loaded dataset (e.g. fetched for a new map view)
+ * @param {Array} features - GeoJSON features in WGS84
+ */
+export async function appendFeatures(features) {
+  if (!App.originalData || features.length === 0) return;
+
+  const start = App.originalData.features.length;
+  for (const feature of features) {
+    App.originalData.features.push(feature);
+  }
+  const originalCount = App.originalData.features.length;
+
+  // Only the new rows are added to the table
+  await appendToDuckDB(App.originalData, start);
+
+  if (App.currentData === App.originalData) {
+    const featureLimitStatus = document.getElementById('featureLimitStatus');
+    if (featureLimitStatus) {
+      featureLimitStatus.textContent = `Showing all ${originalCount.toLocaleString()} objects`;
+    }
+    renderData(App.currentData, true);
+  } else if (App.rowFilterSQL) {
+    // Keep the SQL filter, now also matching the new objects
+    await reapplyRowFilter();
+  }
+
+  console.log(`[Loader] Appended ${features.length} objects (${originalCount} total)`);
+}
+
+// ============================================
+// CRS Override
+// ============================================
+
+/**
+ * Reproject the loaded dataset from a user-chosen CRS without reloading the file
+ * @param {string} input - EPSG code, proj4 string or WKT
+ */
+export async function reprojectDataset(input) {
+  if (!App.originalData) {
+    showError('No dataset loaded.');
+    return;
+  }
+
+  showLoading('Changing CRS...');
+
+  try {
+    const code = await resolveCRSInput(input);
+
+    // Back to the coordinates as read from the file, then transform from the new CRS
+    const raw = restoreSourceCoordinates(App.originalData, App.sourceCRS);
+    const geojson = await transformCRS(raw, code);
+
+    // Remote features fetched later must use the new CRS too
+    if (App.remoteSource) {
+      App.remoteSource.crs = code === 'EPSG:4326' ? null : code;
+    }
+    // So must rows decoded from a Parquet view and its geom column; its unfiltered rows are shown again
+    if (App.parquetSource) {
+      await setParquetCRS(code);
+    }
+
+    App.crsOverridden = true;
+    console.log(`[Loader] Source CRS set to ${code}`);
+    await loadGeoJSON(geojson, App.datasetName);
+  } catch (error) {
+    console.error('[Loader] Error changing CRS:', error);
+    hideLoading();
+    showError(`Error changing CRS: ${error.message}`);
+  }
+}
+
+/**
+ * Show the source CRS of the loaded dataset in the Load Dataset panel
+ */
+export async function updateCRSControl() {
+  const crsControl = document.getElementById('crsControl');
+  const crsCurrent = document.getElementById('crsCurrent');
+  const crsCurrentHint = document.getElementById('crsCurrentHint');
+  if (!crsControl || !crsCurrent) return;
+
+  const code = App.sourceCRS || 'EPSG:4326';
+  crsControl.style.display = 'block';
+  crsCurrent.textContent = code.replace(/^PRJ:/, '');
+  crsCurrent.title = '';
+  if (crsCurrentHint) {
+    crsCurrentHint.textContent = App.crsOverridden
+      ? '(set manually)'
+      : App.crsConfidence < 1
+        ? `(detected, ${Math.round(App.crsConfidence * 100)}% confidence)`
+        : '(detected)';
+  }
+
+  // Offer the other detection candidates as suggestions
+  const crsSearchResults = document.getElementById('crsSearchResults');
+  if (crsSearchResults) {
+    crsSearchResults.innerHTML = '';
+    for (const candidate of App.crsCandidates.slice(0, 10)) {
+      const option = document.createElement('option');
+      option.value = candidate.code;
+      option.textContent = candidate.name;
+      crsSearchResults.appendChild(option);
+    }
+  }
+
+  if (code.startsWith('EPSG:')) {
+    try {
+      const entry = await lookupEPSG(code);
+      // Skip if another dataset or CRS was loaded meanwhile
+      if (entry && (App.sourceCRS || 'EPSG:4326') === code) {
+        crsCurrent.textContent = `${code} · ${entry.name}`;
+        crsCurrent.title = entry.name;
+      }
+    } catch (e) {
+      console.warn('[Loader] Could not look up CRS name:', e);
+    }
+  }
+}
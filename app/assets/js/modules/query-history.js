@@ -0,0 +1,376 @@
+/**
+ * VecGeo Viewer - Query History Module
+ *
+ * Keeps the SQL queries run on each dataset, and queries saved under a name,
+ * in IndexedDB. Entries are keyed by a fingerprint of the dataset, so they
+ * come back when the same file or URL is loaded again.
+ */
+
+import {App} from '../app.js';
+import {runSQL} from './duckdb.js';
+import {showError} from './ui.js';
+
+// ============================================
+// Storage Settings
+// ============================================
+
+const DB_NAME = 'vecgeo-viewer';
+const DB_VERSION = 1;
+const HISTORY_STORE = 'queryHistory';
+const SAVED_STORE = 'savedQueries';
+
+const MAX_HISTORY_ENTRIES = 100; // Stored per dataset
+const SHOWN_HISTORY_ENTRIES = 20;
+const FINGERPRINT_SAMPLE_BYTES = 64 * 1024;
+
+let dbPromise = null;
+let renderRequestId = 0;
+
+// ============================================
+// Dataset Fingerprints
+// ============================================
+
+/**
+ * Fingerprint a local file by its size and a hash of its first and last bytes
+ * Renamed copies of a file share their history; edited files do not.
+ * @param {File|Blob} file - Dataset file
+ * @returns {Promise<string>} Fingerprint
+ */
+export async function fingerprintFile(file) {
+  if (!globalThis.crypto?.subtle) {
+    // Hashing needs a secure context (https or localhost)
+    return `file:${file.name}:${file.size}`;
+  }
+
+  const head = file.slice(0, FINGERPRINT_SAMPLE_BYTES);
+  const tail = file.slice(Math.max(FINGERPRINT_SAMPLE_BYTES, file.size - FINGERPRINT_SAMPLE_BYTES));
+  const sample = await new Blob([String(file.size), head, tail]).arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', sample);
+  const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  return `file:${hex}`;
+}
+
+/**
+ * Fingerprint a remote dataset by its URL
+ * @param {string} url - Dataset URL
+ * @returns {string} Fingerprint
+ */
+export function fingerprintURL(url) {
+  return `url:${url}`;
+}
+
+/**
+ * Get the key queries on the active layer are stored under
+ * Layers made from query results have no file, so their name is used.
+ * @returns {string|null} Fingerprint, or null if no layer is active
+ */
+export function currentHistoryKey() {
+  if (!App.activeLayer) return null;
+  return App.datasetFingerprint || `name:${App.datasetName || App.activeLayer.name}`;
+}
+
+// ============================================
+// IndexedDB Access
+// ============================================
+
+/**
+ * Open the history database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!globalThis.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const name of [HISTORY_STORE, SAVED_STORE]) {
+          if (!db.objectStoreNames.contains(name)) {
+            const store = db.createObjectStore(name, {keyPath: 'id', autoIncrement: true});
+            store.createIndex('fingerprint', 'fingerprint');
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after private browsing blocked the first
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one request against a store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function storeRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read all entries stored for a dataset
+ * @param {string} storeName - Object store name
+ * @param {string} fingerprint - Dataset fingerprint
+ * @returns {Promise<Array<Object>>} Entries
+ */
+function getEntries(storeName, fingerprint) {
+  return storeRequest(storeName, 'readonly', store => store.index('fingerprint').getAll(fingerprint));
+}
+
+// ============================================
+// History and Saved Queries
+// ============================================
+
+/**
+ * Add a run query to the history of the dataset it ran on
+ * @param {string|null} fingerprint - Dataset fingerprint, from currentHistoryKey before the query ran
+ * @param {Object} entry - Query details
+ * @param {string} entry.sql - Query text as typed
+ * @param {number} entry.rowCount - Rows returned or matched
+ * @param {number} entry.durationMs - Time the query took
+ */
+export async function recordQuery(fingerprint, {sql, rowCount, durationMs}) {
+  if (!fingerprint) return;
+
+  try {
+    await storeRequest(HISTORY_STORE, 'readwrite', store => store.add({
+      fingerprint,
+      sql,
+      rowCount,
+      durationMs: Math.round(durationMs),
+      timestamp: Date.now()
+    }));
+
+    // Drop the oldest entries beyond the limit
+    const entries = await getEntries(HISTORY_STORE, fingerprint);
+    const excess = entries.sort((a, b) => a.timestamp - b.timestamp).slice(0, Math.max(0, entries.length - MAX_HISTORY_ENTRIES));
+    for (const entry of excess) {
+      await storeRequest(HISTORY_STORE, 'readwrite', store => store.delete(entry.id));
+    }
+  } catch (error) {
+    console.warn('[History] Could not record query:', error);
+  }
+
+  renderQueryHistory();
+}
+
+/**
+ * Save the query in the editor under the name typed next to it
+ */
+export async function saveNamedQuery() {
+  const nameInput = document.getElementById('savedQueryName');
+  const sqlInput = document.getElementById('sqlInput');
+  const fingerprint = currentHistoryKey();
+  const name = nameInput?.value.trim();
+  const sql = sqlInput?.value.trim();
+
+  if (!fingerprint) {
+    showError('Load a dataset before saving queries.');
+    return;
+  }
+  if (!sql) {
+    showError('Type a query to save first.');
+    sqlInput?.focus();
+    return;
+  }
+  if (!name) {
+    nameInput?.focus();
+    return;
+  }
+
+  try {
+    // A query saved again under the same name replaces the old one
+    const existing = await getEntries(SAVED_STORE, fingerprint);
+    for (const entry of existing.filter(entry => entry.name === name)) {
+      await storeRequest(SAVED_STORE, 'readwrite', store => store.delete(entry.id));
+    }
+    await storeRequest(SAVED_STORE, 'readwrite', store => store.add({fingerprint, name, sql, created: Date.now()}));
+    nameInput.value = '';
+    console.log(`[History] Saved query "${name}"`);
+  } catch (error) {
+    console.error('[History] Could not save query:', error);
+    showError(`Could not save query: ${error.message}`);
+  }
+
+  renderQueryHistory();
+}
+
+/**
+ * Delete a saved query
+ * @param {number} id - Saved query id
+ */
+async function deleteSavedQuery(id) {
+  try {
+    await storeRequest(SAVED_STORE, 'readwrite', store => store.delete(id));
+  } catch (error) {
+    console.error('[History] Could not delete saved query:', error);
+  }
+  renderQueryHistory();
+}
+
+/**
+ * Forget the query history of the active dataset (saved queries are kept)
+ */
+export async function clearQueryHistory() {
+  const fingerprint = currentHistoryKey();
+  if (!fingerprint) return;
+
+  try {
+    const entries = await getEntries(HISTORY_STORE, fingerprint);
+    for (const entry of entries) {
+      await storeRequest(HISTORY_STORE, 'readwrite', store => store.delete(entry.id));
+    }
+    console.log(`[History] Cleared ${entries.length} queries`);
+  } catch (error) {
+    console.error('[History] Could not clear history:', error);
+  }
+  renderQueryHistory();
+}
+
+/**
+ * Put a stored query in the editor, optionally running it
+ * @param {string} sql - Query text
+ * @param {boolean} run - Whether to run it
+ */
+function useQuery(sql, run) {
+  const sqlInput = document.getElementById('sqlInput');
+  if (!sqlInput) return;
+
+  sqlInput.value = sql;
+  // Let the editor redraw its highlighting
+  sqlInput.dispatchEvent(new Event('input'));
+  if (run) {
+    runSQL();
+  } else {
+    sqlInput.focus();
+  }
+}
+
+// ============================================
+// Panel Rendering
+// ============================================
+
+/**
+ * Show the saved queries and history of the active dataset
+ */
+export async function renderQueryHistory() {
+  const section = document.getElementById('queryHistorySection');
+  const savedList = document.getElementById('savedQueryList');
+  const historyList = document.getElementById('queryHistoryList');
+  if (!section || !savedList || !historyList) return;
+
+  const fingerprint = currentHistoryKey();
+  section.style.display = fingerprint ? 'block' : 'none';
+  if (!fingerprint) return;
+
+  const requestId = ++renderRequestId;
+  let saved = [];
+  let history = [];
+  try {
+    [saved, history] = await Promise.all([
+      getEntries(SAVED_STORE, fingerprint),
+      getEntries(HISTORY_STORE, fingerprint)
+    ]);
+  } catch (error) {
+    console.warn('[History] Could not read query history:', error);
+  }
+
+  // Switching layers can overtake a slower earlier read
+  if (requestId !== renderRequestId) return;
+
+  savedList.innerHTML = '';
+  saved.sort((a, b) => a.name.localeCompare(b.name)).forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'query-item';
+
+    const run = document.createElement('button');
+    run.className = 'query-name';
+    run.textContent = entry.name;
+    run.title = `${entry.sql}\nClick to run`;
+    run.onclick = () => useQuery(entry.sql, true);
+    item.appendChild(run);
+
+    const edit = document.createElement('button');
+    edit.className = 'layer-action';
+    edit.textContent = '✎';
+    edit.title = 'Open in editor';
+    edit.onclick = () => useQuery(entry.sql, false);
+    item.appendChild(edit);
+
+    const remove = document.createElement('button');
+    remove.className = 'layer-action';
+    remove.textContent = '✕';
+    remove.title = 'Delete saved query';
+    remove.onclick = () => deleteSavedQuery(entry.id);
+    item.appendChild(remove);
+
+    savedList.appendChild(item);
+  });
+  if (saved.length === 0) {
+    savedList.innerHTML = '<li class="query-empty">No saved queries for this dataset</li>';
+  }
+
+  historyList.innerHTML = '';
+  history.sort((a, b) => b.timestamp - a.timestamp).slice(0, SHOWN_HISTORY_ENTRIES).forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'query-item query-history-item';
+
+    const open = document.createElement('button');
+    open.className = 'query-sql';
+    open.title = `${entry.sql}\nClick to open in the editor`;
+    open.onclick = () => useQuery(entry.sql, false);
+
+    const sql = document.createElement('code');
+    sql.textContent = entry.sql;
+    const meta = document.createElement('small');
+    meta.textContent = formatHistoryMeta(entry);
+    open.append(sql, meta);
+    item.appendChild(open);
+
+    const run = document.createElement('button');
+    run.className = 'layer-action';
+    run.textContent = '▶';
+    run.title = 'Run again';
+    run.onclick = () => useQuery(entry.sql, true);
+    item.appendChild(run);
+
+    historyList.appendChild(item);
+  });
+  if (history.length === 0) {
+    historyList.innerHTML = '<li class="query-empty">Queries you run on this dataset appear here</li>';
+  }
+}
+
+/**
+ * Describe when a history entry ran, what it returned and how long it took
+ * @param {Object} entry - History entry
+ * @returns {string} Text such as "14/03/25, 09:12 · 1,234 rows · 85 ms"
+ */
+function formatHistoryMeta({timestamp, rowCount, durationMs}) {
+  const when = new Date(timestamp).toLocaleString([], {dateStyle: 'short', timeStyle: 'short'});
+  const rows = `${rowCount.toLocaleString()} ${rowCount === 1 ? 'row' : 'rows'}`;
+  return `${when} · ${rows} · ${formatDuration(durationMs)}`;
+}
+
+/**
+ * Format a query duration
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {string} Text such as "85 ms" or "2.4 s"
+ */
+export function formatDuration(durationMs) {
+  return durationMs >= 1000 ? `${(durationMs / 1000).toFixed(1)} s` : `${Math.round(durationMs)} ms`;
+}
@@ -0,0 +1,485 @@
+/**
+ * VecGeo Viewer - Simplification Worker
+ *
+ * Simplifies the lines and polygons of a dataset off the main thread.
+ * Rings and lines are cut into arcs at the vertices where shapes meet, and
+ * every arc is simplified once in a fixed direction, so borders shared by
+ * neighbouring polygons stay identical on both sides.
+ *
+ * Messages:
+ *   {type: 'load', datasetId, geometries}                    Prepare arcs
+ *   {type: 'simplify', datasetId, requestId, method, tolerance} Reply with {requestId, coordinates}
+ *   {type: 'drop', datasetId}                                Forget a dataset
+ */
+
+import {MIN_RING_LENGTH, sqSegmentDistance} from './geometry-utils.js';
+
+// Prepared datasets by id
+const datasets = new Map();
+
+// Nesting of the coordinate arrays (0 = a single line or ring)
+const PART_DEPTH = {LineString: 0, MultiLineString: 1, Polygon: 1, MultiPolygon: 2};
+
+self.onmessage = (event) => {
+  const message = event.data;
+  try {
+    if (message.type === 'load') {
+      datasets.set(message.datasetId, prepareDataset(message.geometries));
+    } else if (message.type === 'drop') {
+      datasets.delete(message.datasetId);
+    } else if (message.type === 'simplify') {
+      const dataset = datasets.get(message.datasetId);
+      if (!dataset) {
+        throw new Error(`Dataset ${message.datasetId} is not loaded`);
+      }
+      const coordinates = simplifyDataset(dataset, message.method, message.tolerance);
+      self.postMessage({requestId: message.requestId, coordinates});
+    }
+  } catch (error) {
+    self.postMessage({requestId: message.requestId, error: error.message});
+  }
+};
+
+// ============================================
+// Topology
+// ============================================
+
+/**
+ * Key of a vertex, equal for vertices at the same position
+ * @param {Array<number>} coord - [x, y]
+ * @returns {string} Key
+ */
+function vertexKey(coord) {
+  return `${coord[0]},${coord[1]}`;
+}
+
+/**
+ * Split geometries into parts (lines and rings) and cut the parts into arcs
+ * @param {Array<Object|null>} geometries - GeoJSON geometries, null for those left as they are
+ * @returns {Object} Prepared dataset: {geometries: [{type, parts}]} with arcs per part
+ */
+function prepareDataset(geometries) {
+  const prepared = geometries.map(geometry => {
+    if (!geometry || !(geometry.type in PART_DEPTH)) return null;
+    const closed = geometry.type === 'Polygon' || geometry.type === 'MultiPolygon';
+    const lines = {
+      LineString: () => [geometry.coordinates],
+      MultiLineString: () => geometry.coordinates,
+      Polygon: () => geometry.coordinates,
+      MultiPolygon: () => geometry.coordinates.flat()
+    }[geometry.type]();
+
+    const parts = lines.map(coords => {
+      // Rings are kept without their closing vertex while arcs are cut
+      const open = closed && coords.length > 1 && vertexKey(coords[0]) === vertexKey(coords[coords.length - 1])
+        ? coords.slice(0, -1)
+        : coords;
+      return {closed, coords: open, original: coords, arcs: null};
+    });
+    return {type: geometry.type, coordinates: geometry.coordinates, parts};
+  });
+
+  const junctions = findJunctions(prepared);
+  for (const geometry of prepared) {
+    if (!geometry) continue;
+    for (const part of geometry.parts) {
+      cutArcs(part, junctions);
+    }
+  }
+  return {geometries: prepared};
+}
+
+/**
+ * Find the vertices where shapes meet or lines end
+ * A vertex is a junction when it is the end of a line, or when it occurs
+ * more than once with different neighbours.
+ * @param {Array<Object|null>} geometries - Prepared geometries
+ * @returns {Set<string>} Keys of junction vertices
+ */
+function findJunctions(geometries) {
+  const neighbours = new Map();
+  const junctions = new Set();
+
+  for (const geometry of geometries) {
+    if (!geometry) continue;
+    for (const {closed, coords} of geometry.parts) {
+      const n = coords.length;
+      for (let i = 0; i < n; i++) {
+        const key = vertexKey(coords[i]);
+        if (!closed && (i === 0 || i === n - 1)) {
+          junctions.add(key);
+          continue;
+        }
+        const prev = vertexKey(coords[(i - 1 + n) % n]);
+        const next = vertexKey(coords[(i + 1) % n]);
+        const seen = neighbours.get(key);
+        if (!seen) {
+          neighbours.set(key, [prev, next]);
+        } else if (!((seen[0] === prev && seen[1] === next) || (seen[0] === next && seen[1] === prev))) {
+          junctions.add(key);
+        }
+      }
+    }
+  }
+  return junctions;
+}
+
+/**
+ * Cut a part into arcs running from junction to junction
+ * Rings without junctions become one arc starting at their lowest vertex, so
+ * that copies of a ring start at the same place.
+ * @param {Object} part - Prepared part; its arcs are set to lists of vertex indices
+ * @param {Set<string>} junctions - Keys of junction vertices
+ */
+function cutArcs(part, junctions) {
+  const {closed, coords} = part;
+  const n = coords.length;
+
+  if (n < 2) {
+    part.arcs = n === 0 ? [] : [[0]];
+    return;
+  }
+
+  if (!closed) {
+    const arcs = [];
+    let start = 0;
+    for (let i = 1; i < n; i++) {
+      if (i === n - 1 || junctions.has(vertexKey(coords[i]))) {
+        arcs.push(range(start, i));
+        start = i;
+      }
+    }
+    part.arcs = arcs;
+    return;
+  }
+
+  const stops = [];
+  for (let i = 0; i < n; i++) {
+    if (junctions.has(vertexKey(coords[i]))) {
+      stops.push(i);
+    }
+  }
+
+  if (stops.length === 0) {
+    let lowest = 0;
+    for (let i = 1; i < n; i++) {
+      if (compareCoords(coords[i], coords[lowest]) < 0) lowest = i;
+    }
+    part.arcs = [ringRange(lowest, lowest, n)];
+    return;
+  }
+
+  part.arcs = stops.map((stop, index) => ringRange(stop, stops[(index + 1) % stops.length], n));
+}
+
+/**
+ * Indices from start to end inclusive
+ * @param {number} start - First index
+ * @param {number} end - Last index
+ * @returns {Array<number>} Indices
+ */
+function range(start, end) {
+  const indices = [];
+  for (let i = start; i <= end; i++) indices.push(i);
+  return indices;
+}
+
+/**
+ * Indices around a ring from start to end inclusive, wrapping past the last vertex
+ * Equal start and end give the whole ring, closed.
+ * @param {number} start - First index
+ * @param {number} end - Last index
+ * @param {number} n - Vertices in the ring
+ * @returns {Array<number>} Indices
+ */
+function ringRange(start, end, n) {
+  const indices = [start];
+  let i = start;
+  do {
+    i = (i + 1) % n;
+    indices.push(i);
+  } while (i !== end);
+  return indices;
+}
+
+/**
+ * Order coordinates by x, then y
+ * @param {Array<number>} a - Coordinate
+ * @param {Array<number>} b - Coordinate
+ * @returns {number} Negative, zero or positive
+ */
+function compareCoords(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+// ============================================
+// Simplification
+// ============================================
+
+/**
+ * Simplify every prepared geometry of a dataset
+ * @param {Object} dataset - Prepared dataset
+ * @param {string} method - 'douglas-peucker' or 'visvalingam'
+ * @param {number} tolerance - Tolerance in coordinate units (degrees)
+ * @returns {Array<Array|null>} Simplified coordinates per geometry, null where nothing changed
+ */
+function simplifyDataset(dataset, method, tolerance) {
+  const simplifyArc = method === 'visvalingam' ? visvalingam : douglasPeucker;
+  return dataset.geometries.map(geometry => {
+    if (!geometry) return null;
+
+    let changed = false;
+    const lines = geometry.parts.map(part => {
+      const kept = new Uint8Array(part.coords.length);
+      for (const arc of part.arcs) {
+        keepArcVertices(part.coords, arc, simplifyArc, tolerance, kept);
+      }
+
+      const coords = part.coords.filter((coord, index) => kept[index]);
+      if (part.closed) {
+        // Rings that would collapse are drawn as they are
+        if (coords.length + 1 < MIN_RING_LENGTH) return part.original;
+        coords.push(coords[0]);
+      }
+      if (coords.length !== part.original.length) changed = true;
+      return coords;
+    });
+
+    if (!changed) return null;
+    if (geometry.type === 'MultiPolygon') {
+      let offset = 0;
+      return geometry.coordinates.map(polygon => {
+        const rings = lines.slice(offset, offset + polygon.length);
+        offset += polygon.length;
+        return rings;
+      });
+    }
+    return PART_DEPTH[geometry.type] === 0 ? lines[0] : lines;
+  });
+}
+
+/**
+ * Mark the vertices of an arc that survive simplification
+ * Arcs are simplified in a fixed direction, so an arc shared by two rings
+ * keeps the same vertices in both.
+ * @param {Array<Array<number>>} coords - Part coordinates
+ * @param {Array<number>} arc - Vertex indices of the arc
+ * @param {Function} simplifyArc - Returns keep flags for a list of points
+ * @param {number} tolerance - Tolerance in coordinate units
+ * @param {Uint8Array} kept - Keep flags of the part's vertices, updated in place
+ */
+function keepArcVertices(coords, arc, simplifyArc, tolerance, kept) {
+  const last = arc.length - 1;
+  let order = compareCoords(coords[arc[0]], coords[arc[last]]);
+  if (order === 0 && last > 1) {
+    // Closed arcs: follow the smaller of the two neighbours of the start
+    order = compareCoords(coords[arc[1]], coords[arc[last - 1]]);
+  }
+  const indices = order > 0 ? [...arc].reverse() : arc;
+
+  const flags = simplifyArc(indices.map(index => coords[index]), tolerance);
+  indices.forEach((index, i) => {
+    if (flags[i]) kept[index] = 1;
+  });
+}
+
+/**
+ * Douglas-Peucker: keep the points further than the tolerance from the simplified line
+ * @param {Array<Array<number>>} points - Arc points; the ends are always kept
+ * @param {number} tolerance - Maximum distance
+ * @returns {Uint8Array} Keep flag per point
+ */
+function douglasPeucker(points, tolerance) {
+  const last = points.length - 1;
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[last] = 1;
+
+  const sqTolerance = tolerance * tolerance;
+  const stack = [[0, last]];
+  while (stack.length > 0) {
+    const [first, end] = stack.pop();
+    const [ax, ay] = points[first];
+    const [bx, by] = points[end];
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < end; i++) {
+      const distance = sqSegmentDistance(points[i][0], points[i][1], ax, ay, bx, by);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDistance > sqTolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, end]);
+    }
+  }
+  return keep;
+}
+
+/**
+ * Visvalingam-Whyatt: repeatedly drop the point forming the smallest triangle
+ * with its neighbours, while that area is below the tolerance squared
+ * @param {Array<Array<number>>} points - Arc points; the ends are always kept
+ * @param {number} tolerance - Side of the square whose area is the threshold
+ * @returns {Uint8Array} Keep flag per point
+ */
+function visvalingam(points, tolerance) {
+  const n = points.length;
+  const keep = new Uint8Array(n).fill(1);
+  if (n < 3) return keep;
+
+  const threshold = tolerance * tolerance;
+  const prev = new Int32Array(n);
+  const next = new Int32Array(n);
+  const areas = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    prev[i] = i - 1;
+    next[i] = i + 1;
+  }
+
+  const heap = new MinHeap(areas);
+  for (let i = 1; i < n - 1; i++) {
+    areas[i] = triangleArea(points[i - 1], points[i], points[i + 1]);
+    heap.push(i);
+  }
+
+  while (heap.size > 0) {
+    const i = heap.pop();
+    // An area grown by the removal of a neighbour is never below the one removed before it
+    const area = areas[i];
+    if (area >= threshold) break;
+    keep[i] = 0;
+
+    const before = prev[i];
+    const after = next[i];
+    next[before] = after;
+    prev[after] = before;
+
+    for (const j of [before, after]) {
+      if (j === 0 || j === n - 1) continue;
+      areas[j] = Math.max(area, triangleArea(points[prev[j]], points[j], points[next[j]]));
+      heap.update(j);
+    }
+  }
+  return keep;
+}
+
+/**
+ * Area of the triangle formed by three points
+ * @param {Array<number>} a - Point
+ * @param {Array<number>} b - Point
+ * @param {Array<number>} c - Point
+ * @returns {number} Area
+ */
+function triangleArea(a, b, c) {
+  return Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1])) / 2;
+}
+
+/**
+ * Binary min-heap of point indices ordered by their area
+ */
+class MinHeap {
+  /**
+   * @param {Float64Array} areas - Area per point index, read when comparing
+   */
+  constructor(areas) {
+    this.areas = areas;
+    this.items = [];
+    this.positions = new Int32Array(areas.length).fill(-1);
+  }
+
+  /**
+   * @returns {number} Number of indices in the heap
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Add a point index
+   * @param {number} index - Point index
+   */
+  push(index) {
+    this.items.push(index);
+    this.positions[index] = this.items.length - 1;
+    this.siftUp(this.items.length - 1);
+  }
+
+  /**
+   * Remove the index with the smallest area
+   * @returns {number} Point index
+   */
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    this.positions[top] = -1;
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      this.positions[last] = 0;
+      this.siftDown(0);
+    }
+    return top;
+  }
+
+  /**
+   * Restore the order after the area of an index changed
+   * @param {number} index - Point index
+   */
+  update(index) {
+    const position = this.positions[index];
+    if (position === -1) return;
+    this.siftUp(position);
+    this.siftDown(this.positions[index]);
+  }
+
+  /**
+   * @param {number} a - Heap position
+   * @param {number} b - Heap position
+   * @returns {boolean} Whether the area at a is smaller
+   */
+  less(a, b) {
+    return this.areas[this.items[a]] < this.areas[this.items[b]];
+  }
+
+  /**
+   * @param {number} a - Heap position
+   * @param {number} b - Heap position
+   */
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+    this.positions[this.items[a]] = a;
+    this.positions[this.items[b]] = b;
+  }
+
+  /**
+   * Move an entry up to its place
+   * @param {number} position - Heap position
+   */
+  siftUp(position) {
+    while (position > 0) {
+      const parent = (position - 1) >> 1;
+      if (!this.less(position, parent)) break;
+      this.swap(position, parent);
+      position = parent;
+    }
+  }
+
+  /**
+   * Move an entry down to its place
+   * @param {number} position - Heap position
+   */
+  siftDown(position) {
+    for (;;) {
+      const left = position * 2 + 1;
+      const right = left + 1;
+      let smallest = position;
+      if (left < this.items.length && this.less(left, smallest)) smallest = left;
+      if (right < this.items.length && this.less(right, smallest)) smallest = right;
+      if (smallest === position) break;
+      this.swap(position, smallest);
+      position = smallest;
+    }
+  }
+}
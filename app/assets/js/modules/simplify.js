@@ -0,0 +1,255 @@
+/**
+ * VecGeo Viewer - Simplification Module
+ *
+ * Simplifies the drawn lines and polygons to the Simplify Tolerance setting,
+ * scaled to the zoom level. The work is done in a worker
+ * (simplify-worker.js); results are cached per tolerance and applied to the
+ * rendered Leaflet layers only, so the features used for SQL, the data viewer
+ * and export keep their full geometry.
+ */
+
+import {App} from '../app.js';
+import {createWorkerClient} from './worker-client.js';
+
+// ============================================
+// Settings
+// ============================================
+
+// The Simplify Tolerance slider sets the tolerance at this zoom; it halves
+// with every zoom level in and doubles with every level out
+const SIMPLIFY_REFERENCE_ZOOM = 10;
+
+// Simplified versions kept per dataset (one per zoom level and method)
+const MAX_CACHED_VERSIONS = 8;
+
+// Geometry types the worker simplifies, and the nesting Leaflet needs for their coordinates
+const LATLNG_DEPTH = {LineString: 0, MultiLineString: 1, Polygon: 1, MultiPolygon: 2};
+
+// ============================================
+// State
+// ============================================
+
+// Without a working worker, geometries are drawn in full
+const simplifyWorker = createWorkerClient(new URL('./simplify-worker.js', import.meta.url), 'Simplify');
+let nextDatasetId = 1;
+
+const datasets = new WeakMap();   // GeoJSON → {id, featureCount, featureIndex, versions}
+const renderedLayers = new Map();  // Rendered Leaflet layer → GeoJSON drawn in it
+const simplifiedLayers = new WeakSet(); // Feature layers showing simplified coordinates
+
+// ============================================
+// Worker
+// ============================================
+
+/**
+ * Get the worker-side record of a dataset, sending its geometries on first use
+ * Datasets that grew (features loaded on pan) are sent again.
+ * @param {Object} geojson - Rendered FeatureCollection
+ * @returns {Object|null} Dataset record, or null if there is nothing to simplify
+ */
+function getDataset(geojson) {
+  const existing = datasets.get(geojson);
+  if (existing && existing.featureCount === geojson.features.length) {
+    return existing;
+  }
+  if (existing) {
+    dropDataset(geojson);
+  }
+
+  const features = geojson.features;
+  if (!features.some(feature => feature?.geometry?.type in LATLNG_DEPTH)) {
+    return null;
+  }
+
+  if (!simplifyWorker.start()) return null;
+
+  const dataset = {
+    id: nextDatasetId++,
+    featureCount: features.length,
+    featureIndex: new Map(features.map((feature, index) => [feature, index])),
+    versions: new Map()
+  };
+  simplifyWorker.post({
+    type: 'load',
+    datasetId: dataset.id,
+    geometries: features.map(feature => feature?.geometry?.type in LATLNG_DEPTH ? feature.geometry : null)
+  });
+  datasets.set(geojson, dataset);
+  return dataset;
+}
+
+/**
+ * Forget a dataset and its cached versions
+ * @param {Object} geojson - FeatureCollection
+ */
+function dropDataset(geojson) {
+  const dataset = datasets.get(geojson);
+  if (!dataset) return;
+  datasets.delete(geojson);
+  simplifyWorker.post({type: 'drop', datasetId: dataset.id});
+}
+
+/**
+ * Get the simplified coordinates of a dataset, from the cache or the worker
+ * @param {Object} dataset - Dataset record
+ * @param {string} method - 'douglas-peucker' or 'visvalingam'
+ * @param {number} tolerance - Tolerance in degrees
+ * @returns {Promise<Array<Array|null>>} Coordinates per feature, null where unchanged
+ */
+function getSimplifiedVersion(dataset, method, tolerance) {
+  const key = `${method}:${tolerance}`;
+  let version = dataset.versions.get(key);
+  if (version) {
+    // Keep recently used versions at the end, away from eviction
+    dataset.versions.delete(key);
+  } else {
+    version = simplifyWorker.request({type: 'simplify', datasetId: dataset.id, method, tolerance})
+      .then(reply => reply.coordinates);
+    // A failed request is tried again next time
+    version.catch(() => dataset.versions.delete(key));
+  }
+
+  dataset.versions.set(key, version);
+  if (dataset.versions.size > MAX_CACHED_VERSIONS) {
+    dataset.versions.delete(dataset.versions.keys().next().value);
+  }
+  return version;
+}
+
+// ============================================
+// Applying to Rendered Layers
+// ============================================
+
+/**
+ * Get the tolerance for the current zoom level
+ * @returns {number} Tolerance in degrees, 0 when simplification is off
+ */
+function currentTolerance() {
+  if (!(App.simplifyTolerance > 0) || !App.map) return 0;
+  const zoom = Math.round(App.map.getZoom());
+  return App.simplifyTolerance * 2 ** (SIMPLIFY_REFERENCE_ZOOM - zoom);
+}
+
+/**
+ * Call a function for each feature layer of a rendered layer
+ * Progressively rendered layers are groups of GeoJSON chunks.
+ * @param {L.Layer} layer - Rendered layer
+ * @param {Function} callback - Called with each layer that has a feature
+ */
+function eachFeatureLayer(layer, callback) {
+  if (layer.feature && typeof layer.setLatLngs === 'function') {
+    callback(layer);
+  } else if (typeof layer.eachLayer === 'function') {
+    layer.eachLayer(child => eachFeatureLayer(child, callback));
+  }
+}
+
+/**
+ * Simplify the lines and polygons of a rendered layer for the current zoom
+ * @param {L.Layer} layer - Rendered layer
+ * @param {Object} geojson - FeatureCollection drawn in the layer
+ */
+async function simplifyLayer(layer, geojson) {
+  const tolerance = currentTolerance();
+  const method = App.simplifyMethod;
+
+  if (tolerance === 0) {
+    restoreLayer(layer);
+    return;
+  }
+
+  const dataset = getDataset(geojson);
+  if (!dataset) return;
+
+  let coordinates;
+  try {
+    coordinates = await getSimplifiedVersion(dataset, method, tolerance);
+  } catch (error) {
+    console.warn('[Simplify] Simplification failed:', error);
+    return;
+  }
+
+  // The view or the settings changed while the worker was busy
+  if (renderedLayers.get(layer) !== geojson || tolerance !== currentTolerance() || method !== App.simplifyMethod) {
+    return;
+  }
+
+  eachFeatureLayer(layer, featureLayer => {
+    const index = dataset.featureIndex.get(featureLayer.feature);
+    const simplified = index === undefined ? null : coordinates[index];
+    if (simplified) {
+      setFeatureCoordinates(featureLayer, simplified);
+      simplifiedLayers.add(featureLayer);
+    } else if (simplifiedLayers.has(featureLayer)) {
+      setFeatureCoordinates(featureLayer, featureLayer.feature.geometry.coordinates);
+      simplifiedLayers.delete(featureLayer);
+    }
+  });
+}
+
+/**
+ * Draw the full geometry again in a rendered layer
+ * @param {L.Layer} layer - Rendered layer
+ */
+function restoreLayer(layer) {
+  eachFeatureLayer(layer, featureLayer => {
+    if (simplifiedLayers.has(featureLayer)) {
+      setFeatureCoordinates(featureLayer, featureLayer.feature.geometry.coordinates);
+      simplifiedLayers.delete(featureLayer);
+    }
+  });
+}
+
+/**
+ * Replace the drawn coordinates of a feature layer
+ * @param {L.Polyline} featureLayer - Line or polygon layer
+ * @param {Array} coordinates - GeoJSON coordinates of the feature's geometry type
+ */
+function setFeatureCoordinates(featureLayer, coordinates) {
+  const depth = LATLNG_DEPTH[featureLayer.feature.geometry.type];
+  featureLayer.setLatLngs(L.GeoJSON.coordsToLatLngs(coordinates, depth));
+}
+
+/**
+ * Forget rendered layers that were removed from the map
+ * Datasets no longer drawn by any layer are released in the worker.
+ */
+function pruneRenderedLayers() {
+  const removed = [];
+  for (const [layer, geojson] of renderedLayers) {
+    if (!App.map.hasLayer(layer)) {
+      renderedLayers.delete(layer);
+      removed.push(geojson);
+    }
+  }
+
+  const drawn = new Set(renderedLayers.values());
+  for (const geojson of removed) {
+    if (!drawn.has(geojson)) dropDataset(geojson);
+  }
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Simplify a layer once it is rendered, and again whenever the zoom changes
+ * @param {L.Layer} layer - Rendered layer
+ * @param {Object} geojson - FeatureCollection drawn in the layer
+ */
+export function simplifyRenderedLayer(layer, geojson) {
+  renderedLayers.set(layer, geojson);
+  pruneRenderedLayers();
+  simplifyLayer(layer, geojson);
+}
+
+/**
+ * Simplify all rendered layers again for the current zoom and settings
+ */
+export function refreshSimplification() {
+  pruneRenderedLayers();
+  for (const [layer, geojson] of renderedLayers) {
+    simplifyLayer(layer, geojson);
+  }
+}
@@ -0,0 +1,538 @@
+/**
+ * VecGeo Viewer - SQL Editor Module
+ *
+ * Turns the SQL textarea into an editor with syntax highlighting, autocomplete
+ * for columns, tables and DuckDB functions, Ctrl+Enter to run, and a marker at
+ * the position DuckDB reports for query errors.
+ */
+
+import {App} from '../app.js';
+import {quoteIdentifier, runSQL} from './duckdb.js';
+import {escapeHtml} from './ui.js';
+
+// ============================================
+// Editor Constants
+// ============================================
+
+const SQL_KEYWORDS = new Set([
+  'all', 'and', 'any', 'as', 'asc', 'between', 'by', 'case', 'cast', 'cross', 'desc', 'distinct',
+  'else', 'end', 'except', 'exclude', 'exists', 'false', 'filter', 'first', 'from', 'full', 'group',
+  'having', 'ilike', 'in', 'inner', 'intersect', 'is', 'join', 'last', 'lateral', 'left', 'like',
+  'limit', 'natural', 'not', 'null', 'nulls', 'offset', 'on', 'or', 'order', 'outer', 'over',
+  'partition', 'qualify', 'replace', 'right', 'select', 'similar', 'then', 'true', 'try_cast',
+  'union', 'using', 'when', 'where', 'window', 'with'
+]);
+
+// Suggestion kinds in the order they are listed
+const SUGGESTION_KINDS = ['column', 'table', 'function', 'keyword'];
+const MAX_SUGGESTIONS = 50;
+
+// Matches one token: comment, string, quoted identifier, number, word, whitespace or any other character
+const TOKEN_PATTERN = /(--[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:[^']|'')*'?)|("(?:[^"]|"")*"?)|(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_$]*)|(\s+)|([\s\S])/g;
+const TOKEN_TYPES = ['comment', 'string', 'identifier', 'number', 'word', 'space', 'operator'];
+
+// ============================================
+// Editor State
+// ============================================
+
+const editorState = {
+  columns: [],          // Columns of `data`, read when the editor gains focus
+  functions: null,      // DuckDB function names, read once per set of loaded extensions
+  functionsSpatial: null,
+  suggestions: [],      // Suggestions in the open list
+  selectedIndex: 0,
+  wordStart: 0,         // Start of the text the open suggestions replace
+  wordEnd: 0,
+  error: null           // {position, message} of the last failed query
+};
+
+// ============================================
+// Initialization
+// ============================================
+
+/**
+ * Wire up the SQL editor around the #sqlInput textarea
+ */
+export function initSQLEditor() {
+  const input = document.getElementById('sqlInput');
+  const highlight = document.getElementById('sqlHighlight');
+  if (!input || !highlight) return;
+
+  input.addEventListener('input', () => {
+    clearSQLError();
+    renderHighlight();
+    updateSuggestions(false);
+  });
+  input.addEventListener('keydown', handleEditorKeydown);
+  input.addEventListener('scroll', () => {
+    highlight.parentElement.scrollTop = input.scrollTop;
+  });
+  input.addEventListener('focus', refreshCompletions);
+  input.addEventListener('blur', hideSuggestions);
+  input.addEventListener('click', hideSuggestions);
+
+  renderHighlight();
+  console.log('[SQLEditor] Initialized');
+}
+
+/**
+ * Handle editor keys: run, autocomplete navigation and explicit completion
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleEditorKeydown(e) {
+  const listOpen = editorState.suggestions.length > 0;
+
+  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    hideSuggestions();
+    runSQL();
+    return;
+  }
+
+  if (e.key === ' ' && e.ctrlKey) {
+    e.preventDefault();
+    updateSuggestions(true);
+    return;
+  }
+
+  if (!listOpen) return;
+
+  switch (e.key) {
+    case 'ArrowDown':
+      e.preventDefault();
+      selectSuggestion(editorState.selectedIndex + 1);
+      break;
+    case 'ArrowUp':
+      e.preventDefault();
+      selectSuggestion(editorState.selectedIndex - 1);
+      break;
+    case 'Enter':
+    case 'Tab':
+      e.preventDefault();
+      acceptSuggestion(editorState.selectedIndex);
+      break;
+    case 'Escape':
+      e.preventDefault();
+      e.stopPropagation();
+      hideSuggestions();
+      break;
+  }
+}
+
+// ============================================
+// Syntax Highlighting
+// ============================================
+
+/**
+ * Split SQL text into tokens
+ * @param {string} text - SQL text
+ * @returns {Array<{type: string, text: string, start: number}>} Tokens covering the whole text
+ */
+function tokenizeSQL(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    let type = TOKEN_TYPES[match.slice(1).findIndex(group => group !== undefined)];
+    if (type === 'word') {
+      if (/^\s*\(/.test(text.slice(TOKEN_PATTERN.lastIndex, TOKEN_PATTERN.lastIndex + 40))) {
+        type = 'function';
+      } else if (SQL_KEYWORDS.has(match[0].toLowerCase())) {
+        type = 'keyword';
+      }
+    }
+    tokens.push({type, text: match[0], start: match.index});
+  }
+  return tokens;
+}
+
+/**
+ * Redraw the highlighted copy of the editor text behind the textarea
+ */
+function renderHighlight() {
+  const input = document.getElementById('sqlInput');
+  const highlight = document.getElementById('sqlHighlight');
+  if (!input || !highlight) return;
+
+  const text = input.value;
+  const errorPosition = editorState.error?.position ?? -1;
+  let html = '';
+  let errorMarked = false;
+
+  for (const token of tokenizeSQL(text)) {
+    const escaped = escapeHtml(token.text);
+    const className = token.type === 'space' || token.type === 'word' ? '' : `sql-token-${token.type}`;
+    const end = token.start + token.text.length;
+    const isError = !errorMarked && token.type !== 'space' && errorPosition >= token.start && errorPosition < end;
+
+    let span = className ? `<span class="${className}">${escaped}</span>` : escaped;
+    if (isError) {
+      span = `<span class="sql-error-mark">${span}</span>`;
+      errorMarked = true;
+    }
+    html += span;
+  }
+
+  // Errors at the end of the text (or on whitespace) get a marker of their own
+  if (errorPosition >= 0 && !errorMarked) {
+    html += '<span class="sql-error-mark sql-error-gap"> </span>';
+  }
+
+  // A trailing newline keeps the last empty line as tall as in the textarea
+  highlight.innerHTML = `${html}\n`;
+  resizeEditor(input);
+}
+
+/**
+ * Grow the textarea with its text so the highlight never needs to scroll
+ * @param {HTMLTextAreaElement} input - SQL textarea
+ */
+function resizeEditor(input) {
+  input.style.height = 'auto';
+  const borders = input.offsetHeight - input.clientHeight;
+  input.style.height = `${input.scrollHeight + borders}px`;
+}
+
+// ============================================
+// Autocomplete
+// ============================================
+
+/**
+ * Read the names offered by autocomplete: columns of `data` and DuckDB functions
+ */
+async function refreshCompletions() {
+  if (!App.conn) return;
+
+  try {
+    if (App.tableName) {
+      const result = await App.conn.query('DESCRIBE data');
+      editorState.columns = result.toArray().map(row => String(row.column_name));
+    } else {
+      editorState.columns = [];
+    }
+
+    // Loading the spatial extension adds the ST_* functions
+    if (editorState.functionsSpatial !== App.spatialEnabled) {
+      const result = await App.conn.query(`
+        SELECT DISTINCT function_name
+        FROM duckdb_functions()
+        WHERE function_type IN ('scalar', 'aggregate', 'macro')
+          AND regexp_matches(function_name, '^[A-Za-z][A-Za-z0-9_]*$')
+        ORDER BY function_name`);
+      editorState.functions = result.toArray().map(row => String(row.function_name));
+      editorState.functionsSpatial = App.spatialEnabled;
+    }
+  } catch (error) {
+    console.warn('[SQLEditor] Could not read completions:', error);
+  }
+}
+
+/**
+ * Find the word being typed before the caret
+ * @param {string} text - Editor text
+ * @param {number} caret - Caret offset
+ * @returns {{start: number, prefix: string, quoted: boolean, afterDot: boolean}|null} Word, or null inside strings and comments
+ */
+function wordBeforeCaret(text, caret) {
+  const before = text.slice(0, caret);
+  const last = tokenizeSQL(before).pop();
+
+  if (!last || last.type === 'space' || last.type === 'operator') {
+    return {start: caret, prefix: '', quoted: false, afterDot: last?.text === '.'};
+  }
+  if (last.type === 'identifier' && !/^"(?:[^"]|"")*"$/.test(last.text)) {
+    return {start: last.start, prefix: last.text.slice(1), quoted: true, afterDot: before[last.start - 1] === '.'};
+  }
+  if (['word', 'keyword', 'function'].includes(last.type)) {
+    return {start: last.start, prefix: last.text, quoted: false, afterDot: before[last.start - 1] === '.'};
+  }
+  return null;
+}
+
+/**
+ * Quote a column or table name only where SQL requires it
+ * @param {string} name - Column or table name
+ * @returns {string} Name as written in SQL
+ */
+function formatName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !SQL_KEYWORDS.has(name.toLowerCase())
+    ? name
+    : quoteIdentifier(name);
+}
+
+/**
+ * Collect suggestions for a word prefix
+ * @param {Object} word - Word from wordBeforeCaret
+ * @returns {Array<{kind: string, label: string, insert: string}>} Matching suggestions
+ */
+function collectSuggestions(word) {
+  const prefix = word.prefix.toLowerCase();
+  const candidates = [];
+
+  for (const name of editorState.columns) {
+    candidates.push({kind: 'column', label: name, insert: word.quoted ? quoteIdentifier(name) : formatName(name)});
+  }
+
+  // After "alias." only columns make sense
+  if (!word.afterDot) {
+    const tables = ['data', ...App.layers.map(layer => layer.tableName), ...App.lookupTables];
+    for (const name of new Set(tables)) {
+      candidates.push({kind: 'table', label: name, insert: word.quoted ? quoteIdentifier(name) : formatName(name)});
+    }
+    if (!word.quoted) {
+      for (const name of editorState.functions || []) {
+        candidates.push({kind: 'function', label: name, insert: `${name}(`});
+      }
+      for (const keyword of SQL_KEYWORDS) {
+        candidates.push({kind: 'keyword', label: keyword.toUpperCase(), insert: keyword.toUpperCase()});
+      }
+    }
+  }
+
+  return candidates
+    .filter(c => c.label.toLowerCase().startsWith(prefix))
+    .sort((a, b) => SUGGESTION_KINDS.indexOf(a.kind) - SUGGESTION_KINDS.indexOf(b.kind) || a.label.length - b.label.length)
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Show suggestions for the word at the caret
+ * @param {boolean} explicit - Whether completion was asked for (Ctrl+Space), which also lists all names for an empty word
+ */
+function updateSuggestions(explicit) {
+  const input = document.getElementById('sqlInput');
+  if (!input || input.selectionStart !== input.selectionEnd) {
+    hideSuggestions();
+    return;
+  }
+
+  const caret = input.selectionStart;
+  const word = wordBeforeCaret(input.value, caret);
+  if (!word || (!explicit && word.prefix.length === 0 && !word.quoted && !word.afterDot)) {
+    hideSuggestions();
+    return;
+  }
+
+  const suggestions = collectSuggestions(word);
+  const typed = input.value.slice(word.start, caret);
+  if (suggestions.length === 0 || (suggestions.length === 1 && suggestions[0].insert === typed)) {
+    hideSuggestions();
+    return;
+  }
+
+  // Replace a closing quote right after the caret too
+  const wordEnd = word.quoted && input.value[caret] === '"' ? caret + 1 : caret;
+
+  editorState.suggestions = suggestions;
+  editorState.wordStart = word.start;
+  editorState.wordEnd = wordEnd;
+  renderSuggestions(input, caret);
+  selectSuggestion(0);
+}
+
+/**
+ * Draw the suggestion list below the caret
+ * @param {HTMLTextAreaElement} input - SQL textarea
+ * @param {number} caret - Caret offset
+ */
+function renderSuggestions(input, caret) {
+  const list = document.getElementById('sqlSuggestions');
+  if (!list) return;
+
+  list.innerHTML = '';
+  editorState.suggestions.forEach((suggestion, index) => {
+    const item = document.createElement('li');
+    item.className = 'sql-suggestion';
+    item.setAttribute('role', 'option');
+    item.id = `sqlSuggestion${index}`;
+
+    const label = document.createElement('span');
+    label.textContent = suggestion.label;
+    const kind = document.createElement('span');
+    kind.className = 'sql-suggestion-kind';
+    kind.textContent = suggestion.kind;
+    item.append(label, kind);
+
+    // Keep focus in the textarea when picking with the mouse
+    item.onmousedown = (e) => {
+      e.preventDefault();
+      acceptSuggestion(index);
+    };
+    list.appendChild(item);
+  });
+
+  const {top, left} = caretCoordinates(input, caret);
+  list.style.top = `${top}px`;
+  list.style.left = `${Math.min(left, Math.max(0, input.clientWidth - 180))}px`;
+  list.style.display = 'block';
+  input.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Measure where the line below the caret starts, relative to the editor
+ * @param {HTMLTextAreaElement} input - SQL textarea
+ * @param {number} caret - Caret offset
+ * @returns {{top: number, left: number}} Position in pixels
+ */
+function caretCoordinates(input, caret) {
+  const highlight = document.getElementById('sqlHighlight').parentElement;
+  const mirror = document.createElement('div');
+  mirror.className = 'sql-highlight sql-measure';
+  mirror.style.width = `${highlight.offsetWidth}px`;
+  mirror.textContent = input.value.slice(0, caret);
+  const marker = document.createElement('span');
+  marker.textContent = '\u200b';
+  mirror.appendChild(marker);
+  highlight.parentElement.appendChild(mirror);
+
+  const top = marker.offsetTop + marker.offsetHeight - input.scrollTop;
+  const left = marker.offsetLeft;
+  mirror.remove();
+  return {top, left};
+}
+
+/**
+ * Highlight a suggestion in the open list
+ * @param {number} index - Suggestion index, wrapped around the list
+ */
+function selectSuggestion(index) {
+  const count = editorState.suggestions.length;
+  if (count === 0) return;
+  editorState.selectedIndex = (index + count) % count;
+
+  const list = document.getElementById('sqlSuggestions');
+  list?.querySelectorAll('.sql-suggestion').forEach((item, i) => {
+    item.classList.toggle('selected', i === editorState.selectedIndex);
+    item.setAttribute('aria-selected', String(i === editorState.selectedIndex));
+  });
+  const selected = document.getElementById(`sqlSuggestion${editorState.selectedIndex}`);
+  selected?.scrollIntoView({block: 'nearest'});
+  document.getElementById('sqlInput')?.setAttribute('aria-activedescendant', selected?.id || '');
+}
+
+/**
+ * Insert a suggestion in place of the word being typed
+ * @param {number} index - Suggestion index
+ */
+function acceptSuggestion(index) {
+  const input = document.getElementById('sqlInput');
+  const suggestion = editorState.suggestions[index];
+  if (!input || !suggestion) return;
+
+  input.setRangeText(suggestion.insert, editorState.wordStart, editorState.wordEnd, 'end');
+  hideSuggestions();
+  clearSQLError();
+  renderHighlight();
+  input.focus();
+}
+
+/**
+ * Close the suggestion list
+ */
+function hideSuggestions() {
+  editorState.suggestions = [];
+  const list = document.getElementById('sqlSuggestions');
+  if (list) {
+    list.style.display = 'none';
+    list.innerHTML = '';
+  }
+  const input = document.getElementById('sqlInput');
+  input?.setAttribute('aria-expanded', 'false');
+  input?.removeAttribute('aria-activedescendant');
+}
+
+// ============================================
+// Error Markers
+// ============================================
+
+/**
+ * Mark the position of a failed query's error in the editor
+ * DuckDB appends the offending line with a caret under the error
+ * ("LINE 1: SELECT ...\n       ^"). That line is from the query as run,
+ * which may wrap the editor text, so it is matched back to the text.
+ * @param {Error} error - Error thrown by DuckDB
+ * @returns {string} Error message without the quoted line if it was marked, else the full message
+ */
+export function markSQLError(error) {
+  const input = document.getElementById('sqlInput');
+  const message = String(error?.message || error);
+  const position = input ? locateErrorPosition(message, input.value) : null;
+
+  if (position === null) {
+    clearSQLError();
+    return message;
+  }
+
+  const summary = message.replace(/\s*LINE \d+:[\s\S]*$/, '').trim();
+  editorState.error = {position, message: summary};
+  renderHighlight();
+
+  const lines = input.value.slice(0, position).split('\n');
+  const errorEl = document.getElementById('sqlEditorError');
+  if (errorEl) {
+    errorEl.textContent = `Line ${lines.length}, column ${lines[lines.length - 1].length + 1}: ${summary}`;
+    errorEl.style.display = 'block';
+  }
+  return summary;
+}
+
+/**
+ * Remove the error marker from the editor
+ */
+export function clearSQLError() {
+  const errorEl = document.getElementById('sqlEditorError');
+  if (errorEl) {
+    errorEl.style.display = 'none';
+    errorEl.textContent = '';
+  }
+  if (editorState.error) {
+    editorState.error = null;
+    renderHighlight();
+  }
+}
+
+/**
+ * Find the editor offset of the error position quoted in a DuckDB error message
+ * @param {string} message - Error message
+ * @param {string} text - Editor text
+ * @returns {number|null} Offset in the editor text, or null if the message has no position
+ */
+function locateErrorPosition(message, text) {
+  const match = /LINE (\d+): (.*)\n( *)\^/.exec(message);
+  if (!match) return null;
+
+  let snippet = match[2];
+  let caret = match[3].length - `LINE ${match[1]}: `.length;
+
+  // Long lines are cut around the error with ellipses
+  if (snippet.startsWith('...')) {
+    snippet = snippet.slice(3);
+    caret -= 3;
+  }
+  if (snippet.endsWith('...') && snippet.length - 3 > caret) {
+    snippet = snippet.slice(0, -3);
+  }
+  if (caret < 0 || caret > snippet.length) return null;
+
+  const before = snippet.slice(0, caret);
+  const after = snippet.slice(caret);
+
+  // Pick the offset where the text best agrees with the quoted line on both sides of the caret
+  let best = null;
+  let bestScore = 0;
+  for (let pos = 0; pos <= text.length; pos++) {
+    let score = 0;
+    while (score < after.length && text[pos + score] === after[score]) score++;
+    if (after.length > 0 && score === 0 && pos < text.length) continue;
+    let back = 0;
+    while (back < before.length && text[pos - back - 1] === before[before.length - back - 1]) back++;
+    score += back;
+    if (score > bestScore) {
+      bestScore = score;
+      best = pos;
+    }
+  }
+
+  // A few matching characters are needed so an unrelated line is not marked
+  return bestScore >= Math.min(3, before.length + after.length) ? best : null;
+}
@@ -0,0 +1,301 @@
+/**
+ * VecGeo Viewer - Table Join Module
+ *
+ * Joins the columns of a lookup CSV onto the active layer by a key column,
+ * in DuckDB and in the loaded feature properties.
+ */
+
+import {App} from '../app.js';
+import {hideLoading, runModalDialog, showError, showLoading, showWarning} from './ui.js';
+import {
+  createParquetView, describeAttributeColumns, dropRelation, escapeSQLString, pointDataView, quoteIdentifier
+} from './duckdb.js';
+import {uniqueTableName} from './layers.js';
+import {renderData} from './map.js';
+import {analyzeColumns} from './visualization.js';
+
+// ============================================
+// Loading the Lookup Table
+// ============================================
+
+/**
+ * Ask for a CSV/TSV file to join onto the active layer
+ */
+export function openJoinTable() {
+  if (!App.conn || !App.tableName) {
+    showError('Load a dataset before joining a table.');
+    return;
+  }
+  document.getElementById('joinFileInput')?.click();
+}
+
+/**
+ * Load a CSV/TSV file into DuckDB and join it onto the active layer
+ * @param {File} file - Lookup table file
+ */
+export async function handleJoinFile(file) {
+  if (!file) return;
+  if (!App.conn || !App.tableName) {
+    showError('Load a dataset before joining a table.');
+    return;
+  }
+
+  showLoading(`Reading ${file.name}...`);
+  let tableName = null;
+
+  try {
+    const arrayBuffer = await file.arrayBuffer();
+    await App.db.registerFileBuffer(file.name, new Uint8Array(arrayBuffer));
+
+    const ext = file.name.split('.').pop().toLowerCase();
+    const options = ext === 'tsv' ? ", delim = '\\t'" : '';
+    tableName = uniqueTableName(file.name);
+    await App.conn.query(`CREATE OR REPLACE TABLE ${quoteIdentifier(tableName)} AS
+                          SELECT * FROM read_csv_auto('${escapeSQLString(file.name)}'${options})`);
+    App.lookupTables.push(tableName);
+
+    const tableColumns = await describeAttributeColumns(`SELECT * FROM ${quoteIdentifier(tableName)}`);
+    const layerColumns = await describeAttributeColumns('SELECT * FROM data');
+    if (tableColumns.length < 2) {
+      throw new Error('The table needs a key column and at least one column to join.');
+    }
+    console.log(`[Join] Loaded ${file.name} as "${tableName}"`);
+
+    hideLoading();
+    const selection = await showJoinDialog(file.name, tableName, layerColumns, tableColumns);
+    if (!selection) {
+      console.log('[Join] Cancelled');
+      await dropLookupTable(tableName);
+      return;
+    }
+
+    showLoading('Joining table...');
+    await joinTable(tableName, selection.layerKey, selection.tableKey, tableColumns);
+    hideLoading();
+  } catch (error) {
+    console.error('[Join] Failed to join table:', error);
+    if (tableName) {
+      await dropLookupTable(tableName).catch(() => {});
+    }
+    hideLoading();
+    showError(`Error joining table: ${error.message}`);
+  }
+}
+
+/**
+ * Drop a lookup table that was not joined
+ * @param {string} tableName - Lookup table
+ */
+async function dropLookupTable(tableName) {
+  App.lookupTables = App.lookupTables.filter(name => name !== tableName);
+  await dropRelation(tableName);
+}
+
+// ============================================
+// Key Selection Dialog
+// ============================================
+
+/**
+ * Let the user pick the key columns, previewing how many objects match
+ * @param {string} filename - Lookup file name
+ * @param {string} tableName - DuckDB table holding the lookup rows
+ * @param {Array<string>} layerColumns - Attribute columns of the active layer
+ * @param {Array<string>} tableColumns - Columns of the lookup table
+ * @returns {Promise<{layerKey: string, tableKey: string}|null>} Chosen keys, or null if cancelled
+ */
+function showJoinDialog(filename, tableName, layerColumns, tableColumns) {
+  const modal = document.getElementById('joinModal');
+  const message = document.getElementById('joinMessage');
+  const layerSelect = document.getElementById('joinLayerKeySelect');
+  const tableSelect = document.getElementById('joinTableKeySelect');
+  const preview = document.getElementById('joinPreview');
+  const joinBtn = document.getElementById('joinConfirmBtn');
+  const cancelBtn = document.getElementById('joinCancelBtn');
+
+  message.textContent = `Add the columns of ${filename} to ${App.activeLayer?.name || 'the layer'} where the key values match.`;
+  fillSelect(layerSelect, layerColumns);
+  fillSelect(tableSelect, tableColumns);
+
+  // Preselect a pair of columns with the same name, if any
+  const lowerTableColumns = tableColumns.map(col => col.toLowerCase());
+  const shared = layerColumns.find(col => lowerTableColumns.includes(col.toLowerCase()));
+  if (shared) {
+    layerSelect.value = shared;
+    tableSelect.value = tableColumns[lowerTableColumns.indexOf(shared.toLowerCase())];
+  }
+
+  let requestId = 0;
+  const updatePreview = async () => {
+    const id = ++requestId;
+    preview.textContent = 'Counting matches...';
+    joinBtn.disabled = true;
+    try {
+      const counts = await previewJoin(tableName, layerSelect.value, tableSelect.value);
+      if (id !== requestId) return;
+      preview.textContent = describeMatchCounts(counts);
+      joinBtn.disabled = counts.matched === 0;
+    } catch (error) {
+      if (id !== requestId) return;
+      console.warn('[Join] Preview failed:', error);
+      preview.textContent = `Cannot compare these columns: ${error.message}`;
+    }
+  };
+
+  return runModalDialog(modal, (finish) => {
+    layerSelect.onchange = updatePreview;
+    tableSelect.onchange = updatePreview;
+    joinBtn.onclick = () => finish({layerKey: layerSelect.value, tableKey: tableSelect.value});
+    cancelBtn.onclick = () => finish(null);
+    updatePreview();
+  });
+}
+
+/**
+ * Replace the options of a select with column names
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Array<string>} columns - Column names
+ */
+function fillSelect(select, columns) {
+  select.innerHTML = '';
+  for (const col of columns) {
+    const option = document.createElement('option');
+    option.value = col;
+    option.textContent = col;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * Summarize match counts for the dialog
+ * @param {Object} counts - Counts from previewJoin
+ * @returns {string} Summary text
+ */
+function describeMatchCounts({matched, unmatched, unusedRows, duplicateKeys}) {
+  const parts = [
+    `${matched.toLocaleString()} objects match, ${unmatched.toLocaleString()} do not.`,
+    `${unusedRows.toLocaleString()} table rows match no object.`
+  ];
+  if (duplicateKeys > 0) {
+    parts.push(`${duplicateKeys.toLocaleString()} keys appear more than once in the table; one row is used for each.`);
+  }
+  return parts.join(' ');
+}
+
+// ============================================
+// Join
+// ============================================
+
+/**
+ * SQL expression comparing key values across types, so that 7, 7.0, '07' and ' 7 ' match
+ * @param {string} expr - Key column expression
+ * @returns {string} Normalized key expression
+ */
+function joinKey(expr) {
+  return `COALESCE(CAST(TRY_CAST(${expr} AS DOUBLE) AS VARCHAR), trim(CAST(${expr} AS VARCHAR)))`;
+}
+
+/**
+ * Count the objects and lookup rows a join on the given keys would match
+ * @param {string} tableName - Lookup table
+ * @param {string} layerKey - Key column of the active layer
+ * @param {string} tableKey - Key column of the lookup table
+ * @returns {Promise<Object>} Matched and unmatched object counts, unused table rows and duplicate keys
+ */
+async function previewJoin(tableName, layerKey, tableKey) {
+  const layerExpr = joinKey(`l.${quoteIdentifier(layerKey)}`);
+  const tableExpr = joinKey(quoteIdentifier(tableKey));
+  const result = await App.conn.query(`
+    WITH keys AS (
+      SELECT ${tableExpr} AS k, COUNT(*) AS n
+      FROM ${quoteIdentifier(tableName)}
+      WHERE ${quoteIdentifier(tableKey)} IS NOT NULL
+      GROUP BY 1
+    )
+    SELECT
+      (SELECT COUNT(*) FROM data l WHERE ${layerExpr} IN (SELECT k FROM keys)) AS matched,
+      (SELECT COUNT(*) FROM data) AS total,
+      (SELECT COALESCE(SUM(n), 0) FROM keys
+        WHERE k NOT IN (SELECT ${layerExpr} FROM data l WHERE l.${quoteIdentifier(layerKey)} IS NOT NULL)) AS unused,
+      (SELECT COUNT(*) FROM keys WHERE n > 1) AS duplicates`);
+  const row = result.toArray()[0];
+  const matched = Number(row.matched);
+  return {
+    matched,
+    unmatched: Number(row.total) - matched,
+    unusedRows: Number(row.unused),
+    duplicateKeys: Number(row.duplicates)
+  };
+}
+
+/**
+ * Add the lookup table's columns to the active layer's DuckDB relation and features
+ * @param {string} tableName - Lookup table
+ * @param {string} layerKey - Key column of the active layer
+ * @param {string} tableKey - Key column of the lookup table
+ * @param {Array<string>} tableColumns - Columns of the lookup table
+ */
+async function joinTable(tableName, layerKey, tableKey, tableColumns) {
+  const described = await App.conn.query('DESCRIBE data');
+  const taken = new Set(described.toArray().map(row => String(row.column_name).toLowerCase()));
+
+  // Joined columns keep their names unless the layer already has one
+  const joined = tableColumns
+    .filter(col => col !== tableKey)
+    .map(col => ({source: col, name: taken.has(col.toLowerCase()) ? `${tableName}_${col}` : col}));
+
+  const select = joined
+    .map(col => `t.${quoteIdentifier(col.source)} AS ${quoteIdentifier(col.name)}`)
+    .join(', ');
+  const joinSQL = (layerSQL) => `SELECT l.*, ${select}
+                   FROM (${layerSQL}) l
+                   LEFT JOIN (SELECT DISTINCT ON (${joinKey(quoteIdentifier(tableKey))}) *
+                              FROM ${quoteIdentifier(tableName)}) t
+                   ON ${joinKey(`l.${quoteIdentifier(layerKey)}`)} = ${joinKey(`t.${quoteIdentifier(tableKey)}`)}
+                   ORDER BY l._rowid`;
+
+  // Parquet layers are views over the file; loaded layers are tables
+  if (App.parquetSource) {
+    App.parquetSource.joins.push(joinSQL);
+    await createParquetView();
+  } else {
+    const relation = quoteIdentifier(App.tableName);
+    await App.conn.query(`CREATE OR REPLACE TABLE ${relation} AS ${joinSQL(`SELECT * FROM ${relation}`)}`);
+    await pointDataView(App.tableName);
+  }
+
+  // Copy the joined values onto the loaded features by key
+  const names = joined.map(col => col.name);
+  const result = await App.conn.query(`
+    SELECT DISTINCT ${quoteIdentifier(layerKey)} AS __key, ${names.map(quoteIdentifier).join(', ')}
+    FROM data
+    WHERE ${joinKey(quoteIdentifier(layerKey))} IN
+      (SELECT ${joinKey(quoteIdentifier(tableKey))} FROM ${quoteIdentifier(tableName)})`);
+  const valuesByKey = new Map();
+  for (const row of result.toArray()) {
+    const values = {};
+    for (const name of names) {
+      const value = row[name];
+      values[name] = typeof value === 'bigint' ? Number(value) : value;
+    }
+    valuesByKey.set(String(row.__key), values);
+  }
+
+  // The shown features are often the same objects as the loaded ones
+  const empty = Object.fromEntries(names.map(name => [name, null]));
+  const features = new Set([...(App.originalData?.features || []), ...(App.currentData?.features || [])]);
+  for (const feature of features) {
+    const key = feature.properties?.[layerKey];
+    const values = key === null || key === undefined ? null : valuesByKey.get(String(key));
+    feature.properties = {...feature.properties, ...(values || empty)};
+  }
+  const unmatched = App.currentData.features
+    .filter(feature => !valuesByKey.has(String(feature.properties?.[layerKey] ?? ''))).length;
+
+  analyzeColumns(App.currentData);
+  renderData(App.currentData, true);
+
+  console.log(`[Join] Joined ${names.length} columns from "${tableName}" on ${layerKey} = ${tableKey}`);
+  if (unmatched > 0) {
+    showWarning(`${unmatched.toLocaleString()} of ${App.currentData.features.length.toLocaleString()} objects have no matching row in the table.`);
+  }
+}
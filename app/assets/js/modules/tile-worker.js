@@ -0,0 +1,459 @@
+/**
+ * VecGeo Viewer - Vector Tile Worker
+ *
+ * Cuts a dataset into vector tiles on demand, off the main thread, in the
+ * way of geojson-vt: geometries are projected to Web Mercator once, every
+ * vertex gets an importance from Douglas-Peucker, and each tile keeps the
+ * vertices important enough for its zoom, clipped to the tile plus a buffer.
+ * Points are thinned to one per few pixels.
+ *
+ * Coordinates are in world units (0-1) here and in pixels of the tile in
+ * replies, ready for drawing.
+ *
+ * Messages:
+ *   {type: 'load', datasetId, geometries}                         Project and index
+ *   {type: 'tile', datasetId, requestId, z, x, y, tolerance}      Reply with {requestId, tile}
+ *   {type: 'drop', datasetId}                                     Forget a dataset
+ */
+
+import {MIN_RING_LENGTH, buildGridIndex, projectX, projectY, sqSegmentDistance} from './geometry-utils.js';
+
+// Prepared datasets by id
+const datasets = new Map();
+
+// Tile size, and pixels drawn beyond its edges so objects crossing them are not cut off
+// (more than the largest point marker)
+const TILE_SIZE = 256;
+const TILE_BUFFER = 32;
+
+// Points in the same square of this many pixels are drawn as one (the last, drawn on top)
+const POINT_THINNING_CELL = 2;
+
+self.onmessage = (event) => {
+  const message = event.data;
+  try {
+    if (message.type === 'load') {
+      datasets.set(message.datasetId, prepareDataset(message.geometries));
+    } else if (message.type === 'drop') {
+      datasets.delete(message.datasetId);
+    } else if (message.type === 'tile') {
+      const dataset = datasets.get(message.datasetId);
+      if (!dataset) {
+        throw new Error(`Dataset ${message.datasetId} is not loaded`);
+      }
+      const tile = buildTile(dataset, message.z, message.x, message.y, message.tolerance);
+      self.postMessage({requestId: message.requestId, tile}, tileTransferables(tile));
+    }
+  } catch (error) {
+    self.postMessage({requestId: message.requestId, error: error.message});
+  }
+};
+
+// ============================================
+// Preparing Datasets
+// ============================================
+
+/**
+ * Project the geometries of a dataset and index them
+ * @param {Array<Object|null>} geometries - GeoJSON geometries in WGS84, by feature index
+ * @returns {Object} Prepared dataset: points in typed arrays, shapes, and a grid index
+ */
+function prepareDataset(geometries) {
+  const pointX = [];
+  const pointY = [];
+  const pointFeature = [];
+  const shapes = [];
+
+  const addShape = (kind, feature, lines) => {
+    const count = lines.reduce((sum, line) => sum + line.length, 0);
+    if (count === 0) return;
+
+    const coords = new Float64Array(count * 2);
+    const importance = new Float64Array(count);
+    const parts = new Int32Array(lines.length + 1);
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    let vertex = 0;
+    lines.forEach((line, index) => {
+      parts[index] = vertex;
+      for (const [lng, lat] of line) {
+        const x = projectX(lng) / TILE_SIZE;
+        const y = projectY(lat) / TILE_SIZE;
+        coords[vertex * 2] = x;
+        coords[vertex * 2 + 1] = y;
+        if (x < bbox[0]) bbox[0] = x;
+        if (y < bbox[1]) bbox[1] = y;
+        if (x > bbox[2]) bbox[2] = x;
+        if (y > bbox[3]) bbox[3] = y;
+        vertex++;
+      }
+      rankVertices(coords, parts[index], vertex - 1, importance);
+    });
+    parts[lines.length] = count;
+    shapes.push({kind, feature, coords, importance, parts, bbox});
+  };
+
+  const addGeometry = (geometry, feature) => {
+    if (!geometry) return;
+    const coords = geometry.coordinates;
+    switch (geometry.type) {
+      case 'Point':
+        pointX.push(projectX(coords[0]) / TILE_SIZE);
+        pointY.push(projectY(coords[1]) / TILE_SIZE);
+        pointFeature.push(feature);
+        break;
+      case 'MultiPoint':
+        coords.forEach(point => addGeometry({type: 'Point', coordinates: point}, feature));
+        break;
+      case 'LineString':
+        addShape('line', feature, [coords]);
+        break;
+      case 'MultiLineString':
+        addShape('line', feature, coords);
+        break;
+      case 'Polygon':
+        addShape('polygon', feature, coords);
+        break;
+      case 'MultiPolygon':
+        coords.forEach(polygon => addShape('polygon', feature, polygon));
+        break;
+      case 'GeometryCollection':
+        geometry.geometries.forEach(part => addGeometry(part, feature));
+        break;
+    }
+  };
+
+  geometries.forEach((geometry, index) => addGeometry(geometry, index));
+
+  const dataset = {
+    points: {
+      x: Float64Array.from(pointX),
+      y: Float64Array.from(pointY),
+      feature: Int32Array.from(pointFeature),
+      count: pointX.length
+    },
+    shapes
+  };
+  dataset.index = buildGridIndex(dataset, [0, 0, 1, 1]);
+  // Query number each object was last listed for, so objects in several cells are listed once
+  dataset.index.seen = new Int32Array(dataset.points.count + shapes.length);
+  dataset.index.query = 0;
+  return dataset;
+}
+
+/**
+ * Rank the vertices of a line or ring by Douglas-Peucker
+ * A vertex's importance is its squared distance from the simplified line at
+ * the step it was kept, capped by that of the vertex that split its range, so
+ * a tile simplified to any tolerance keeps exactly the vertices above it.
+ * @param {Float64Array} coords - Coordinates [x, y, ...] in world units
+ * @param {number} first - First vertex of the part
+ * @param {number} last - Last vertex of the part
+ * @param {Float64Array} importance - Importance per vertex, filled in
+ */
+function rankVertices(coords, first, last, importance) {
+  importance[first] = Infinity;
+  importance[last] = Infinity;
+
+  const stack = [[first, last, Infinity]];
+  while (stack.length > 0) {
+    const [start, end, cap] = stack.pop();
+    let maxDistance = -1;
+    let maxIndex = -1;
+    for (let i = start + 1; i < end; i++) {
+      const distance = sqSegmentDistance(coords[i * 2], coords[i * 2 + 1],
+        coords[start * 2], coords[start * 2 + 1], coords[end * 2], coords[end * 2 + 1]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+    if (maxIndex === -1) continue;
+
+    const rank = Math.min(maxDistance, cap);
+    importance[maxIndex] = rank;
+    stack.push([start, maxIndex, rank], [maxIndex, end, rank]);
+  }
+}
+
+// ============================================
+// Spatial Index
+// ============================================
+
+/**
+ * Find the objects whose cells overlap a box
+ * @param {Object} index - Grid index
+ * @param {Array<number>} box - [minX, minY, maxX, maxY] in world units
+ * @returns {Array<number>} Object ids in ascending order (the drawing order)
+ */
+function queryIndex(index, box) {
+  const query = ++index.query;
+  const ids = [];
+  const add = (id) => {
+    if (index.seen[id] !== query) {
+      index.seen[id] = query;
+      ids.push(id);
+    }
+  };
+
+  const [x0, y0, x1, y1] = [index.column(box[0]), index.row(box[1]), index.column(box[2]), index.row(box[3])];
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const cellIndex = y * index.size + x;
+      for (let i = index.offsets[cellIndex]; i < index.offsets[cellIndex + 1]; i++) {
+        add(index.entries[i]);
+      }
+    }
+  }
+  index.large.forEach(add);
+  return ids.sort((a, b) => a - b);
+}
+
+// ============================================
+// Building Tiles
+// ============================================
+
+/**
+ * Cut one tile out of a dataset
+ * @param {Object} dataset - Prepared dataset
+ * @param {number} z - Tile zoom
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {number} tolerance - Simplification tolerance in pixels (0 = off)
+ * @returns {Object} Tile: points as {x, y, feature, count} and shapes as
+ *   {kind, feature, coords, parts, bbox}, in pixels from the tile's top left
+ */
+function buildTile(dataset, z, x, y, tolerance) {
+  const scale = TILE_SIZE * 2 ** z; // Pixels per world unit
+  const left = x * TILE_SIZE;
+  const top = y * TILE_SIZE;
+  const buffer = TILE_BUFFER / scale;
+  const box = [left / scale - buffer, top / scale - buffer, (left + TILE_SIZE) / scale + buffer, (top + TILE_SIZE) / scale + buffer];
+  const threshold = (tolerance / scale) ** 2;
+  const minSize = tolerance / scale;
+
+  const {points, shapes} = dataset;
+  const ids = queryIndex(dataset.index, box);
+
+  // Points: the last point in each thinning cell wins
+  const cellsPerRow = Math.ceil((TILE_SIZE + TILE_BUFFER * 2) / POINT_THINNING_CELL);
+  const winners = new Map();
+  const pointIds = [];
+  for (const id of ids) {
+    if (id >= points.count) break;
+    const px = points.x[id] * scale - left;
+    const py = points.y[id] * scale - top;
+    if (px < -TILE_BUFFER || py < -TILE_BUFFER || px > TILE_SIZE + TILE_BUFFER || py > TILE_SIZE + TILE_BUFFER) continue;
+    const cellIndex = Math.floor((py + TILE_BUFFER) / POINT_THINNING_CELL) * cellsPerRow +
+      Math.floor((px + TILE_BUFFER) / POINT_THINNING_CELL);
+    winners.set(cellIndex, id);
+    pointIds.push(id);
+  }
+  const kept = new Set(winners.values());
+  const keptIds = pointIds.filter(id => kept.has(id));
+
+  const tilePoints = {
+    x: new Float32Array(keptIds.length),
+    y: new Float32Array(keptIds.length),
+    feature: new Int32Array(keptIds.length),
+    count: keptIds.length
+  };
+  keptIds.forEach((id, i) => {
+    tilePoints.x[i] = points.x[id] * scale - left;
+    tilePoints.y[i] = points.y[id] * scale - top;
+    tilePoints.feature[i] = points.feature[id];
+  });
+
+  // Lines and polygons: simplify to the zoom, then clip to the buffered tile
+  const tileShapes = [];
+  for (const id of ids) {
+    if (id < points.count) continue;
+    const shape = shapes[id - points.count];
+    if (shape.bbox[2] < box[0] || shape.bbox[0] > box[2] || shape.bbox[3] < box[1] || shape.bbox[1] > box[3]) continue;
+
+    const closed = shape.kind === 'polygon';
+    const lines = [];
+    for (let part = 0; part < shape.parts.length - 1; part++) {
+      const simplified = simplifyPart(shape, part, threshold, minSize);
+      if (!simplified) {
+        // A polygon whose outer ring vanishes vanishes with it
+        if (closed && part === 0) break;
+        continue;
+      }
+      for (const clipped of clipPart(simplified, box, closed)) {
+        lines.push(clipped);
+      }
+    }
+    if (lines.length > 0) {
+      tileShapes.push(toTileShape(shape, lines, scale, left, top));
+    }
+  }
+
+  return {points: tilePoints, shapes: tileShapes};
+}
+
+/**
+ * Keep the vertices of a part important enough for the tile's zoom
+ * @param {Object} shape - Prepared shape
+ * @param {number} part - Part index
+ * @param {number} threshold - Smallest squared importance kept, in world units
+ * @param {number} minSize - Parts narrower and lower than this are dropped (world units)
+ * @returns {Array<number>|null} Coordinates [x, y, ...], or null if the part vanishes
+ */
+function simplifyPart(shape, part, threshold, minSize) {
+  const {coords, importance, parts, kind} = shape;
+  const start = parts[part];
+  const end = parts[part + 1];
+
+  if (minSize > 0) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (let i = start; i < end; i++) {
+      minX = Math.min(minX, coords[i * 2]);
+      minY = Math.min(minY, coords[i * 2 + 1]);
+      maxX = Math.max(maxX, coords[i * 2]);
+      maxY = Math.max(maxY, coords[i * 2 + 1]);
+    }
+    if (maxX - minX < minSize && maxY - minY < minSize) return null;
+  }
+
+  const result = [];
+  for (let i = start; i < end; i++) {
+    if (threshold === 0 || importance[i] > threshold) {
+      result.push(coords[i * 2], coords[i * 2 + 1]);
+    }
+  }
+  const minLength = kind === 'polygon' ? MIN_RING_LENGTH : 2;
+  return result.length >= minLength * 2 ? result : null;
+}
+
+/**
+ * Clip a line or ring to a box
+ * @param {Array<number>} coords - Coordinates [x, y, ...]
+ * @param {Array<number>} box - [minX, minY, maxX, maxY]
+ * @param {boolean} closed - Whether the part is a ring
+ * @returns {Array<Array<number>>} Clipped parts (a line may be cut into several)
+ */
+function clipPart(coords, box, closed) {
+  let parts = [coords];
+  for (const axis of [0, 1]) {
+    parts = parts.flatMap(part => clipAxis(part, box[axis], box[axis + 2], axis, closed));
+  }
+  const minLength = closed ? MIN_RING_LENGTH : 2;
+  return parts.filter(part => part.length >= minLength * 2);
+}
+
+/**
+ * Clip a line or ring to a range along one axis
+ * Lines leaving the range are cut; rings are closed along its edge.
+ * @param {Array<number>} coords - Coordinates [x, y, ...]
+ * @param {number} k1 - Range start
+ * @param {number} k2 - Range end
+ * @param {number} axis - 0 for x, 1 for y
+ * @param {boolean} closed - Whether the part is a ring
+ * @returns {Array<Array<number>>} Clipped parts
+ */
+function clipAxis(coords, k1, k2, axis, closed) {
+  const parts = [];
+  let slice = [];
+
+  const intersect = (ax, ay, bx, by, k) => {
+    const a = axis === 0 ? ax : ay;
+    const b = axis === 0 ? bx : by;
+    const t = (k - a) / (b - a);
+    slice.push(axis === 0 ? k : ax + (bx - ax) * t, axis === 0 ? ay + (by - ay) * t : k);
+  };
+
+  for (let i = 0; i < coords.length - 2; i += 2) {
+    const ax = coords[i];
+    const ay = coords[i + 1];
+    const bx = coords[i + 2];
+    const by = coords[i + 3];
+    const a = axis === 0 ? ax : ay;
+    const b = axis === 0 ? bx : by;
+    let exited = false;
+
+    if (a < k1) {
+      if (b > k1) intersect(ax, ay, bx, by, k1); // Enters from the start side
+    } else if (a > k2) {
+      if (b < k2) intersect(ax, ay, bx, by, k2); // Enters from the end side
+    } else {
+      slice.push(ax, ay);
+    }
+    if (b < k1 && a >= k1) {
+      intersect(ax, ay, bx, by, k1); // Leaves on the start side
+      exited = true;
+    }
+    if (b > k2 && a <= k2) {
+      intersect(ax, ay, bx, by, k2); // Leaves on the end side
+      exited = true;
+    }
+
+    if (!closed && exited) {
+      parts.push(slice);
+      slice = [];
+    }
+  }
+
+  const last = coords.length - 2;
+  const a = coords[last + axis];
+  if (a >= k1 && a <= k2) {
+    slice.push(coords[last], coords[last + 1]);
+  }
+
+  // Close rings that the clipping opened
+  const end = slice.length - 2;
+  if (closed && end >= 2 && (slice[end] !== slice[0] || slice[end + 1] !== slice[1])) {
+    slice.push(slice[0], slice[1]);
+  }
+  if (slice.length > 0) {
+    parts.push(slice);
+  }
+  return parts;
+}
+
+/**
+ * Convert clipped parts of a shape to tile pixels
+ * @param {Object} shape - Prepared shape
+ * @param {Array<Array<number>>} lines - Clipped parts in world units
+ * @param {number} scale - Pixels per world unit
+ * @param {number} left - Tile left edge in pixels
+ * @param {number} top - Tile top edge in pixels
+ * @returns {Object} Shape {kind, feature, coords, parts, bbox} in tile pixels
+ */
+function toTileShape(shape, lines, scale, left, top) {
+  const count = lines.reduce((sum, line) => sum + line.length / 2, 0);
+  const coords = new Float32Array(count * 2);
+  const parts = new Int32Array(lines.length + 1);
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  let offset = 0;
+  lines.forEach((line, index) => {
+    parts[index] = offset / 2;
+    for (let i = 0; i < line.length; i += 2) {
+      const x = line[i] * scale - left;
+      const y = line[i + 1] * scale - top;
+      coords[offset++] = x;
+      coords[offset++] = y;
+      if (x < bbox[0]) bbox[0] = x;
+      if (y < bbox[1]) bbox[1] = y;
+      if (x > bbox[2]) bbox[2] = x;
+      if (y > bbox[3]) bbox[3] = y;
+    }
+  });
+  parts[lines.length] = count;
+  return {kind: shape.kind, feature: shape.feature, coords, parts, bbox};
+}
+
+/**
+ * List the buffers of a tile, moved to the main thread instead of copied
+ * @param {Object} tile - Built tile
+ * @returns {Array<ArrayBuffer>} Buffers
+ */
+function tileTransferables(tile) {
+  const buffers = [tile.points.x.buffer, tile.points.y.buffer, tile.points.feature.buffer];
+  for (const shape of tile.shapes) {
+    buffers.push(shape.coords.buffer, shape.parts.buffer);
+  }
+  return buffers;
+}
@@ -78,6 +78,19 @@ export function hideError() {
   if (banner) banner.classList.add('hidden');
 }
 
+// ============================================
+// Text Helpers
+// ============================================
+
+/**
+ * Escape text for use in HTML, to prevent XSS
+ * @param {*} str - Text (other values are converted to strings)
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 // ============================================
 // Modal Helpers
 // ============================================
@@ -95,6 +108,79 @@ export function handleModalClick(event) {
   }
 }
 
+/**
+ * Ask the user to pick one of several options in a modal dialog
+ * @param {string} title - Dialog title
+ * @param {string} message - Explanatory text
+ * @param {Array<{value: string, label: string}>} options - Options to choose from
+ * @returns {Promise<string|null>} Chosen value, or null if the dialog was dismissed
+ */
+export function showChoiceDialog(title, message, options) {
+  const modal = document.getElementById('choiceModal');
+  const titleEl = document.getElementById('choiceTitle');
+  const messageEl = document.getElementById('choiceMessage');
+  const listEl = document.getElementById('choiceList');
+  if (!modal || !titleEl || !messageEl || !listEl) {
+    return Promise.resolve(options[0]?.value ?? null);
+  }
+
+  titleEl.textContent = title;
+  messageEl.textContent = message;
+  listEl.innerHTML = '';
+
+  return runModalDialog(modal, (finish) => {
+    options.forEach(option => {
+      const button = document.createElement('button');
+      button.className = 'btn btn-secondary choice-option';
+      button.textContent = option.label;
+      button.onclick = () => finish(option.value);
+      listEl.appendChild(button);
+    });
+  });
+}
+
+/**
+ * Open a modal and wait for the user to finish with it
+ * @param {HTMLElement} modal - Modal overlay element
+ * @param {Function} bind - Called with a finish(value) callback to wire up the dialog's controls
+ * @returns {Promise<*>} Value passed to finish, or null if the modal was closed another way
+ */
+export function runModalDialog(modal, bind) {
+  return new Promise(resolve => {
+    let settled = false;
+
+    const finish = (value) => {
+      if (settled) return;
+      settled = true;
+      observer.disconnect();
+      modal.classList.remove('active');
+      resolve(value);
+    };
+
+    // Treat closing via overlay click, Escape or close button as cancel
+    const observer = new MutationObserver(() => {
+      if (!modal.classList.contains('active')) {
+        finish(null);
+      }
+    });
+
+    bind(finish);
+    observer.observe(modal, {attributes: true, attributeFilter: ['class']});
+    modal.classList.add('active');
+  });
+}
+
+/**
+ * Close a modal by id
+ * @param {string} id - Modal overlay element id
+ */
+export function closeModal(id) {
+  const modal = document.getElementById(id);
+  if (modal) {
+    modal.classList.remove('active');
+  }
+}
+
 // ============================================
 // Theme
 // ============================================
@@ -132,7 +218,7 @@ export function updateBasemapTheme(theme) {
 // Drag and Drop
 // ============================================
 
-export function initDragAndDrop(handleFile) {
+export function initDragAndDrop(handleFiles) {
   const dropOverlay = document.getElementById('dropOverlay');
   if (!dropOverlay) return;
 
@@ -165,7 +251,7 @@ export function initDragAndDrop(handleFile) {
 
     const files = e.dataTransfer?.files;
     if (files?.length > 0) {
-      handleFile(files[0]);
+      handleFiles(files);
     }
   });
 }
@@ -174,14 +260,15 @@ export function initDragAndDrop(handleFile) {
 // File Input
 // ============================================
 
-export function initFileInput(handleFile) {
+export function initFileInput(handleFiles) {
   const fileInput = document.getElementById('fileInput');
   if (!fileInput) return;
 
   fileInput.addEventListener('change', (e) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      handleFile(file);
+    // Copy before the input is reset below, which empties the live FileList
+    const files = Array.from(e.target.files || []);
+    if (files.length > 0) {
+      handleFiles(files);
     }
     // Reset input so same file can be selected again
     e.target.value = '';
@@ -272,6 +359,7 @@ export function bindToWindow() {
   window.toggleHelp = toggleHelp;
   window.handleModalClick = handleModalClick;
   window.toggleTheme = toggleTheme;
+  window.closeModal = closeModal;
 }
 
 // ============================================
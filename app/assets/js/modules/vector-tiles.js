@@ -0,0 +1,282 @@
+/**
+ * VecGeo Viewer - Vector Tiles Module
+ *
+ * Draws large datasets as vector tiles instead of adding every feature to
+ * the map. A worker (tile-worker.js) cuts the tiles in view out of the whole
+ * dataset, simplified to their zoom with points thinned, and each tile is
+ * drawn into its own canvas with the canvas renderer's 2D drawing. All
+ * features stay loaded for SQL, the data viewer and export.
+ */
+
+import {App} from '../app.js';
+import {addHitTestLayer, createDrawData, createStyler, draw2D, hitTest, removeHitTestLayer} from './canvas-renderer.js';
+import {createWorkerClient} from './worker-client.js';
+
+// ============================================
+// Settings
+// ============================================
+
+// The Simplify Tolerance setting is in degrees at zoom 10 (see simplify.js),
+// which is the same number of pixels at every zoom; this converts it
+const PIXELS_PER_DEGREE_AT_REFERENCE_ZOOM = 256 * 2 ** 10 / 360;
+
+// ============================================
+// State
+// ============================================
+
+// Layers fall back to a single canvas (see map.js) if the worker fails to load
+const tileWorker = createWorkerClient(new URL('./tile-worker.js', import.meta.url), 'Tiles', () => {
+  for (const layer of [...tileLayers]) {
+    layer.fire('workerfailed');
+  }
+});
+let nextDatasetId = 1;
+
+const datasets = new WeakMap(); // GeoJSON → {id, featureCount, users}
+const tileLayers = new Set();   // Vector tile layers on the map
+
+// ============================================
+// Worker
+// ============================================
+
+/**
+ * Get the worker-side record of a dataset for a new layer, sending its geometries on first use
+ * Datasets that grew (features loaded on pan) are sent again.
+ * @param {Object} geojson - FeatureCollection
+ * @returns {Object} Dataset record
+ */
+function acquireDataset(geojson) {
+  let dataset = datasets.get(geojson);
+  if (dataset && dataset.featureCount !== geojson.features.length) {
+    tileWorker.post({type: 'drop', datasetId: dataset.id});
+    dataset = null;
+  }
+
+  if (!dataset) {
+    dataset = {id: nextDatasetId++, featureCount: geojson.features.length, users: 0};
+    tileWorker.post({
+      type: 'load',
+      datasetId: dataset.id,
+      geometries: geojson.features.map(feature => feature?.geometry || null)
+    });
+    datasets.set(geojson, dataset);
+  }
+  dataset.users++;
+  return dataset;
+}
+
+/**
+ * Release a dataset for a removed layer
+ * Released datasets are dropped in the worker once the current task ends,
+ * unless a new layer took them up (re-rendering removes the old layer first).
+ * @param {Object} geojson - FeatureCollection
+ */
+function releaseDataset(geojson) {
+  const dataset = datasets.get(geojson);
+  if (!dataset) return;
+  dataset.users--;
+
+  setTimeout(() => {
+    if (dataset.users === 0 && datasets.get(geojson) === dataset) {
+      datasets.delete(geojson);
+      tileWorker.post({type: 'drop', datasetId: dataset.id});
+    }
+  });
+}
+
+/**
+ * Ask the worker for a tile
+ * @param {Object} dataset - Dataset record
+ * @param {L.Point} coords - Tile coordinates with zoom z
+ * @returns {Promise<Object>} Tile points and shapes in tile pixels
+ */
+async function requestTile(dataset, coords) {
+  const tolerance = App.simplifyTolerance > 0 ? App.simplifyTolerance * PIXELS_PER_DEGREE_AT_REFERENCE_ZOOM : 0;
+  const {tile} = await tileWorker.request({type: 'tile', datasetId: dataset.id, z: coords.z, x: coords.x, y: coords.y, tolerance});
+  return tile;
+}
+
+// ============================================
+// Leaflet Layer
+// ============================================
+
+let VectorTileLayer = null;
+
+/**
+ * Get the Leaflet layer class, defining it on first use
+ * @returns {Function} Layer class
+ */
+function getVectorTileLayerClass() {
+  if (VectorTileLayer) return VectorTileLayer;
+
+  VectorTileLayer = L.GridLayer.extend({
+    initialize(geojson, options) {
+      this._geojson = geojson;
+      this._styler = createStyler(geojson.features, options.style);
+      this._tileData = new WeakMap(); // Tile canvas → drawing data
+      this._bounds = null;
+      L.setOptions(this, options);
+    },
+
+    onAdd(map) {
+      this._dataset = acquireDataset(this._geojson);
+      L.GridLayer.prototype.onAdd.call(this, map);
+      addHitTestLayer(this);
+      tileLayers.add(this);
+    },
+
+    onRemove(map) {
+      L.GridLayer.prototype.onRemove.call(this, map);
+      removeHitTestLayer(this);
+      tileLayers.delete(this);
+      releaseDataset(this._geojson);
+    },
+
+    /**
+     * Draw a tile once the worker has cut it
+     * @param {L.Point} coords - Tile coordinates with zoom z
+     * @param {Function} done - Called when the tile is drawn
+     * @returns {HTMLCanvasElement} Tile canvas
+     */
+    createTile(coords, done) {
+      const tile = L.DomUtil.create('canvas', 'leaflet-tile');
+      const size = this.getTileSize();
+      const pixelRatio = window.devicePixelRatio || 1;
+      tile.width = Math.round(size.x * pixelRatio);
+      tile.height = Math.round(size.y * pixelRatio);
+
+      requestTile(this._dataset, coords).then(({points, shapes}) => {
+        const data = createDrawData(this._styler, points, shapes);
+        const ctx = tile.getContext('2d');
+        if (ctx) {
+          draw2D(ctx, data, {
+            scale: 1,
+            originX: 0,
+            originY: 0,
+            width: size.x,
+            height: size.y,
+            pixelRatio,
+            pointRadius: this.options.pointRadius
+          });
+        }
+        this._tileData.set(tile, data);
+        done(null, tile);
+      }, (error) => {
+        console.warn(`[Tiles] Tile ${coords.z}/${coords.x}/${coords.y} failed:`, error);
+        done(error, tile);
+      });
+      return tile;
+    },
+
+    /**
+     * Get the bounds of all features
+     * @returns {L.LatLngBounds} Bounds (invalid if there are no coordinates)
+     */
+    getBounds() {
+      if (!this._bounds) {
+        this._bounds = collectionBounds(this._geojson);
+      }
+      return this._bounds;
+    },
+
+    /**
+     * Find the feature drawn at a point of the map container
+     * @param {L.Point} containerPoint - Position in the map container
+     * @returns {Object|null} GeoJSON feature
+     */
+    featureAt(containerPoint) {
+      const map = this._map;
+      const zoom = this._tileZoom;
+      if (!map || zoom === undefined) return null;
+
+      const size = this.getTileSize();
+      const pixel = map.project(map.containerPointToLatLng(containerPoint), zoom);
+      const coords = L.point(Math.floor(pixel.x / size.x), Math.floor(pixel.y / size.y));
+      coords.z = zoom;
+
+      const tile = this._tiles[this._tileCoordsToKey(coords)];
+      const data = tile && this._tileData.get(tile.el);
+      if (!data) return null;
+
+      // Tiles are scaled between zoom levels until the new ones are drawn
+      const scale = map.getZoomScale(map.getZoom(), zoom);
+      const index = hitTest(data, pixel.x - coords.x * size.x, pixel.y - coords.y * size.y, scale, this.options.pointRadius * scale);
+      return index === null ? null : this._geojson.features[index];
+    }
+  });
+  return VectorTileLayer;
+}
+
+/**
+ * Get the bounds of a FeatureCollection
+ * @param {Object} geojson - FeatureCollection in WGS84
+ * @returns {L.LatLngBounds} Bounds
+ */
+function collectionBounds(geojson) {
+  let minLng = Infinity;
+  let minLat = Infinity;
+  let maxLng = -Infinity;
+  let maxLat = -Infinity;
+
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') {
+      if (coords[0] < minLng) minLng = coords[0];
+      if (coords[0] > maxLng) maxLng = coords[0];
+      if (coords[1] < minLat) minLat = coords[1];
+      if (coords[1] > maxLat) maxLat = coords[1];
+    } else {
+      coords.forEach(visit);
+    }
+  };
+  const visitGeometry = (geometry) => {
+    if (!geometry) return;
+    if (geometry.type === 'GeometryCollection') {
+      geometry.geometries.forEach(visitGeometry);
+    } else if (geometry.coordinates?.length) {
+      visit(geometry.coordinates);
+    }
+  };
+  geojson.features.forEach(feature => visitGeometry(feature?.geometry));
+
+  return minLat <= maxLat ? L.latLngBounds([minLat, minLng], [maxLat, maxLng]) : L.latLngBounds([]);
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Create a layer drawing a collection as vector tiles
+ * @param {Object} geojson - FeatureCollection in WGS84
+ * @param {Object} options - Layer options
+ * @param {string} options.pane - Map pane to draw in
+ * @param {Function} options.style - Returns the Leaflet path style of a feature
+ * @param {number} options.pointRadius - Point radius in pixels
+ * @param {Function} options.popupContent - Returns the popup HTML of a feature, or null for none
+ * @returns {L.GridLayer|null} Vector tile layer, or null if workers are not available. The layer
+ *   fires 'workerfailed' if the worker fails to load later.
+ */
+export function createVectorTileLayer(geojson, {pane, style, pointRadius, popupContent}) {
+  if (!tileWorker.start()) return null;
+
+  const Layer = getVectorTileLayerClass();
+  return new Layer(geojson, {pane, style, pointRadius, popupContent});
+}
+
+/**
+ * Check whether a rendered layer is a vector tile layer
+ * @param {L.Layer|null} layer - Rendered layer
+ * @returns {boolean} Whether the layer draws vector tiles
+ */
+export function isVectorTileLayer(layer) {
+  return Boolean(VectorTileLayer && layer instanceof VectorTileLayer);
+}
+
+/**
+ * Cut and draw the tiles of all vector tile layers again (e.g. for a new simplify tolerance)
+ */
+export function refreshVectorTiles() {
+  for (const layer of tileLayers) {
+    layer.redraw();
+  }
+}
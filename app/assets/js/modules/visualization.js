@@ -5,6 +5,7 @@
  */
 
 import {App} from '../app.js';
+import {escapeHtml} from './ui.js';
 
 // ============================================
 // Custom Colormap Definitions
@@ -69,6 +70,9 @@ export function analyzeColumns(geojson) {
   App.columns = Array.from(allCols);
   App.numericColumns = Array.from(numericCols);
   App.categoricalColumns = Array.from(categoricalCols);
+  if (!App.numericColumns.includes(App.heatmapWeight)) {
+    App.heatmapWeight = null;
+  }
 
   updateColumnSelector();
 
@@ -124,6 +128,25 @@ export function updateColumnSelector() {
 
     select.appendChild(catGroup);
   }
+
+  updateHeatmapWeightSelector();
+}
+
+/**
+ * Update the heatmap weight dropdown with the numeric columns
+ */
+function updateHeatmapWeightSelector() {
+  const select = document.getElementById('heatmapWeightSelect');
+  if (!select) return;
+
+  select.innerHTML = '<option value="">-- None (count points) --</option>';
+  App.numericColumns.forEach(col => {
+    const option = document.createElement('option');
+    option.value = col;
+    option.textContent = col;
+    select.appendChild(option);
+  });
+  select.value = App.heatmapWeight || '';
 }
 
 // ============================================
@@ -189,6 +212,8 @@ export function createColorScale(geojson) {
 
 /**
  * Update legend display
+ * Heatmap and hexbin layers color their own aggregates, so the legend shows
+ * their range instead of the column's once they are drawn.
  */
 export function updateLegend() {
   const legendSection = document.getElementById('legendSection');
@@ -198,6 +223,22 @@ export function updateLegend() {
     return;
   }
 
+  const aggregateLegend = findAggregateLegend(App.geoJsonLayer);
+  if (aggregateLegend) {
+    const {title, min, max, colormap} = aggregateLegend;
+    const colors = chroma.scale(colormap).colors(10);
+    legendSection.style.display = 'block';
+    legendContent.innerHTML = `
+            <div class="legend-title">${escapeHtml(title)}</div>
+            <div class="legend-gradient" style="background: linear-gradient(to right, ${colors.join(', ')})"></div>
+            <div class="legend-range">
+                <span>${formatLegendValue(min)}</span>
+                <span>${formatLegendValue(max)}</span>
+            </div>
+        `;
+    return;
+  }
+
   if (!App.currentColumn || !App.colorScale) {
     legendSection.style.display = 'none';
     return;
@@ -242,6 +283,26 @@ export function updateLegend() {
   }
 }
 
+/**
+ * Find the legend of a heatmap or hexagon layer, drawn alone or next to other features
+ * @param {L.Layer|null} layer - Rendered layer
+ * @returns {Object|null} {title, min, max, colormap}
+ */
+function findAggregateLegend(layer) {
+  if (typeof layer?.getLegend === 'function') return layer.getLegend();
+  const pointLayer = layer?.getLayers?.().find(child => typeof child.getLegend === 'function');
+  return pointLayer ? pointLayer.getLegend() : null;
+}
+
+/**
+ * Format an aggregate range end for the legend
+ * @param {number} value - Value
+ * @returns {string} Text with at most two decimals
+ */
+function formatLegendValue(value) {
+  return value.toLocaleString(undefined, {maximumFractionDigits: 2});
+}
+
 /**
  * Update status bar
  * @param {Object} geojson - GeoJSON FeatureCollection
@@ -252,6 +313,7 @@ export function updateStatus(geojson) {
   const currentColumnEl = document.getElementById('currentColumn');
   const dataSizeEl = document.getElementById('dataSize');
   const memoryUsageEl = document.getElementById('memoryUsage');
+  const sourceCRSEl = document.getElementById('sourceCRS');
 
   if (featureCountEl) {
     featureCountEl.textContent = `${count.toLocaleString()} objects`;
@@ -259,6 +321,12 @@ export function updateStatus(geojson) {
   if (currentColumnEl) {
     currentColumnEl.textContent = App.currentColumn || '—';
   }
+  if (sourceCRSEl) {
+    // Custom .prj definitions are registered as 'PRJ:<name>'
+    const crsLabel = App.sourceCRS ? App.sourceCRS.replace(/^PRJ:/, '') : 'EPSG:4326';
+    sourceCRSEl.textContent = `Source CRS: ${crsLabel}`;
+    sourceCRSEl.title = 'Coordinate reference system of the loaded data (displayed in WGS84)';
+  }
 
   // Estimate Data Size (Dynamic based on filtered data)
   const estimatedSizeBytes = estimateDataSize(geojson);
@@ -0,0 +1,213 @@
+/**
+ * VecGeo Viewer - WKB Module
+ *
+ * Decodes Well-Known Binary (ISO and EWKB flavours) into GeoJSON geometries.
+ */
+
+// ============================================
+// Geometry Types
+// ============================================
+
+const WKB_TYPES = {
+  1: 'Point',
+  2: 'LineString',
+  3: 'Polygon',
+  4: 'MultiPoint',
+  5: 'MultiLineString',
+  6: 'MultiPolygon',
+  7: 'GeometryCollection'
+};
+
+// EWKB (PostGIS) flag bits
+const EWKB_Z_FLAG = 0x80000000;
+const EWKB_M_FLAG = 0x40000000;
+const EWKB_SRID_FLAG = 0x20000000;
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Decode a WKB geometry into a GeoJSON geometry
+ * @param {Uint8Array|ArrayBuffer} bytes - WKB bytes
+ * @returns {Object|null} GeoJSON geometry or null for empty geometries
+ */
+export function parseWKB(bytes) {
+  const view = toDataView(bytes);
+  const reader = {view, offset: 0};
+  return readGeometry(reader);
+}
+
+/**
+ * Check whether a value looks like WKB (a byte array with a valid byte-order marker)
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value can be decoded as WKB
+ */
+export function isWKB(value) {
+  if (!(value instanceof Uint8Array) && !(value instanceof ArrayBuffer)) {
+    return false;
+  }
+  const view = toDataView(value);
+  if (view.byteLength < 5) return false;
+  const byteOrder = view.getUint8(0);
+  return byteOrder === 0 || byteOrder === 1;
+}
+
+/**
+ * Wrap bytes in a DataView
+ * @param {Uint8Array|ArrayBuffer} bytes - Binary data
+ * @returns {DataView} DataView over the data
+ */
+function toDataView(bytes) {
+  if (bytes instanceof ArrayBuffer) {
+    return new DataView(bytes);
+  }
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+// ============================================
+// Reader
+// ============================================
+
+/**
+ * Read one geometry (header + body) at the reader's offset
+ * @param {Object} reader - {view, offset}
+ * @returns {Object|null} GeoJSON geometry or null if empty
+ */
+function readGeometry(reader) {
+  const {view} = reader;
+  const littleEndian = view.getUint8(reader.offset) === 1;
+  reader.offset += 1;
+
+  let typeCode = view.getUint32(reader.offset, littleEndian);
+  reader.offset += 4;
+
+  // EWKB flags
+  let hasZ = (typeCode & EWKB_Z_FLAG) !== 0;
+  let hasM = (typeCode & EWKB_M_FLAG) !== 0;
+  if (typeCode & EWKB_SRID_FLAG) {
+    reader.offset += 4; // Skip embedded SRID
+  }
+  typeCode &= 0x0fffffff;
+
+  // ISO WKB: 1000s = Z, 2000s = M, 3000s = ZM
+  const dimensionCode = Math.floor(typeCode / 1000);
+  if (dimensionCode === 1 || dimensionCode === 3) hasZ = true;
+  if (dimensionCode === 2 || dimensionCode === 3) hasM = true;
+
+  const type = WKB_TYPES[typeCode % 1000];
+  if (!type) {
+    throw new Error(`Unsupported WKB geometry type: ${typeCode}`);
+  }
+
+  const ctx = {reader, littleEndian, hasZ, hasM};
+
+  switch (type) {
+    case 'Point': {
+      const coord = readCoordinate(ctx);
+      // Empty points are encoded as NaN coordinates
+      return Number.isNaN(coord[0]) ? null : {type, coordinates: coord};
+    }
+
+    case 'LineString': {
+      const coords = readCoordinateList(ctx);
+      return coords.length > 0 ? {type, coordinates: coords} : null;
+    }
+
+    case 'Polygon': {
+      const rings = readRingList(ctx);
+      return rings.length > 0 ? {type, coordinates: rings} : null;
+    }
+
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon': {
+      const parts = readParts(reader, littleEndian)
+        .filter(Boolean)
+        .map(g => g.coordinates);
+      return parts.length > 0 ? {type, coordinates: parts} : null;
+    }
+
+    case 'GeometryCollection': {
+      const geometries = readParts(reader, littleEndian).filter(Boolean);
+      return geometries.length > 0 ? {type, geometries} : null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a count-prefixed list of nested geometries
+ * @param {Object} reader - {view, offset}
+ * @param {boolean} littleEndian - Byte order of the parent geometry
+ * @returns {Array} Array of GeoJSON geometries (null for empty parts)
+ */
+function readParts(reader, littleEndian) {
+  const count = reader.view.getUint32(reader.offset, littleEndian);
+  reader.offset += 4;
+
+  const parts = [];
+  for (let i = 0; i < count; i++) {
+    parts.push(readGeometry(reader));
+  }
+  return parts;
+}
+
+/**
+ * Read a count-prefixed list of rings
+ * @param {Object} ctx - Read context
+ * @returns {Array} Array of rings
+ */
+function readRingList(ctx) {
+  const {reader, littleEndian} = ctx;
+  const count = reader.view.getUint32(reader.offset, littleEndian);
+  reader.offset += 4;
+
+  const rings = [];
+  for (let i = 0; i < count; i++) {
+    rings.push(readCoordinateList(ctx));
+  }
+  return rings.filter(ring => ring.length > 0);
+}
+
+/**
+ * Read a count-prefixed list of coordinates
+ * @param {Object} ctx - Read context
+ * @returns {Array} Array of coordinates
+ */
+function readCoordinateList(ctx) {
+  const {reader, littleEndian} = ctx;
+  const count = reader.view.getUint32(reader.offset, littleEndian);
+  reader.offset += 4;
+
+  const coords = new Array(count);
+  for (let i = 0; i < count; i++) {
+    coords[i] = readCoordinate(ctx);
+  }
+  return coords;
+}
+
+/**
+ * Read a single coordinate, keeping Z and dropping M
+ * @param {Object} ctx - Read context
+ * @returns {Array} [x, y] or [x, y, z]
+ */
+function readCoordinate(ctx) {
+  const {reader, littleEndian, hasZ, hasM} = ctx;
+  const {view} = reader;
+
+  const x = view.getFloat64(reader.offset, littleEndian);
+  const y = view.getFloat64(reader.offset + 8, littleEndian);
+  reader.offset += 16;
+
+  const coord = [x, y];
+  if (hasZ) {
+    coord.push(view.getFloat64(reader.offset, littleEndian));
+    reader.offset += 8;
+  }
+  if (hasM) {
+    reader.offset += 8; // Measures are not representable in GeoJSON
+  }
+  return coord;
+}
@@ -0,0 +1,210 @@
+/**
+ * VecGeo Viewer - WKT Module
+ *
+ * Decodes Well-Known Text (including EWKT SRID prefixes) into GeoJSON geometries.
+ */
+
+// ============================================
+// Geometry Types
+// ============================================
+
+const WKT_TYPES = {
+  POINT: 'Point',
+  LINESTRING: 'LineString',
+  POLYGON: 'Polygon',
+  MULTIPOINT: 'MultiPoint',
+  MULTILINESTRING: 'MultiLineString',
+  MULTIPOLYGON: 'MultiPolygon',
+  GEOMETRYCOLLECTION: 'GeometryCollection'
+};
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Decode a WKT string into a GeoJSON geometry
+ * @param {string} text - WKT text, e.g. 'POINT Z (1 2 3)' or 'SRID=4326;POINT(1 2)'
+ * @returns {Object|null} GeoJSON geometry or null for empty geometries
+ */
+export function parseWKT(text) {
+  // Drop EWKT SRID prefix
+  const wkt = text.trim().replace(/^SRID=\d+;/i, '');
+
+  const reader = {tokens: tokenize(wkt), pos: 0};
+  const geometry = readGeometry(reader);
+
+  if (reader.pos < reader.tokens.length) {
+    throw new Error(`Unexpected WKT token: ${reader.tokens[reader.pos]}`);
+  }
+  return geometry;
+}
+
+/**
+ * Check whether a string looks like WKT
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value starts with a WKT geometry keyword
+ */
+export function isWKT(value) {
+  if (typeof value !== 'string') return false;
+  return /^\s*(SRID=\d+;\s*)?(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\b/i.test(value);
+}
+
+// ============================================
+// Tokenizer
+// ============================================
+
+/**
+ * Split WKT into words, numbers, parentheses and commas
+ * @param {string} text - WKT text
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  const tokens = text.match(/[A-Za-z]+|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|[(),]/g);
+  if (!tokens) {
+    throw new Error('Empty WKT');
+  }
+  return tokens;
+}
+
+function peek(reader) {
+  return reader.tokens[reader.pos];
+}
+
+function next(reader) {
+  return reader.tokens[reader.pos++];
+}
+
+function expect(reader, token) {
+  const actual = next(reader);
+  if (actual !== token) {
+    throw new Error(`Invalid WKT: expected "${token}" but found "${actual ?? 'end of input'}"`);
+  }
+}
+
+// ============================================
+// Parser
+// ============================================
+
+/**
+ * Read a tagged geometry (keyword, optional dimension, body)
+ * @param {Object} reader - {tokens, pos}
+ * @returns {Object|null} GeoJSON geometry or null if empty
+ */
+function readGeometry(reader) {
+  const keyword = String(next(reader)).toUpperCase();
+  const type = WKT_TYPES[keyword];
+  if (!type) {
+    throw new Error(`Unsupported WKT geometry type: ${keyword}`);
+  }
+
+  // Optional dimension: Z, M or ZM
+  let hasZ = false;
+  let hasM = false;
+  const dimension = String(peek(reader)).toUpperCase();
+  if (dimension === 'Z' || dimension === 'M' || dimension === 'ZM') {
+    next(reader);
+    hasZ = dimension.includes('Z');
+    hasM = dimension.includes('M');
+  }
+
+  if (String(peek(reader)).toUpperCase() === 'EMPTY') {
+    next(reader);
+    return null;
+  }
+
+  const ctx = {reader, hasZ, hasM};
+
+  switch (type) {
+    case 'Point': {
+      expect(reader, '(');
+      const coord = readCoordinate(ctx);
+      expect(reader, ')');
+      return {type, coordinates: coord};
+    }
+
+    case 'LineString':
+      return {type, coordinates: readCoordinateList(ctx)};
+
+    case 'Polygon':
+      return {type, coordinates: readList(reader, () => readCoordinateList(ctx))};
+
+    case 'MultiPoint':
+      // Both MULTIPOINT ((1 2), (3 4)) and MULTIPOINT (1 2, 3 4) are valid
+      return {
+        type, coordinates: readList(reader, () => {
+          if (peek(reader) === '(') {
+            expect(reader, '(');
+            const coord = readCoordinate(ctx);
+            expect(reader, ')');
+            return coord;
+          }
+          return readCoordinate(ctx);
+        })
+      };
+
+    case 'MultiLineString':
+      return {type, coordinates: readList(reader, () => readCoordinateList(ctx))};
+
+    case 'MultiPolygon':
+      return {
+        type, coordinates: readList(reader, () => readList(reader, () => readCoordinateList(ctx)))
+      };
+
+    case 'GeometryCollection':
+      return {type, geometries: readList(reader, () => readGeometry(reader)).filter(Boolean)};
+  }
+
+  return null;
+}
+
+/**
+ * Read a parenthesized, comma-separated list
+ * @param {Object} reader - {tokens, pos}
+ * @param {Function} readItem - Reads one list item
+ * @returns {Array} Items
+ */
+function readList(reader, readItem) {
+  expect(reader, '(');
+  const items = [readItem()];
+  while (peek(reader) === ',') {
+    next(reader);
+    items.push(readItem());
+  }
+  expect(reader, ')');
+  return items;
+}
+
+/**
+ * Read a parenthesized list of coordinates
+ * @param {Object} ctx - Read context
+ * @returns {Array} Coordinates
+ */
+function readCoordinateList(ctx) {
+  return readList(ctx.reader, () => readCoordinate(ctx));
+}
+
+/**
+ * Read one coordinate, keeping Z and dropping M
+ * @param {Object} ctx - Read context
+ * @returns {Array} [x, y] or [x, y, z]
+ */
+function readCoordinate(ctx) {
+  const {reader, hasM} = ctx;
+  const values = [];
+  while (peek(reader) !== undefined && peek(reader) !== ',' && peek(reader) !== ')') {
+    const value = Number(next(reader));
+    if (!Number.isFinite(value)) {
+      throw new Error('Invalid WKT coordinate');
+    }
+    values.push(value);
+  }
+
+  if (values.length < 2) {
+    throw new Error('Invalid WKT coordinate: expected at least 2 values');
+  }
+
+  // Without an explicit dimension, a third value is Z (as most writers emit)
+  const hasZ = ctx.hasZ || (!hasM && values.length >= 3);
+  return hasZ ? [values[0], values[1], values[2]] : [values[0], values[1]];
+}
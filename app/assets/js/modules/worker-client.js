@@ -0,0 +1,99 @@
+/**
+ * VecGeo Viewer - Worker Client Module
+ *
+ * Starts a module worker on first use and matches its replies to requests
+ * by request id. A worker that cannot be started, or whose module fails to
+ * load, is marked unusable: its pending and later requests are rejected, so
+ * callers can draw without it instead of waiting forever.
+ */
+
+/**
+ * Create a client for a module worker
+ * The worker replies to request messages with {requestId, error} plus its result.
+ * @param {URL} url - Worker module URL
+ * @param {string} tag - Log prefix (e.g. 'Tiles')
+ * @param {Function} [onFailure] - Called once if the worker fails after starting
+ * @returns {Object} Client with start(), post(message) and request(message)
+ */
+export function createWorkerClient(url, tag, onFailure) {
+  let worker = null;
+  let unavailable = false;
+  let nextRequestId = 1;
+  const pendingRequests = new Map(); // Request id → {resolve, reject}
+
+  /**
+   * Mark the worker unusable and reject its pending requests
+   * @param {string} message - Failure message
+   */
+  const fail = (message) => {
+    console.warn(`[${tag}] Worker failed:`, message);
+    unavailable = true;
+    worker?.terminate();
+    worker = null;
+
+    for (const request of pendingRequests.values()) {
+      request.reject(new Error(message));
+    }
+    pendingRequests.clear();
+    onFailure?.();
+  };
+
+  return {
+    /**
+     * Start the worker on first use
+     * @returns {Worker|null} Worker, or null if it cannot be started or has failed
+     */
+    start() {
+      if (worker || unavailable) return worker;
+
+      try {
+        worker = new Worker(url, {type: 'module'});
+      } catch (error) {
+        console.warn(`[${tag}] Could not start the worker:`, error);
+        unavailable = true;
+        return null;
+      }
+
+      worker.onmessage = (event) => {
+        const request = pendingRequests.get(event.data.requestId);
+        if (!request) return;
+        pendingRequests.delete(event.data.requestId);
+        if (event.data.error) {
+          request.reject(new Error(event.data.error));
+        } else {
+          request.resolve(event.data);
+        }
+      };
+      // Also fires when the module fails to load, which new Worker() does not report
+      worker.onerror = (event) => {
+        event.preventDefault?.();
+        fail(event.message || 'The worker could not be loaded');
+      };
+      return worker;
+    },
+
+    /**
+     * Send a message that expects no reply, if the worker is running
+     * @param {Object} message - Message for the worker
+     */
+    post(message) {
+      worker?.postMessage(message);
+    },
+
+    /**
+     * Send a request and wait for the worker's reply
+     * @param {Object} message - Message for the worker, without requestId
+     * @returns {Promise<Object>} Reply, rejected if the worker reports an error or fails
+     */
+    request(message) {
+      if (!this.start()) {
+        return Promise.reject(new Error('The worker is not available'));
+      }
+      const requestId = nextRequestId++;
+      return new Promise((resolve, reject) => {
+        pendingRequests.set(requestId, {resolve, reject});
+        worker.postMessage({...message, requestId});
+      });
+    }
+  };
+}
@@ -3,6 +3,8 @@ set -euo pipefail
 
 ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
 DUCKDB_VER="1.31.0"
+# DuckDB engine version inside duckdb-wasm ${DUCKDB_VER}; extensions are built per engine version
+DUCKDB_ENGINE_VER="v1.4.0"
 ARROW_VER="14.0.2"
 VENDOR_DUCKDB="$ROOT_DIR/app/assets/vendor/duckdb"
 VENDOR_ARROW="$ROOT_DIR/app/assets/vendor/arrow"
@@ -20,11 +22,19 @@ curl -fsSL "$BASE/duckdb-browser-mvp.worker.js" -o "$VENDOR_DUCKDB/duckdb-browse
 curl -fsSL "$BASE/duckdb-eh.wasm" -o "$VENDOR_DUCKDB/duckdb-eh.wasm"
 curl -fsSL "$BASE/duckdb-browser-eh.worker.js" -o "$VENDOR_DUCKDB/duckdb-browser-eh.worker.js"
 
+# Spatial extension, laid out like an extension repository (<version>/<platform>/<name>.duckdb_extension.wasm)
+echo "Fetching DuckDB spatial extension (${DUCKDB_ENGINE_VER}) to $VENDOR_DUCKDB/extensions"
+for platform in wasm_mvp wasm_eh; do
+  mkdir -p "$VENDOR_DUCKDB/extensions/${DUCKDB_ENGINE_VER}/${platform}"
+  curl -fsSL "https://extensions.duckdb.org/${DUCKDB_ENGINE_VER}/${platform}/spatial.duckdb_extension.wasm" \
+    -o "$VENDOR_DUCKDB/extensions/${DUCKDB_ENGINE_VER}/${platform}/spatial.duckdb_extension.wasm"
+done
+
 # Apache Arrow (browser UMD)
 echo "Fetching Apache Arrow (${ARROW_VER}) to $VENDOR_ARROW"
 curl -fsSL "https://cdn.jsdelivr.net/npm/apache-arrow@${ARROW_VER}/Arrow.dom.min.js" -o "$VENDOR_ARROW/Arrow.dom.min.js"
 
-ls -lh "$VENDOR_DUCKDB" || true
+ls -lhR "$VENDOR_DUCKDB" || true
 ls -lh "$VENDOR_ARROW" || true
 
 echo "Done."